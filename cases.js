@@ -0,0 +1,158 @@
+// --- Case Generator ---
+// Produces a starting retinoscopy result and a hidden true prescription for the simulated patient.
+
+// The scripted tutorial case: retinoscopy found Plano / -2.00 DC x 180, the patient really needs
+// +0.25 DS / -2.50 DC x 5 (the same spherical equivalent, so the extra -0.50 DC is balanced by +0.25 DS).
+const TUTORIAL_CASE = {
+    retinoscopyRx: { sphere: 0.00, cylinder: -2.00, axis: 180 },
+    trueRx: { sphere: 0.25, cylinder: -2.50, axis: 5 }
+};
+
+// Axis ranges (minus cylinder axis, degrees) for each kind of astigmatism.
+const AXIS_TYPE_RANGES = {
+    withTheRule: [[165, 180], [0, 15]],
+    againstTheRule: [[75, 105]],
+    oblique: [[30, 60], [120, 150]]
+};
+
+// Difficulty presets.
+// cylinderRange: [weakest, strongest] true minus cylinder.
+// axisError: largest retinoscopy axis error in degrees.
+// powerError: largest retinoscopy cylinder error in dioptres (in 0.50 steps so sphere compensation stays exact).
+// sphereError: largest retinoscopy sphere error in dioptres, added for the full monocular sequence (see withSphereError).
+// axisTypes: which kinds of astigmatism may be drawn.
+// sphericalRetinoscopy: when true, retinoscopy misses the astigmatism and finds only the spherical equivalent,
+//                       so the trainee starts with no cylinder and has to find it with the JCC.
+const CASE_DIFFICULTY_PRESETS = {
+    beginner: {
+        label: 'Beginner',
+        sphereRange: [-1.00, 1.00],
+        cylinderRange: [-1.50, -3.00],
+        axisError: 5,
+        powerError: 0.50,
+        sphereError: 0.50,
+        axisTypes: ['withTheRule', 'againstTheRule']
+    },
+    intermediate: {
+        label: 'Intermediate',
+        sphereRange: [-3.00, 2.00],
+        cylinderRange: [-1.00, -3.00],
+        axisError: 10,
+        powerError: 0.50,
+        sphereError: 0.75,
+        axisTypes: ['withTheRule', 'againstTheRule', 'oblique']
+    },
+    advanced: {
+        label: 'Advanced',
+        sphereRange: [-6.00, 4.00],
+        cylinderRange: [-0.75, -4.00],
+        axisError: 20,
+        powerError: 1.00,
+        sphereError: 1.00,
+        axisTypes: ['oblique', 'withTheRule', 'againstTheRule']
+    },
+    findCylinder: {
+        label: 'Find the cylinder',
+        sphereRange: [-2.00, 1.00],
+        cylinderRange: [-0.50, -1.50],
+        axisError: 0,
+        powerError: 0,
+        sphereError: 0.50,
+        axisTypes: ['withTheRule', 'againstTheRule', 'oblique'],
+        sphericalRetinoscopy: true
+    }
+};
+
+const CASE_AXIS_STEP = 5;     // Generated axes fall on 5° steps, which every axis step setting of the dials can reach
+const CASE_POWER_STEP = 0.25; // Lens powers come in 0.25 D steps
+
+/**
+ * Picks a random value between min and max (inclusive) that falls on a fixed step.
+ * @param {number} min Lower bound.
+ * @param {number} max Upper bound.
+ * @param {number} step Step size.
+ * @param {function} random Random number source returning [0, 1).
+ * @returns {number} The chosen value.
+ */
+function randomStep(min, max, step, random) {
+    const low = Math.min(min, max);
+    const high = Math.max(min, max);
+    const steps = Math.round((high - low) / step);
+    return low + Math.floor(random() * (steps + 1)) * step;
+}
+
+/**
+ * Generates a random case: a hidden true prescription and the retinoscopy result the trainee starts from.
+ * @param {string|object} settings A preset name from CASE_DIFFICULTY_PRESETS, or a settings object with the same fields.
+ * @param {function} [random=Math.random] Random number source returning [0, 1).
+ * @returns {{retinoscopyRx: object, trueRx: object, difficulty: string}} The generated case.
+ */
+function generateCase(settings, random = Math.random) {
+    const preset = typeof settings === 'string' ? CASE_DIFFICULTY_PRESETS[settings] : settings;
+    if (!preset) {
+        throw new Error(`Unknown case difficulty: ${settings}`);
+    }
+
+    // Hidden true prescription
+    const axisType = preset.axisTypes[Math.floor(random() * preset.axisTypes.length)];
+    const axisRanges = AXIS_TYPE_RANGES[axisType];
+    const [axisMin, axisMax] = axisRanges[Math.floor(random() * axisRanges.length)];
+    // A spherical retinoscopy result is the spherical equivalent, which only falls on a lens power for even cylinder steps
+    const cylinderStep = preset.sphericalRetinoscopy ? 2 * CASE_POWER_STEP : CASE_POWER_STEP;
+    const trueRx = {
+        sphere: randomStep(preset.sphereRange[0], preset.sphereRange[1], CASE_POWER_STEP, random),
+        cylinder: randomStep(preset.cylinderRange[0], preset.cylinderRange[1], cylinderStep, random),
+        axis: normaliseAxis(randomStep(axisMin, axisMax, CASE_AXIS_STEP, random))
+    };
+    const difficulty = typeof settings === 'string' ? settings : 'custom';
+
+    if (preset.sphericalRetinoscopy) {
+        return {
+            retinoscopyRx: { sphere: trueRx.sphere + trueRx.cylinder / 2, cylinder: 0, axis: 180 },
+            trueRx,
+            difficulty
+        };
+    }
+
+    // Retinoscopy result: the true prescription with an axis and power error applied
+    const axisSign = random() < 0.5 ? -1 : 1;
+    const axisOffset = randomStep(CASE_AXIS_STEP, Math.max(CASE_AXIS_STEP, preset.axisError), CASE_AXIS_STEP, random);
+
+    const powerSign = random() < 0.5 ? -1 : 1;
+    const powerOffset = randomStep(0.50, Math.max(0.50, preset.powerError), 0.50, random);
+    let retinoscopyCylinder = trueRx.cylinder + powerSign * powerOffset;
+    if (retinoscopyCylinder > -CASE_POWER_STEP) {
+        retinoscopyCylinder = trueRx.cylinder - powerOffset; // Never start from zero or plus cylinder
+    }
+
+    // Keep the spherical equivalent of the retinoscopy result equal to the true one,
+    // so compensating sphere while refining cylinder lands on the true sphere.
+    const retinoscopySphere = trueRx.sphere + (trueRx.cylinder - retinoscopyCylinder) / 2;
+
+    return {
+        retinoscopyRx: {
+            sphere: retinoscopySphere,
+            cylinder: retinoscopyCylinder,
+            axis: normaliseAxis(trueRx.axis + axisSign * axisOffset)
+        },
+        trueRx,
+        difficulty
+    };
+}
+
+/**
+ * Adds a retinoscopy sphere error to a case, so the trainee has a best vision sphere to find before the JCC.
+ * The error is never zero and falls on a lens power step; the true prescription is unchanged.
+ * @param {{retinoscopyRx: object, trueRx: object}} caseData The case.
+ * @param {number} maxError Largest sphere error in dioptres (see the sphereError preset field).
+ * @param {function} [random=Math.random] Random number source returning [0, 1).
+ * @returns {object} A copy of the case with the retinoscopy sphere shifted.
+ */
+function withSphereError(caseData, maxError, random = Math.random) {
+    const sign = random() < 0.5 ? -1 : 1;
+    const error = randomStep(CASE_POWER_STEP, Math.max(CASE_POWER_STEP, maxError), CASE_POWER_STEP, random);
+    return {
+        ...caseData,
+        retinoscopyRx: { ...caseData.retinoscopyRx, sphere: caseData.retinoscopyRx.sphere + sign * error }
+    };
+}
@@ -0,0 +1,313 @@
+// --- Simulator Core ---
+// Axis maths, prescription formatting and the guided-scenario state machine. Nothing here touches the
+// DOM or the simulator's global state: everything it needs is passed in, so it can be tested outside
+// the browser (see test/). script.js wires it to the page.
+
+// Geometry of the circular axis dials (from viewBox="0 0 100 100")
+const SVG_VIEWBOX_WIDTH = 100;
+const SVG_VIEWBOX_HEIGHT = 100;
+const SVG_CENTER_X = 50;
+const SVG_CENTER_Y = 50;
+const SVG_RADIUS = 40;
+
+// --- Axis Maths ---
+
+/**
+ * Rounds an angle to the nearest multiple of a step.
+ * @param {number} angle
+ * @param {number} step Step in degrees.
+ * @returns {number} Rounded angle.
+ */
+function roundToStep(angle, step) {
+    return Math.round(angle / step) * step;
+}
+
+/**
+ * Gets the display axis value (ensuring 0 is always displayed as 180 for optometric consistency).
+ * The value is not snapped: what is shown is exactly the axis held in state (and used by the patient),
+ * tidied to a tenth of a degree. Snapping happens when the trainee turns a dial (see snapAxis).
+ * @param {number} angle A raw angle (could be outside 0-180, e.g., from calculations).
+ * @returns {number} Display angle (0-180, where 0 becomes 180).
+ */
+function getDisplayAxis(angle) {
+    let displayAngle = Math.round(angle * 10) / 10;
+    displayAngle = displayAngle % 180;
+    if (displayAngle < 0) {
+        displayAngle += 180;
+    }
+    if (displayAngle === 0) {
+        return 180;
+    }
+    return displayAngle;
+}
+
+/**
+ * Snaps an angle set on a dial to an axis step and the 1-180 range.
+ * @param {number} angle A raw angle in degrees.
+ * @param {number} step Step in degrees.
+ * @returns {number} Snapped angle (1-180).
+ */
+function snapAxis(angle, step) {
+    return getDisplayAxis(roundToStep(angle, step));
+}
+
+/**
+ * Converts SVG coordinates to an optometric angle (0-180).
+ * This function now correctly interprets a 360-degree drag into a 0-180 optometric axis,
+ * where 0 is right, 90 is up, and 180 is left (increasing counter-clockwise).
+ * @param {{x: number, y: number}} svgCoords Mouse/touch coordinates in SVG space.
+ * @param {number} step Step in degrees the angle snaps to.
+ * @returns {number} The calculated optometric angle (1-180), snapped to the step.
+ */
+function svgCoordsToOptometricAxis(svgCoords, step) {
+    const deltaX = svgCoords.x - SVG_CENTER_X;
+    const deltaY = svgCoords.y - SVG_CENTER_Y;
+
+    // Math.atan2(y, x) calculates angle counter-clockwise from the positive X-axis.
+    // In SVG, positive Y is downwards. To get a standard mathematical CCW angle (Y positive upwards), negate deltaY.
+    let angleRad = Math.atan2(-deltaY, deltaX);
+    let angleDeg = angleRad * 180 / Math.PI;
+
+    // Normalize to 0-360 degrees, increasing counter-clockwise from right horizontal.
+    angleDeg = (angleDeg + 360) % 360;
+
+    // Map the 0-360 CCW angle to optometric 0-180 axis.
+    // Optometric axis folds the 360 circle into 180, where 0 and 180 are the same horizontal meridian.
+    let optometricAxis = angleDeg;
+    if (optometricAxis > 180) {
+        optometricAxis -= 180; // Example: 225 becomes 45 (225-180), 270 becomes 90 (270-180)
+    }
+    return snapAxis(optometricAxis, step);
+}
+
+/**
+ * Gets the red line axis of the JCC (its minus cylinder axis).
+ * Position 1 has the red line 45° clockwise of the handle, Position 2 45° counter-clockwise.
+ * @param {number} jccHandleAngle The JCC handle angle in degrees.
+ * @param {boolean} jccFlipped False for Position 1, true for Position 2.
+ * @returns {number} The red line axis (1-180).
+ */
+function getRedLineAxis(jccHandleAngle, jccFlipped) {
+    return getDisplayAxis(jccHandleAngle + (jccFlipped ? 45 : -45));
+}
+
+/**
+ * Gets the green line axis of the JCC (its plus cylinder axis), always 90° from the red line.
+ * @param {number} jccHandleAngle The JCC handle angle in degrees.
+ * @param {boolean} jccFlipped False for Position 1, true for Position 2.
+ * @returns {number} The green line axis (1-180).
+ */
+function getGreenLineAxis(jccHandleAngle, jccFlipped) {
+    return getDisplayAxis(jccHandleAngle + (jccFlipped ? -45 : 45));
+}
+
+// --- Prescription Formatting ---
+
+/**
+ * Formats a lens power with two decimals and an explicit sign for plus powers.
+ * @param {number} power Power in dioptres.
+ * @returns {string} e.g. "+0.25", "0.00" or "-2.00".
+ */
+function formatPower(power) {
+    const rounded = Math.round(power * 100) / 100;
+    return rounded > 0 ? `+${rounded.toFixed(2)}` : rounded.toFixed(2);
+}
+
+/**
+ * Formats a JCC power the way it is marked on the lens (a ±0.375 JCC is marked ±0.37).
+ * @param {number} power The JCC power in dioptres.
+ * @returns {string} Formatted power, e.g. "±0.25 D".
+ */
+function formatJCCPower(power) {
+    return `±${(Math.floor(power * 100) / 100).toFixed(2)} D`;
+}
+
+/**
+ * Converts a minus-cylinder prescription to a cylinder notation.
+ * @param {{sphere: number, cylinder: number, axis: number}} rx Prescription in minus-cylinder form.
+ * @param {'minus'|'plus'} notation The notation wanted.
+ * @returns {{sphere: number, cylinder: number, axis: number}} The same prescription in that notation.
+ */
+function toNotation(rx, notation) {
+    return notation === 'plus' ? transposeRx(rx) : rx;
+}
+
+/**
+ * Formats a minus-cylinder prescription as sphere / cylinder x axis text in a cylinder notation.
+ * @param {{sphere: number, cylinder: number, axis: number}} rx The prescription (minus-cylinder form).
+ * @param {'minus'|'plus'} notation The notation to show it in.
+ * @returns {string} e.g. "0.00 DS / -2.00 DC x 180°", or "-2.00 DS / +2.00 DC x 90°" in plus notation.
+ */
+function formatRxInNotation(rx, notation) {
+    const shown = toNotation(rx, notation);
+    if (shown.cylinder === 0) {
+        return `${formatPower(shown.sphere)} DS`; // A spherical lens has no axis
+    }
+    return `${formatPower(shown.sphere)} DS / ${formatPower(shown.cylinder)} DC x ${getDisplayAxis(shown.axis)}°`;
+}
+
+// --- Trial Lens Changes ---
+
+/**
+ * Changes the cylinder of a trial lens by one step in the trainee's notation. A spherical lens has no axis,
+ * so new cylinder goes in along the JCC's red line (minus cylinder) or, which is the same lens, its green
+ * line (plus cylinder).
+ * @param {{sphere: number, cylinder: number, axis: number}} rx The trial lens in minus-cylinder form.
+ * @param {number} delta Cylinder change in the chosen notation (e.g. -0.25 adds minus cylinder, +0.25 in plus notation adds plus cylinder).
+ * @param {'minus'|'plus'} notation The notation the trainee works in.
+ * @param {number} redLineAxis Red line axis of the JCC position in front of the eye.
+ * @returns {{sphere: number, cylinder: number, axis: number}|null} The new lens in minus-cylinder form, or null
+ *          when the lens has no cylinder left to take away.
+ */
+function getCylinderChange(rx, delta, notation, redLineAxis) {
+    // A plus-cylinder change leaves the plus-form sphere alone, so in minus form both sphere and cylinder move
+    const sphere = notation === 'plus' ? rx.sphere + delta : rx.sphere;
+    const cylinder = notation === 'plus' ? rx.cylinder - delta : rx.cylinder + delta;
+    if (cylinder > 0) return null;
+    return { sphere, cylinder, axis: rx.cylinder === 0 ? redLineAxis : rx.axis };
+}
+
+// --- Power Vectors ---
+
+/**
+ * Converts a prescription to power-vector form.
+ * @param {{sphere: number, cylinder: number, axis: number}} rx The prescription (either cylinder form).
+ * @returns {{M: number, J0: number, J45: number}} The power vector.
+ */
+function getRxPowerVector(rx) {
+    return rxToPowerVector(rx.sphere, rx.cylinder, rx.axis);
+}
+
+/**
+ * Follows one eye's trial lens through a session: the lens it started with, then each different lens
+ * recorded in the event log (every event carries a snapshot of the eye it concerns).
+ * @param {object[]} events Logged events (see eventlog.js), oldest first.
+ * @param {string} eyeId 'OD' or 'OS'.
+ * @param {{sphere: number, cylinder: number, axis: number}} startRx Trial lens the eye started with.
+ * @returns {{sphere: number, cylinder: number, axis: number}[]} The trial lenses in order, without repeats in a row.
+ */
+function getTrialLensTrail(events, eyeId, startRx) {
+    const trail = [{ sphere: startRx.sphere, cylinder: startRx.cylinder, axis: startRx.axis }];
+    events.filter(event => event.eye === eyeId).forEach(event => {
+        const last = trail[trail.length - 1];
+        if (event.sphere !== last.sphere || event.cylinder !== last.cylinder || event.axis !== last.axis) {
+            trail.push({ sphere: event.sphere, cylinder: event.cylinder, axis: event.axis });
+        }
+    });
+    return trail;
+}
+
+// --- Scenario State Machine ---
+// A scenario (see scenarios.js) is run one step at a time. The caller keeps the step index and the eye
+// state, applies the trainee's actions to the eye, and asks here whether an action completes the step
+// and which step comes next.
+
+/**
+ * Collects the state that scenario steps read from.
+ * Sphere, cylinder and axis are always in minus-cylinder form so completion predicates
+ * work in either notation. Axis values are in the same 1-180 form shown on screen.
+ * @param {{sphere: number, cylinder: number, axis: number, jccHandleAngle: number, jccFlipped: boolean}} eye The eye being refracted.
+ * @param {'minus'|'plus'} notation The notation the trainee works in.
+ * @returns {object} The tutor state.
+ */
+function buildTutorState(eye, notation) {
+    return {
+        sphere: eye.sphere,
+        cylinder: eye.cylinder,
+        axis: getDisplayAxis(eye.axis),
+        jccHandleAngle: getDisplayAxis(eye.jccHandleAngle),
+        jccFlipped: eye.jccFlipped,
+        redLineAxis: getRedLineAxis(eye.jccHandleAngle, eye.jccFlipped),
+        greenLineAxis: getGreenLineAxis(eye.jccHandleAngle, eye.jccFlipped),
+        // Handle along the cylinder axis as the trainee sees it (minus or plus axis)
+        axisCheckHandleAngle: getDisplayAxis(toNotation(eye, notation).axis),
+        // Handle 45° from the axis: Position 1 puts the red line on the minus axis, i.e. the green line on the plus axis
+        powerCheckHandleAngle: getDisplayAxis(eye.axis + 45)
+    };
+}
+
+/**
+ * Gets the values scenario text placeholders are filled from: the tutor state, with sphere, cylinder and
+ * axis shown in the trainee's notation and {retinoscopyRx} the starting prescription.
+ * @param {object} eye The eye being refracted (with its retinoscopyRx).
+ * @param {'minus'|'plus'} notation The notation the trainee works in.
+ * @returns {object} Placeholder values.
+ */
+function getScenarioTextValues(eye, notation) {
+    const shownRx = toNotation(eye, notation);
+    return {
+        ...buildTutorState(eye, notation),
+        sphere: formatPower(shownRx.sphere),
+        cylinder: formatPower(shownRx.cylinder),
+        axis: getDisplayAxis(shownRx.axis),
+        retinoscopyRx: formatRxInNotation(eye.retinoscopyRx, notation)
+    };
+}
+
+/**
+ * Fills {placeholders} in scenario text. Unknown placeholders are left as they are.
+ * @param {string} text Scenario text.
+ * @param {object} values Placeholder values.
+ * @returns {string} The filled-in text.
+ */
+function fillTemplate(text, values) {
+    return text.replace(/\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match));
+}
+
+/**
+ * Gets a step of a scenario, with its plus-cylinder overrides applied when the trainee works in plus cylinder.
+ * @param {object} scenario The scenario.
+ * @param {number} stepIndex Index of the step.
+ * @param {'minus'|'plus'} notation The notation the trainee works in.
+ * @returns {object|undefined} The step, or undefined past the end of the scenario.
+ */
+function getScenarioStep(scenario, stepIndex, notation) {
+    const step = scenario.steps[stepIndex];
+    if (step && notation === 'plus' && step.plus) {
+        return { ...step, ...step.plus };
+    }
+    return step;
+}
+
+/**
+ * Finds the step that follows a step, passing over any step whose skip predicate holds for the eye.
+ * @param {object} scenario The scenario.
+ * @param {number} stepIndex Index of the current step (-1 before the first).
+ * @param {object} eye The eye being refracted.
+ * @param {'minus'|'plus'} notation The notation the trainee works in.
+ * @returns {number} Index of the next step; the number of steps once the scenario is over.
+ */
+function findNextStepIndex(scenario, stepIndex, eye, notation) {
+    let next = stepIndex + 1;
+    while (next < scenario.steps.length) {
+        const step = getScenarioStep(scenario, next, notation);
+        if (!(step.skip && step.skip(buildTutorState(eye, notation)))) break;
+        next++;
+    }
+    return Math.min(next, scenario.steps.length);
+}
+
+/**
+ * Applies a step's setup (e.g. which JCC position is shown) to the eye as the step starts.
+ * @param {object} step The step.
+ * @param {object} eye The eye being refracted; changed in place.
+ * @returns {boolean} True if the step had a setup to apply.
+ */
+function applyStepSetup(step, eye) {
+    if (!step.setup) return false;
+    if ('jccFlipped' in step.setup) eye.jccFlipped = step.setup.jccFlipped;
+    return true;
+}
+
+/**
+ * Checks whether a trainee action completes a step: it must be the action the step waits for,
+ * and the step's completion predicate (if any) must hold for the tutor state after the action.
+ * @param {object|undefined} step The current step.
+ * @param {string} action The action, e.g. 'flip', 'slider' or 'confirmAxis'.
+ * @param {object} state The tutor state after the action (see buildTutorState).
+ * @returns {boolean} True if the step is complete.
+ */
+function isStepCompletedBy(step, action, state) {
+    if (!step || step.advanceOn !== action) return false;
+    return !step.complete || step.complete(state);
+}
@@ -0,0 +1,227 @@
+// --- Patient Dialogue ---
+// Turns the patient model's answers (see patient.js) into what a patient would actually say. Patients
+// don't know about red lines or cylinder axes: they say "two, I think" or "hmm, about the same".
+// The technical reading of each answer is built separately, for learners who want to see it.
+//
+// Phrases may use {shown} and {other} (the position numbers as words), {Shown} and {Other}
+// (capitalised), {shownOrdinal} and {otherOrdinal} ('first' or 'second'), and {fellowEye} ('left' or 'right').
+
+const JCC_ANSWER_PHRASES = {
+    clearer: [
+        `{Shown}, I think.`,
+        `This one. {Shown} is better.`,
+        `{Shown} is sharper.`,
+        `Oh, that's clearer.`,
+        `Better than {other}.`,
+        `I prefer this one.`,
+        `The {shownOrdinal} one, definitely.`
+    ],
+    blurred: [
+        `{Other} was better.`,
+        `The {otherOrdinal} one was sharper.`,
+        `Hmm, this one's blurrier.`,
+        `Worse than {other}.`,
+        `I preferred {other}.`,
+        `{Other}, I think.`
+    ],
+    equal: [
+        `Hmm, about the same.`,
+        `They look the same to me.`,
+        `I can't really tell the difference.`,
+        `Both are equally blurry.`,
+        `Pretty much identical.`,
+        `No difference, really.`
+    ],
+    again: [
+        `Hmm, I'm not sure. Can you show me {one} and {two} again?`,
+        `Sorry, could I see them both again?`,
+        `I missed that. Can you show me {one} and {two} again?`
+    ],
+    looking: [
+        `That's {shown}...`,
+        `Okay, {shown}...`,
+        `Mm-hm, {shown}...`
+    ],
+    bothEyesOpen: [
+        `I'm looking with both eyes, so I can't tell. Could you cover my {fellowEye} eye?`,
+        `Everything's a bit blurry with both eyes open. Should I cover my {fellowEye} eye?`
+    ]
+};
+
+// What the patient says when the eyes are compared during binocular balancing.
+const BALANCE_ANSWER_PHRASES = {
+    OD: [`The right eye is clearer.`, `Right, I think.`, `The right one is a bit sharper.`],
+    OS: [`The left eye is clearer.`, `Left, I think.`, `The left one is a bit sharper.`],
+    equal: [`Both eyes look the same.`, `About the same in each eye.`, `I can't tell them apart.`]
+};
+
+// What the patient says after the trial sphere is changed, compared with the lens before.
+const SPHERE_ANSWER_PHRASES = {
+    clearer: [`That's clearer.`, `Better.`, `Yes, sharper now.`, `That helps.`],
+    blurred: [`Worse.`, `That's more blurry.`, `No, that's worse.`, `Blurrier.`],
+    same: [`About the same.`, `No real difference.`, `I can't tell the difference.`],
+    darker: [`The letters look smaller and darker.`, `Smaller, but darker.`, `Not clearer, just smaller and blacker.`],
+    bothEyesOpen: JCC_ANSWER_PHRASES.bothEyesOpen
+};
+
+// What the patient says on the red-green duochrome.
+const DUOCHROME_ANSWER_PHRASES = {
+    red: [`The letters on the red are clearer.`, `Red, I think.`, `The red side is sharper.`],
+    green: [`The letters on the green are clearer.`, `Green, I think.`, `The green side is sharper.`],
+    equal: [`They look the same on both.`, `About equal.`, `Both sides are the same.`],
+    bothEyesOpen: JCC_ANSWER_PHRASES.bothEyesOpen
+};
+
+const POSITION_WORDS = { 1: 'one', 2: 'two' };
+const POSITION_ORDINALS = { 1: 'first', 2: 'second' };
+
+/**
+ * Capitalises the first letter of a phrase.
+ * @param {string} text The phrase.
+ * @returns {string} The phrase starting with a capital letter.
+ */
+function capitalise(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Picks one of several phrases at random, avoiding the phrase said last time so answers don't sound scripted.
+ * @param {string[]} phrases Phrases to choose from.
+ * @param {string} [previous] Phrase (template) picked last time.
+ * @param {function} [random=Math.random] Uniform random number generator.
+ * @returns {string} The chosen phrase template.
+ */
+function pickPhrase(phrases, previous, random = Math.random) {
+    const choices = phrases.length > 1 ? phrases.filter(phrase => phrase !== previous) : phrases;
+    return choices[Math.floor(random() * choices.length)];
+}
+
+/**
+ * Gets the placeholder values for a JCC answer phrase.
+ * @param {number} shownPosition The JCC position being viewed (1 or 2).
+ * @param {string} fellowEye The eye that should be covered ('left' or 'right').
+ * @returns {object} Placeholder values.
+ */
+function getJCCPhraseValues(shownPosition, fellowEye) {
+    const otherPosition = shownPosition === 1 ? 2 : 1;
+    return {
+        one: POSITION_WORDS[1],
+        two: POSITION_WORDS[2],
+        shown: POSITION_WORDS[shownPosition],
+        other: POSITION_WORDS[otherPosition],
+        Shown: capitalise(POSITION_WORDS[shownPosition]),
+        Other: capitalise(POSITION_WORDS[otherPosition]),
+        shownOrdinal: POSITION_ORDINALS[shownPosition],
+        otherOrdinal: POSITION_ORDINALS[otherPosition],
+        fellowEye
+    };
+}
+
+/**
+ * Gets what the patient says about a JCC position.
+ * @param {string} response The patient's answer ('clearer', 'blurred', 'equal', 'again', 'looking' or 'bothEyesOpen').
+ * @param {number} shownPosition The JCC position being viewed (1 or 2).
+ * @param {{previous: string, fellowEye: string, random: function}} [options] The phrase said last time (to avoid
+ *        repeating it), the eye that should be covered, and a random number generator (defaults to Math.random).
+ * @returns {{words: string, phrase: string}} The patient's words and the phrase template they came from.
+ */
+function getJCCAnswerWords(response, shownPosition, options = {}) {
+    const phrase = pickPhrase(JCC_ANSWER_PHRASES[response], options.previous, options.random);
+    return { words: fillTemplate(phrase, getJCCPhraseValues(shownPosition, options.fellowEye || 'other')), phrase };
+}
+
+/**
+ * Explains a JCC answer in technical terms, for learners.
+ * @param {string} response The patient's answer (see getJCCAnswerWords).
+ * @param {number} shownPosition The JCC position being viewed (1 or 2).
+ * @param {number} redLineAxis Red line axis of the position shown, in degrees.
+ * @param {number} greenLineAxis Green line axis of the position shown, in degrees.
+ * @returns {string} e.g. "Position 2 (red line at 45°, green line at 135°): clearer than Position 1."
+ */
+function explainJCCAnswer(response, shownPosition, redLineAxis, greenLineAxis) {
+    const otherPosition = shownPosition === 1 ? 2 : 1;
+    const meanings = {
+        clearer: `clearer than Position ${otherPosition}.`,
+        blurred: `more blurred than Position ${otherPosition}.`,
+        equal: `equally blurred.`,
+        again: `the patient could not decide and wants to see both positions again.`,
+        looking: `being shown again; the patient answers once both positions have been seen.`,
+        bothEyesOpen: `no answer, because the fellow eye is not occluded.`
+    };
+    return `Position ${shownPosition} (red line at ${redLineAxis}°, green line at ${greenLineAxis}°): ${meanings[response]}`;
+}
+
+/**
+ * Gets what the patient says when the eyes are compared during binocular balancing.
+ * @param {'OD'|'OS'|'equal'} response The eye that sees more clearly (see getBinocularBalanceResponse).
+ * @param {{previous: string, random: function}} [options] The phrase said last time and a random number generator.
+ * @returns {{words: string, phrase: string}} The patient's words and the phrase template they came from.
+ */
+function getBalanceAnswerWords(response, options = {}) {
+    return getSphereCheckWords(BALANCE_ANSWER_PHRASES[response], options);
+}
+
+/**
+ * Gets what the patient says after the trial sphere is changed.
+ * @param {'clearer'|'blurred'|'same'|'darker'|'bothEyesOpen'} response How the chart compares (see getSphereChangeResponse).
+ * @param {{previous: string, fellowEye: string, random: function}} [options] The phrase said last time, the eye
+ *        that should be covered, and a random number generator.
+ * @returns {{words: string, phrase: string}} The patient's words and the phrase template they came from.
+ */
+function getSphereAnswerWords(response, options = {}) {
+    return getSphereCheckWords(SPHERE_ANSWER_PHRASES[response], options);
+}
+
+/**
+ * Gets what the patient says on the duochrome.
+ * @param {'red'|'green'|'equal'|'bothEyesOpen'} response The clearer half (see getDuochromeResponse).
+ * @param {{previous: string, fellowEye: string, random: function}} [options] The phrase said last time, the eye
+ *        that should be covered, and a random number generator.
+ * @returns {{words: string, phrase: string}} The patient's words and the phrase template they came from.
+ */
+function getDuochromeAnswerWords(response, options = {}) {
+    return getSphereCheckWords(DUOCHROME_ANSWER_PHRASES[response], options);
+}
+
+/**
+ * Picks a phrase for an answer about the sphere or the balance, where the only placeholder is {fellowEye}.
+ * @param {string[]} phrases Phrases to choose from.
+ * @param {{previous: string, fellowEye: string, random: function}} options See getSphereAnswerWords.
+ * @returns {{words: string, phrase: string}} The patient's words and the phrase template they came from.
+ */
+function getSphereCheckWords(phrases, options) {
+    const phrase = pickPhrase(phrases, options.previous, options.random);
+    return { words: fillTemplate(phrase, { fellowEye: options.fellowEye || 'other' }), phrase };
+}
+
+/**
+ * Explains an answer to a sphere change in technical terms, for learners.
+ * @param {string} response The patient's answer (see getSphereAnswerWords).
+ * @param {number} delta The sphere change (D).
+ * @returns {string} e.g. "Sphere changed by -0.25 DS: clearer than before."
+ */
+function explainSphereAnswer(response, delta) {
+    const meanings = {
+        clearer: `clearer than before.`,
+        blurred: `more blurred than before.`,
+        same: `no clearer and no more blurred.`,
+        darker: `no clearer, only smaller and darker, so the eye is accommodating to clear extra minus.`,
+        bothEyesOpen: `no answer, because the fellow eye is not occluded.`
+    };
+    return `Sphere changed by ${formatPower(delta)} DS: ${meanings[response]}`;
+}
+
+/**
+ * Explains a duochrome answer in technical terms, for learners.
+ * @param {string} response The patient's answer (see getDuochromeAnswerWords).
+ * @returns {string} e.g. "Duochrome: red clearer, so the eye is under-minused (add minus sphere)."
+ */
+function explainDuochromeAnswer(response) {
+    const meanings = {
+        red: `red clearer, so the eye is under-minused (add minus sphere).`,
+        green: `green clearer, so the eye is over-minused (add plus sphere).`,
+        equal: `red and green equally clear, so the sphere is balanced.`,
+        bothEyesOpen: `no answer, because the fellow eye is not occluded.`
+    };
+    return `Duochrome: ${meanings[response]}`;
+}
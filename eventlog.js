@@ -0,0 +1,62 @@
+// --- Session Event Log ---
+// Timestamps every trainee action so instructors can collect and review a lab session afterwards.
+// Each event carries a snapshot of the eye being refracted after the action. Prescription values
+// in the snapshot are in minus-cylinder form, whichever notation the trainee used.
+
+// Columns of the CSV export, in order.
+const EVENT_LOG_CSV_COLUMNS = ['time', 'elapsedSeconds', 'type', 'eye', 'value', 'sphere', 'cylinder', 'axis', 'jccHandleAngle', 'jccFlipped', 'detail'];
+
+/**
+ * Creates an empty event log.
+ * @param {number} [now=Date.now()] Start time in milliseconds.
+ * @returns {{startTime: number, events: object[]}} The log.
+ */
+function createEventLog(now = Date.now()) {
+    return { startTime: now, events: [] };
+}
+
+/**
+ * Adds an event to the log.
+ * @param {{startTime: number, events: object[]}} log The log.
+ * @param {string} type Event type, e.g. 'flip', 'lensRotation', 'cylinderChange', 'confirmAxis' or 'patientAnswer'.
+ * @param {object} state Snapshot of the eye after the action ({eye, sphere, cylinder, axis, jccHandleAngle, jccFlipped}).
+ * @param {{value: (number|string), detail: string}} [data] Value the action set and any free text (e.g. the patient's words).
+ * @param {number} [now=Date.now()] Event time in milliseconds.
+ * @returns {object} The logged event.
+ */
+function logEvent(log, type, state, data = {}, now = Date.now()) {
+    const event = {
+        time: new Date(now).toISOString(),
+        elapsedSeconds: Math.round(now - log.startTime) / 1000,
+        type,
+        ...state,
+        value: data.value === undefined ? null : data.value,
+        detail: data.detail || ''
+    };
+    log.events.push(event);
+    return event;
+}
+
+/**
+ * Serialises the log as JSON.
+ * @param {{startTime: number, events: object[]}} log The log.
+ * @param {object} [session] Extra information about the session (mode, settings, cases).
+ * @returns {string} Pretty-printed JSON.
+ */
+function eventLogToJSON(log, session = {}) {
+    return JSON.stringify({ ...session, startTime: new Date(log.startTime).toISOString(), events: log.events }, null, 2);
+}
+
+/**
+ * Serialises the log as CSV, one row per event.
+ * @param {{startTime: number, events: object[]}} log The log.
+ * @returns {string} CSV text with a header row.
+ */
+function eventLogToCSV(log) {
+    const escapeField = value => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const rows = log.events.map(event => EVENT_LOG_CSV_COLUMNS.map(column => escapeField(event[column])).join(','));
+    return [EVENT_LOG_CSV_COLUMNS.join(','), ...rows].join('\r\n');
+}
@@ -0,0 +1,408 @@
+// --- Tutor Hints ---
+// Explains what went wrong when a trainee action does not do what the tutor step, or the patient's last
+// answer, asked for. Making the same mistake again gets a more explicit hint: first a nudge, then the rule
+// behind it, then the exact move to make.
+
+// Hint texts for each kind of mistake, one per level. Mistakes that read differently in plus cylinder have
+// minus and plus versions. {placeholders} are filled from the diagnosis.
+const HINT_TEXTS = {
+    lensAway: {
+        minus: [
+            `You rotated the lens away from the red line.`,
+            `With minus cylinder you chase the red: turn the lens axis towards the red line of the position the patient preferred.`,
+            `Turn the lens axis towards {target}°.`
+        ],
+        plus: [
+            `You rotated the lens away from the green line.`,
+            `With plus cylinder you chase the green: turn the lens axis towards the green line of the position the patient preferred.`,
+            `Turn the lens axis towards {target}°.`
+        ]
+    },
+    lensOff: [
+        `The lens axis is not where the patient's answers put it yet.`,
+        `Turn the lens by the amount the tutor gave, no further.`,
+        `Set the lens axis to {target}°.`
+    ],
+    handleAxisCheck: [
+        `The JCC handle is not along the lens axis yet.`,
+        `For an axis check the handle lies along the trial lens axis, so the red and green lines sit 45° either side of it.`,
+        `Set the JCC handle to {target}°.`
+    ],
+    handlePowerCheck: {
+        minus: [
+            `The JCC's red line is not on the lens axis yet.`,
+            `For a power check the red and green lines lie along the lens axis, so the handle sits 45° from it.`,
+            `Set the JCC handle to {target}°, which puts the red line on the lens axis in Position 1.`
+        ],
+        plus: [
+            `The JCC's green line is not on the lens axis yet.`,
+            `For a power check the red and green lines lie along the lens axis, so the handle sits 45° from it.`,
+            `Set the JCC handle to {target}°, which puts the green line on the lens axis in Position 1.`
+        ]
+    },
+    handleOff: [
+        `The JCC handle is not where this step needs it yet.`,
+        `Check the angle in the tutor's instruction and turn the JCC handle dial, not the lens dial.`,
+        `Set the JCC handle to {target}°.`
+    ],
+    powerWrongWay: {
+        minus: [
+            `That changed the cylinder power the wrong way.`,
+            `With minus cylinder: red line along the lens axis preferred means add minus cylinder, green line along the axis preferred means take it away.`,
+            `Click {button}.`
+        ],
+        plus: [
+            `That changed the cylinder power the wrong way.`,
+            `With plus cylinder: green line along the lens axis preferred means add plus cylinder, red line along the axis preferred means take it away.`,
+            `Click {button}.`
+        ]
+    },
+    sphereCompensation: {
+        minus: [
+            `That moved the sphere the wrong way for sphere compensation.`,
+            `Keep the spherical equivalent: +0.25 DS for every -0.50 DC added, -0.25 DS for every -0.50 DC taken away.`,
+            `Click {button}.`
+        ],
+        plus: [
+            `That moved the sphere the wrong way for sphere compensation.`,
+            `Keep the spherical equivalent: -0.25 DS for every +0.50 DC added, +0.25 DS for every +0.50 DC taken away.`,
+            `Click {button}.`
+        ]
+    },
+    wrongAction: [
+        `That is not what this step asks for.`,
+        `Read the tutor's instruction again: this step needs {expected}.`,
+        `Use {expected} now.`
+    ],
+    powerOff: [
+        `The cylinder is not at the power this step asks for yet.`,
+        `Each click changes the cylinder by 0.25 DC, so a click the wrong way has to be taken back with the other button.`,
+        `Click {button}.`
+    ],
+    sphereOff: [
+        `The sphere is not at the power this step asks for yet.`,
+        `Each click changes the sphere by 0.25 DS, so a click the wrong way has to be taken back with the other button.`,
+        `Click {button}.`
+    ],
+    confirmPowerTooSoon: [
+        `The trial lens is not at the power the JCC answers led to yet.`,
+        `Confirm the power only once the cylinder is where the power checks led and its sphere compensation is in.`,
+        `Set the trial lens to {sphere} DS / {cylinder} DC before confirming.`
+    ],
+    confirmSphereTooSoon: [
+        `The sphere is not where the patient's answers put it yet.`,
+        `Confirm the sphere only once the patient's answers stop asking for a change.`,
+        `Set the sphere to {sphere} DS before confirming.`
+    ],
+    confirmAxisTooSoon: [
+        `The lens axis is not where the patient's answers put it yet.`,
+        `Confirm the axis only once it sits where the JCC answers led you.`,
+        `Set the lens axis to {target}° before confirming.`
+    ],
+    cylinderAxis: {
+        minus: [
+            `You added cylinder away from the red line the patient preferred.`,
+            `Minus cylinder goes in along the red line of the position the patient preferred: show that position before adding cylinder.`,
+            `Flip the JCC so its red line is at {target}°, then add cylinder.`
+        ],
+        plus: [
+            `You added cylinder away from the green line the patient preferred.`,
+            `Plus cylinder goes in along the green line of the position the patient preferred: show that position before adding cylinder.`,
+            `Flip the JCC so its green line is at {target}°, then add cylinder.`
+        ]
+    },
+    sphereWrongWay: [
+        `That moved the sphere the opposite way to the duochrome answer.`,
+        `On the duochrome, red clearer means add minus sphere and green clearer means add plus sphere.`,
+        `The letters were clearer on the {colour}: click {button}.`
+    ],
+    skippedAxisCheck: [
+        `You confirmed the axis without checking it with the JCC since the last change.`,
+        `After any change to the lens, flip the JCC with the handle along the lens axis before confirming the axis.`,
+        `Set the JCC handle to {target}°, flip it until both positions are equally blurred, then confirm the axis.`
+    ],
+    skippedPowerCheck: [
+        `You confirmed the power without checking it with the JCC since the last change.`,
+        `After any change to the lens, flip the JCC with its lines along the lens axis before confirming the power.`,
+        `Set the JCC handle to {target}°, flip it until both positions are equally blurred, then confirm the power.`
+    ],
+    powerBeforeAxis: [
+        `You changed the power before confirming the axis.`,
+        `Refine the axis first: until it is right, a power check compares the wrong meridians.`,
+        `Set the JCC handle to {target}°, flip until both positions are equally blurred and click 'Confirm Axis' before changing power.`
+    ]
+};
+
+// How the hints name each control.
+const HINT_ACTION_LABELS = {
+    flip: `'Flip JCC'`,
+    increasePower: `'Increase Power'`,
+    decreasePower: `'Decrease Power'`,
+    plusSphere: `'Add Plus Sphere'`,
+    minusSphere: `'Add Minus Sphere'`,
+    confirmAxis: `'Confirm Axis'`,
+    confirmPower: `'Confirm Power'`,
+    confirmSphere: `'Confirm Sphere'`
+};
+
+// Axis resolution searched when working out which dial setting completes a step.
+const HINT_TARGET_STEP = 0.5;
+
+// Sphere and cylinder powers searched when working out which lens completes a step: -10.00 to +10.00 D in 0.25 D steps.
+const HINT_TARGET_POWERS = Array.from({ length: 81 }, (value, index) => index * 0.25 - 10);
+
+/**
+ * Creates an empty hint tracker for a new case.
+ * repeats counts each kind of mistake so far, and axisConfirmed notes which eyes have had their current axis confirmed.
+ * @returns {object} The tracker.
+ */
+function createHintTracker() {
+    return {
+        repeats: {},
+        axisConfirmed: {}
+    };
+}
+
+/**
+ * Gets the hint for a mistake and counts it. Each repeat of the same kind of mistake moves the hint one level up.
+ * @param {object} tracker The hint tracker.
+ * @param {{type: string}} diagnosis The mistake (see diagnoseTutorialAction and diagnoseWrongMove), with any
+ *        placeholder values its hint texts use.
+ * @param {'minus'|'plus'} notation The notation the trainee works in.
+ * @returns {{type: string, level: number, text: string}} The hint, at level 1 to 3.
+ */
+function getHint(tracker, diagnosis, notation) {
+    const texts = HINT_TEXTS[diagnosis.type];
+    const levels = Array.isArray(texts) ? texts : texts[notation];
+    const repeats = tracker.repeats[diagnosis.type] || 0;
+    tracker.repeats[diagnosis.type] = repeats + 1;
+    const level = Math.min(repeats, levels.length - 1);
+    return { type: diagnosis.type, level: level + 1, text: fillTemplate(levels[level], diagnosis) };
+}
+
+/**
+ * Starts every kind of mistake again from the first hint level, e.g. when a tutorial step is completed.
+ * @param {object} tracker The hint tracker.
+ */
+function resetHintLevels(tracker) {
+    tracker.repeats = {};
+}
+
+/**
+ * Finds the setting that would complete a step: the value of one tutor state field, closest to its
+ * current value, for which the step's completion predicate holds.
+ * @param {object} step The current step.
+ * @param {object} state The tutor state (see buildTutorState).
+ * @param {'axis'|'jccHandleAngle'|'sphere'|'cylinder'} field A dial's field, or a power of the trial lens (minus-cylinder form).
+ * @returns {number|null} The setting (an axis 1-180 or a power in dioptres), or null if no setting completes the step.
+ */
+function findStepTarget(step, state, field) {
+    const isPower = field === 'sphere' || field === 'cylinder';
+    const distance = value => (isPower ? Math.abs(value - state[field]) : getAxisDifference(value, state[field]));
+    let target = null;
+    const check = value => {
+        if (!step.complete({ ...state, [field]: value })) return;
+        if (target === null || distance(value) < distance(target)) {
+            target = value;
+        }
+    };
+    if (isPower) {
+        HINT_TARGET_POWERS.forEach(check);
+    } else {
+        for (let value = HINT_TARGET_STEP; value <= 180; value += HINT_TARGET_STEP) check(value);
+    }
+    return target;
+}
+
+/**
+ * Finds the sphere and cylinder that would complete a step, closest to the trial lens, for steps that need both.
+ * @param {object} step The current step.
+ * @param {object} state The tutor state (see buildTutorState).
+ * @returns {{sphere: number, cylinder: number}|null} The powers (minus-cylinder form), or null if none complete the step.
+ */
+function findPowerTarget(step, state) {
+    let target = null;
+    HINT_TARGET_POWERS.forEach(sphere => {
+        const cylinder = findStepTarget(step, { ...state, sphere }, 'cylinder');
+        if (cylinder === null) return;
+        const distance = Math.abs(sphere - state.sphere) + Math.abs(cylinder - state.cylinder);
+        if (target === null || distance < target.distance) {
+            target = { sphere, cylinder, distance };
+        }
+    });
+    return target && { sphere: target.sphere, cylinder: target.cylinder };
+}
+
+/**
+ * Describes the clicks that take the trial lens from its power to a step's target, e.g. for a step left
+ * out of reach by a click the wrong way.
+ * @param {object} state The tutor state (see buildTutorState).
+ * @param {'sphere'|'cylinder'} field The power to change.
+ * @param {number} target The power the step needs (minus-cylinder form).
+ * @param {'minus'|'plus'} notation The notation the trainee works in.
+ * @returns {string} The button to click and the power to stop at, for a hint's {button} placeholder.
+ */
+function describePowerMove(state, field, target, notation) {
+    const shown = toNotation({ sphere: state.sphere, cylinder: state.cylinder, axis: state.axis, [field]: target }, notation);
+    if (field === 'sphere') {
+        return `${HINT_ACTION_LABELS[target > state.sphere ? 'plusSphere' : 'minusSphere']} until the sphere reads ${formatPower(shown.sphere)} DS`;
+    }
+    // Increase Power adds minus cylinder in minus notation and plus cylinder in plus notation:
+    // either way the minus-cylinder form gets more negative
+    return `${HINT_ACTION_LABELS[target < state.cylinder ? 'increasePower' : 'decreasePower']} until the cylinder reads ${formatPower(shown.cylinder)} DC`;
+}
+
+/**
+ * Works out what went wrong when a sphere or cylinder button leaves a step's power out of reach.
+ * @param {object} step The current step.
+ * @param {object} state The tutor state after the action (see buildTutorState).
+ * @param {'sphere'|'cylinder'} field The power the button changed.
+ * @param {string} type The diagnosis type.
+ * @param {string} fallbackButton The button to name when the step's power cannot be worked out.
+ * @param {'minus'|'plus'} notation The notation the trainee works in.
+ * @returns {{type: string, button: string}} The diagnosis.
+ */
+function diagnosePowerButton(step, state, field, type, fallbackButton, notation) {
+    const target = step.complete ? findStepTarget(step, state, field) : null;
+    return { type, button: target === null ? fallbackButton : describePowerMove(state, field, target, notation) };
+}
+
+/**
+ * Works out what went wrong when a trainee action does not complete the current tutorial step.
+ * A dial turned closer to where the step needs it is progress, not a mistake, so stepping a dial with
+ * the arrow keys only gets a hint when a step goes the wrong way.
+ * @param {object|undefined} step The current step (see scenarios.js).
+ * @param {string} action The action taken (see isStepCompletedBy).
+ * @param {object|null} before The tutor state before the action (see buildTutorState); needed for dial actions.
+ * @param {object} after The tutor state after the action.
+ * @param {'minus'|'plus'} notation The notation the trainee works in.
+ * @returns {object|null} The diagnosis ({type} plus placeholder values), or null if there is nothing to explain.
+ */
+function diagnoseTutorialAction(step, action, before, after, notation) {
+    if (!step || !step.advanceOn) return null;
+
+    const powerButtons = ['increasePower', 'decreasePower'];
+    const sphereButtons = ['plusSphere', 'minusSphere'];
+    if (action !== step.advanceOn) {
+        const button = HINT_ACTION_LABELS[step.advanceOn];
+        if (powerButtons.includes(action) && powerButtons.includes(step.advanceOn)) {
+            return diagnosePowerButton(step, after, 'cylinder', 'powerWrongWay', button, notation);
+        }
+        if (sphereButtons.includes(action) && sphereButtons.includes(step.advanceOn)) {
+            return diagnosePowerButton(step, after, 'sphere', 'sphereCompensation', button, notation);
+        }
+        const dial = step.controls.includes('lensRotation') ? 'the trial lens dial' : 'the JCC handle dial';
+        return { type: 'wrongAction', expected: step.advanceOn === 'slider' ? dial : button };
+    }
+    if (!step.complete) return null;
+
+    if (powerButtons.includes(action)) {
+        return diagnosePowerButton(step, after, 'cylinder', 'powerOff', HINT_ACTION_LABELS[action], notation);
+    }
+    if (sphereButtons.includes(action)) {
+        return diagnosePowerButton(step, after, 'sphere', 'sphereOff', HINT_ACTION_LABELS[action], notation);
+    }
+    if (action === 'confirmAxis') {
+        const target = findStepTarget(step, after, 'axis');
+        return target === null ? null : { type: 'confirmAxisTooSoon', target: getHintAxis(target, notation) };
+    }
+    if (action === 'confirmPower') {
+        const target = findPowerTarget(step, after);
+        if (target === null) return null;
+        const shown = toNotation({ ...target, axis: after.axis }, notation);
+        return { type: 'confirmPowerTooSoon', sphere: formatPower(shown.sphere), cylinder: formatPower(shown.cylinder) };
+    }
+    if (action === 'confirmSphere') {
+        const target = findStepTarget(step, after, 'sphere');
+        if (target === null) return null;
+        const shown = toNotation({ sphere: target, cylinder: after.cylinder, axis: after.axis }, notation);
+        return { type: 'confirmSphereTooSoon', sphere: formatPower(shown.sphere) };
+    }
+    if (action !== 'slider' || !before) return null;
+
+    const field = after.axis !== before.axis ? 'axis' : 'jccHandleAngle';
+    if (after[field] === before[field]) return null;
+    const target = findStepTarget(step, after, field);
+    if (target === null) return null;
+    const distanceBefore = getAxisDifference(before[field], target);
+    const distanceAfter = getAxisDifference(after[field], target);
+    if (distanceAfter < distanceBefore) return null;
+
+    if (field === 'axis') {
+        return { type: distanceAfter > distanceBefore ? 'lensAway' : 'lensOff', target: getHintAxis(target, notation) };
+    }
+    if (target === after.axisCheckHandleAngle) return { type: 'handleAxisCheck', target };
+    if (target === after.powerCheckHandleAngle) return { type: 'handlePowerCheck', target };
+    return { type: 'handleOff', target };
+}
+
+/**
+ * Works out the hint for a wrong move the performance tracker recorded during free practice (see scoring.js).
+ * @param {{type: 'rotation'|'power'|'cylinderAxis'|'sphere'}} wrongMove The wrong move.
+ * @param {object} preferences The eye's tracked answers before the move (see getTrackedEye).
+ * @param {'minus'|'plus'} notation The notation the trainee works in.
+ * @returns {object} The diagnosis ({type} plus placeholder values).
+ */
+function diagnoseWrongMove(wrongMove, preferences, notation) {
+    switch (wrongMove.type) {
+        case 'rotation':
+            return { type: 'lensAway', target: getHintAxis(preferences.axisPreference, notation) };
+        case 'power': {
+            // More minus cylinder is the increase button in minus notation and the decrease button in plus
+            const addMinus = preferences.powerPreference === 'more';
+            return { type: 'powerWrongWay', button: HINT_ACTION_LABELS[addMinus === (notation === 'minus') ? 'increasePower' : 'decreasePower'] };
+        }
+        case 'cylinderAxis':
+            return { type: 'cylinderAxis', target: getHintAxis(preferences.cylinderPreference, notation) };
+        default:
+            return preferences.spherePreference === 'minus'
+                ? { type: 'sphereWrongWay', colour: 'red', button: HINT_ACTION_LABELS.minusSphere }
+                : { type: 'sphereWrongWay', colour: 'green', button: HINT_ACTION_LABELS.plusSphere };
+    }
+}
+
+/**
+ * Works out the hint for a confirmation made without a JCC check since the last change (see recordConfirmation).
+ * @param {{type: 'axis'|'power'}} recheck The skipped re-check.
+ * @param {object} state The tutor state (see buildTutorState).
+ * @returns {object} The diagnosis ({type} plus placeholder values).
+ */
+function diagnoseSkippedRecheck(recheck, state) {
+    return recheck.type === 'axis'
+        ? { type: 'skippedAxisCheck', target: state.axisCheckHandleAngle }
+        : { type: 'skippedPowerCheck', target: state.powerCheckHandleAngle };
+}
+
+/**
+ * Notes that an eye's axis has been confirmed, or that it has moved since (see diagnoseCylinderChangeOrder).
+ * @param {object} tracker The hint tracker.
+ * @param {string} eyeId 'OD' or 'OS'.
+ * @param {boolean} confirmed True when the axis is confirmed, false when the lens has been rotated.
+ */
+function recordHintAxisConfirmed(tracker, eyeId, confirmed) {
+    tracker.axisConfirmed[eyeId] = confirmed;
+}
+
+/**
+ * Checks a cylinder power change against the order of the routine: the axis is refined and confirmed before
+ * the power. Cylinder added to a spherical lens has no axis to confirm yet.
+ * @param {object} tracker The hint tracker.
+ * @param {string} eyeId Eye being refracted.
+ * @param {number} fromCylinder Minus-cylinder power before the change.
+ * @param {object} state The tutor state after the change (see buildTutorState).
+ * @returns {object|null} A 'powerBeforeAxis' diagnosis, or null if the order was right.
+ */
+function diagnoseCylinderChangeOrder(tracker, eyeId, fromCylinder, state) {
+    if (fromCylinder === 0 || tracker.axisConfirmed[eyeId]) return null;
+    return { type: 'powerBeforeAxis', target: state.axisCheckHandleAngle };
+}
+
+/**
+ * Shows a minus-cylinder axis in the trainee's notation, for a hint.
+ * @param {number} axis Minus-cylinder axis (or red line axis) in degrees.
+ * @param {'minus'|'plus'} notation The notation the trainee works in.
+ * @returns {number} The axis (1-180); in plus notation the matching plus-cylinder axis (or green line).
+ */
+function getHintAxis(axis, notation) {
+    return getDisplayAxis(notation === 'plus' ? axis + 90 : axis);
+}
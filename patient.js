@@ -0,0 +1,508 @@
+// --- Simulated Patient Model ---
+// The patient holds a hidden "true" refraction. Every answer is worked out from the
+// residual astigmatism left over once the trial lens and the JCC are placed in front of the eye.
+
+// Smallest difference in residual cylinder (in dioptres) between the two JCC positions
+// that a patient with normal acuity can still tell apart through a ±0.25 JCC.
+// Anything smaller is reported as "equally blurred".
+const PATIENT_DISCRIMINATION_THRESHOLD = 0.12;
+
+// JCC power the base threshold above refers to.
+const REFERENCE_JCC_POWER = 0.25;
+
+// JCC lenses available in the trial set. A ±0.37 JCC is really ±0.375 D.
+const JCC_POWERS = [0.25, 0.375, 0.50, 1.00];
+
+// Best-corrected acuity of the simulated patient. Reduced acuity means a bigger blur change
+// is needed before the patient notices it, so the discrimination threshold is multiplied by thresholdFactor.
+// minimumAngle is the smallest detail (in minutes of arc) the eye resolves when fully corrected.
+const PATIENT_ACUITY_LEVELS = {
+    '6/6': { label: '6/6 (normal)', thresholdFactor: 1, minimumAngle: 1 },
+    '6/12': { label: '6/12 (reduced)', thresholdFactor: 2.5, minimumAngle: 2 },
+    '6/24': { label: '6/24 (low vision)', thresholdFactor: 5, minimumAngle: 4 }
+};
+
+// Smallest difference in blur (in dioptres) between the two eyes that a patient with normal acuity
+// notices during binocular balancing.
+const BALANCE_DISCRIMINATION_THRESHOLD = 0.12;
+
+// How a simulated patient answers, beyond what their eye can see. Real patients are rarely perfect observers:
+//   noise              spread (D, standard deviation) of the patient's judgement of each position's blur
+//   position2Bias      blur (D) the patient overlooks in Position 2, so it wins close comparisons
+//   equalMargin        extra difference (D) the patient needs before committing; below it they say "equally blurred"
+//   contradictionRate  chance of naming the position their eye did not prefer
+//   repeatRequestRate  chance of asking to see both positions again when the comparison is close
+const PATIENT_PERSONALITIES = {
+    reliable: { label: 'Reliable', noise: 0, position2Bias: 0, equalMargin: 0, contradictionRate: 0, repeatRequestRate: 0 },
+    hesitant: { label: 'Hesitant ("they look the same")', noise: 0, position2Bias: 0, equalMargin: 0.12, contradictionRate: 0, repeatRequestRate: 0.4 },
+    favoursTwo: { label: 'Tends to pick "2"', noise: 0, position2Bias: 0.15, equalMargin: 0, contradictionRate: 0, repeatRequestRate: 0 },
+    inconsistent: { label: 'Inconsistent', noise: 0.08, position2Bias: 0, equalMargin: 0, contradictionRate: 0.15, repeatRequestRate: 0.15 },
+    difficult: { label: 'Difficult (all of the above)', noise: 0.06, position2Bias: 0.08, equalMargin: 0.06, contradictionRate: 0.1, repeatRequestRate: 0.25 }
+};
+
+// A comparison counts as close, so a patient may ask to see it again, while the perceived difference
+// is under this many times the discrimination threshold.
+const REPEAT_REQUEST_RANGE = 2;
+
+// Residual spherical defocus blurs both JCC positions alike, which makes them harder to tell apart.
+// The discrimination threshold grows by this much per dioptre of defocus.
+const DEFOCUS_DISCRIMINATION_FACTOR = 0.5;
+
+/**
+ * Normalises an axis to the optometric 1-180 range (0 is written as 180) without snapping it.
+ * @param {number} axis Axis in degrees, possibly outside 0-180.
+ * @returns {number} Axis in 1-180.
+ */
+function normaliseAxis(axis) {
+    const normalised = ((axis % 180) + 180) % 180;
+    return normalised === 0 ? 180 : normalised;
+}
+
+/**
+ * Gets the smallest angular difference between two optometric axes, allowing for 0/180 wrap-around.
+ * @param {number} axisA First axis in degrees.
+ * @param {number} axisB Second axis in degrees.
+ * @returns {number} Difference in degrees (0-90).
+ */
+function getAxisDifference(axisA, axisB) {
+    const difference = Math.abs(axisA - axisB) % 180;
+    return Math.min(difference, 180 - difference);
+}
+
+/**
+ * Transposes a prescription between minus- and plus-cylinder form.
+ * The new sphere is sphere + cylinder, the cylinder changes sign and the axis turns through 90°.
+ * Transposing twice gives back the original prescription.
+ * @param {{sphere: number, cylinder: number, axis: number}} rx The prescription.
+ * @returns {{sphere: number, cylinder: number, axis: number}} The transposed prescription.
+ */
+function transposeRx(rx) {
+    return {
+        sphere: rx.sphere + rx.cylinder,
+        cylinder: -rx.cylinder,
+        axis: normaliseAxis(rx.axis + 90)
+    };
+}
+
+/**
+ * Converts a sphero-cylindrical prescription to power-vector form (M, J0, J45).
+ * @param {number} sphere Sphere power in dioptres.
+ * @param {number} cylinder Cylinder power in dioptres (either sign).
+ * @param {number} axis Cylinder axis in degrees (0-180).
+ * @returns {{M: number, J0: number, J45: number}} The power vector.
+ */
+function rxToPowerVector(sphere, cylinder, axis) {
+    const axisRad = (axis * Math.PI) / 180;
+    return {
+        M: sphere + cylinder / 2,
+        J0: -(cylinder / 2) * Math.cos(2 * axisRad),
+        J45: -(cylinder / 2) * Math.sin(2 * axisRad)
+    };
+}
+
+/**
+ * Gets the power vector of a JCC lens (+P DS / -2P DC along the red line).
+ * The spherical equivalent of a cross cylinder is always zero.
+ * @param {number} redLineAxis The axis of the JCC's minus cylinder (red line), in degrees.
+ * @param {number} jccPower The JCC power P (e.g. 0.25 for a ±0.25 JCC).
+ * @returns {{M: number, J0: number, J45: number}} The power vector.
+ */
+function getJCCPowerVector(redLineAxis, jccPower) {
+    return rxToPowerVector(jccPower, -2 * jccPower, redLineAxis);
+}
+
+/**
+ * Calculates the refractive error left uncorrected by the trial lens and JCC, in power-vector form.
+ * @param {{sphere: number, cylinder: number, axis: number}} trueRx The patient's hidden prescription.
+ * @param {{sphere: number, cylinder: number, axis: number}} trialRx The trial lens in front of the eye.
+ * @param {number} redLineAxis The JCC red line axis in degrees.
+ * @param {number} jccPower The JCC power.
+ * @returns {{M: number, J0: number, J45: number}} The residual power vector.
+ */
+function getResidualPowerVector(trueRx, trialRx, redLineAxis, jccPower) {
+    const eye = rxToPowerVector(trueRx.sphere, trueRx.cylinder, trueRx.axis);
+    const lens = rxToPowerVector(trialRx.sphere, trialRx.cylinder, trialRx.axis);
+    const jcc = getJCCPowerVector(redLineAxis, jccPower);
+
+    return {
+        M: eye.M - lens.M - jcc.M,
+        J0: eye.J0 - lens.J0 - jcc.J0,
+        J45: eye.J45 - lens.J45 - jcc.J45
+    };
+}
+
+/**
+ * Calculates the residual astigmatism the patient is left with for a given trial lens and JCC position.
+ * @param {{sphere: number, cylinder: number, axis: number}} trueRx The patient's hidden prescription.
+ * @param {{sphere: number, cylinder: number, axis: number}} trialRx The trial lens in front of the eye.
+ * @param {number} redLineAxis The JCC red line axis in degrees.
+ * @param {number} jccPower The JCC power.
+ * @returns {number} Residual astigmatism expressed as a cylinder magnitude in dioptres.
+ */
+function getResidualCylinder(trueRx, trialRx, redLineAxis, jccPower) {
+    const residual = getResidualPowerVector(trueRx, trialRx, redLineAxis, jccPower);
+    return 2 * Math.sqrt(residual.J0 * residual.J0 + residual.J45 * residual.J45);
+}
+
+/**
+ * Gets how far apart the two JCC positions must be (in residual cylinder) for the patient to tell them apart.
+ * Reduced acuity raises the threshold. A stronger JCC makes the blur in the rejected position more obvious,
+ * so the threshold falls with the square root of the JCC power. Spherical defocus left by the trial lens
+ * raises it again.
+ * @param {{sphere: number, cylinder: number, axis: number}} trueRx The patient's hidden prescription.
+ * @param {{sphere: number, cylinder: number, axis: number}} trialRx The trial lens in front of the eye.
+ * @param {number} jccPower The JCC power.
+ * @param {{acuity: string}} [profile] The simulated patient's profile (defaults to normal acuity).
+ * @returns {number} Threshold in dioptres.
+ */
+function getDiscriminationThreshold(trueRx, trialRx, jccPower, profile = {}) {
+    const acuity = PATIENT_ACUITY_LEVELS[profile.acuity] || PATIENT_ACUITY_LEVELS['6/6'];
+    const defocus = Math.abs(getResidualPowerVector(trueRx, trialRx, 0, 0).M);
+    const jccFactor = Math.sqrt(REFERENCE_JCC_POWER / jccPower);
+    return PATIENT_DISCRIMINATION_THRESHOLD * acuity.thresholdFactor * jccFactor + DEFOCUS_DISCRIMINATION_FACTOR * defocus;
+}
+
+/**
+ * Works out which JCC flip position the patient prefers.
+ * Position 1 has the red line 45° clockwise of the handle, Position 2 has it 45° counter-clockwise
+ * (matching getJCCRedLineAxis in script.js).
+ * @param {{sphere: number, cylinder: number, axis: number}} trueRx The patient's hidden prescription.
+ * @param {{sphere: number, cylinder: number, axis: number}} trialRx The trial lens in front of the eye.
+ * @param {number} jccHandleAngle The JCC handle angle in degrees.
+ * @param {number} jccPower The JCC power.
+ * @param {{acuity: string}} [profile] The simulated patient's profile.
+ * @returns {{position1Blur: number, position2Blur: number, preferredPosition: number}}
+ *          Residual cylinder for each position and the preferred position (1, 2, or 0 when equal).
+ */
+function getJCCComparison(trueRx, trialRx, jccHandleAngle, jccPower, profile = {}) {
+    const position1Blur = getResidualCylinder(trueRx, trialRx, jccHandleAngle - 45, jccPower);
+    const position2Blur = getResidualCylinder(trueRx, trialRx, jccHandleAngle + 45, jccPower);
+
+    let preferredPosition = 0;
+    if (Math.abs(position1Blur - position2Blur) >= getDiscriminationThreshold(trueRx, trialRx, jccPower, profile)) {
+        preferredPosition = position1Blur < position2Blur ? 1 : 2;
+    }
+    return { position1Blur, position2Blur, preferredPosition };
+}
+
+/**
+ * Gets the response style of a simulated patient.
+ * @param {{personality: string}} [profile] The simulated patient's profile.
+ * @returns {object} One of PATIENT_PERSONALITIES (reliable when the profile does not name one).
+ */
+function getPatientPersonality(profile = {}) {
+    return PATIENT_PERSONALITIES[profile.personality] || PATIENT_PERSONALITIES.reliable;
+}
+
+/**
+ * Draws a normally distributed random number (Box-Muller transform).
+ * @param {function} random Uniform random number generator in [0, 1), like Math.random.
+ * @returns {number} A sample with mean 0 and standard deviation 1.
+ */
+function randomNormal(random) {
+    return Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+}
+
+/**
+ * Gets the patient's answer for the JCC position currently in front of the eye.
+ * A reliable patient answers from the residual blur alone; other personalities add noise, favour
+ * Position 2, hold back from committing, contradict themselves or ask to see the positions again.
+ * @param {{sphere: number, cylinder: number, axis: number}} trueRx The patient's hidden prescription.
+ * @param {{sphere: number, cylinder: number, axis: number}} trialRx The trial lens in front of the eye.
+ * @param {number} jccHandleAngle The JCC handle angle in degrees.
+ * @param {boolean} jccFlipped False for Position 1, true for Position 2.
+ * @param {number} jccPower The JCC power.
+ * @param {{acuity: string, personality: string}} [profile] The simulated patient's profile.
+ * @param {{random: function, mayAskAgain: boolean}} [options] Random number generator (defaults to Math.random),
+ *        and whether the patient may ask to see the positions again (defaults to true).
+ * @returns {'clearer'|'blurred'|'equal'|'again'} How the shown position compares with the other one,
+ *          or 'again' when the patient asks to see both positions again.
+ */
+function getPatientJCCResponse(trueRx, trialRx, jccHandleAngle, jccFlipped, jccPower, profile = {}, options = {}) {
+    const { random = Math.random, mayAskAgain = true } = options;
+    const personality = getPatientPersonality(profile);
+    const { position1Blur, position2Blur } = getJCCComparison(trueRx, trialRx, jccHandleAngle, jccPower, profile);
+    const shownPosition = jccFlipped ? 2 : 1;
+
+    // What the patient perceives rather than what the optics say
+    const judgementError = () => (personality.noise > 0 ? personality.noise * randomNormal(random) : 0);
+    const perceived1 = position1Blur + judgementError();
+    const perceived2 = position2Blur - personality.position2Bias + judgementError();
+    const difference = Math.abs(perceived1 - perceived2);
+    const threshold = getDiscriminationThreshold(trueRx, trialRx, jccPower, profile) + personality.equalMargin;
+
+    if (mayAskAgain && personality.repeatRequestRate > 0 &&
+        difference < REPEAT_REQUEST_RANGE * threshold && random() < personality.repeatRequestRate) {
+        return 'again';
+    }
+    if (difference < threshold) {
+        return 'equal';
+    }
+    let preferredPosition = perceived1 < perceived2 ? 1 : 2;
+    if (personality.contradictionRate > 0 && random() < personality.contradictionRate) {
+        preferredPosition = preferredPosition === 1 ? 2 : 1;
+    }
+    return preferredPosition === shownPosition ? 'clearer' : 'blurred';
+}
+
+/**
+ * Gets the patient's answer to a JCC flip, following up any earlier request to see both positions again.
+ * Once the patient has asked "can you show me 1 and 2 again?" they wait until each position has been
+ * shown again with the same trial lens and JCC, then answer without asking a second time. Changing the
+ * lens or turning the JCC drops the request.
+ * @param {{trueRx: object, trialRx: object, jccHandleAngle: number, jccFlipped: boolean, jccPower: number, profile: object}} view
+ *        The eye's prescription, the trial lens (minus-cylinder form), the JCC and the patient profile.
+ * @param {{view: string, positionsLeft: number[]}|null} request The patient's open request to see the positions again, or null.
+ * @param {function} [random=Math.random] Uniform random number generator.
+ * @returns {{response: string, request: (object|null)}} The response ('clearer', 'blurred', 'equal', 'again', or 'looking'
+ *          while the positions are still being shown again) and the request left open.
+ */
+function getPatientJCCTurn(view, request, random = Math.random) {
+    const viewKey = [view.trialRx.sphere, view.trialRx.cylinder, view.trialRx.axis, view.jccHandleAngle, view.jccPower].join('/');
+    const shownPosition = view.jccFlipped ? 2 : 1;
+    const answer = mayAskAgain => getPatientJCCResponse(view.trueRx, view.trialRx, view.jccHandleAngle, view.jccFlipped,
+        view.jccPower, view.profile, { random, mayAskAgain });
+
+    if (request && request.view === viewKey) {
+        const positionsLeft = request.positionsLeft.filter(position => position !== shownPosition);
+        if (positionsLeft.length > 0) {
+            return { response: 'looking', request: { view: viewKey, positionsLeft } };
+        }
+        return { response: answer(false), request: null };
+    }
+
+    const response = answer(true);
+    return { response, request: response === 'again' ? { view: viewKey, positionsLeft: [1, 2] } : null };
+}
+
+/**
+ * Calculates the overall blur an eye is left with behind a trial lens: the length of the residual
+ * power vector, which combines spherical defocus and astigmatism.
+ * @param {{sphere: number, cylinder: number, axis: number}} trueRx The eye's hidden prescription.
+ * @param {{sphere: number, cylinder: number, axis: number}} trialRx The trial lens in front of the eye.
+ * @returns {number} Blur in dioptres.
+ */
+function getDioptricBlur(trueRx, trialRx) {
+    return getPowerVectorLength(getResidualPowerVector(trueRx, trialRx, 0, 0));
+}
+
+/**
+ * Gets the patient's answer when the eyes are compared during binocular balancing (alternate occlusion).
+ * The eye with reduced acuity sets how big a difference the patient notices.
+ * @param {{trueRx: object, trialRx: object, profile: object}} rightEye The right eye's prescription, trial lens and profile.
+ * @param {{trueRx: object, trialRx: object, profile: object}} leftEye The left eye's prescription, trial lens and profile.
+ * @returns {'OD'|'OS'|'equal'} The eye that sees more clearly.
+ */
+function getBinocularBalanceResponse(rightEye, leftEye) {
+    const rightBlur = getDioptricBlur(rightEye.trueRx, rightEye.trialRx);
+    const leftBlur = getDioptricBlur(leftEye.trueRx, leftEye.trialRx);
+    const thresholdFactor = Math.max(
+        (PATIENT_ACUITY_LEVELS[rightEye.profile.acuity] || PATIENT_ACUITY_LEVELS['6/6']).thresholdFactor,
+        (PATIENT_ACUITY_LEVELS[leftEye.profile.acuity] || PATIENT_ACUITY_LEVELS['6/6']).thresholdFactor
+    );
+
+    if (Math.abs(rightBlur - leftBlur) < BALANCE_DISCRIMINATION_THRESHOLD * thresholdFactor) {
+        return 'equal';
+    }
+    return rightBlur < leftBlur ? 'OD' : 'OS';
+}
+
+// --- What the Patient Sees ---
+
+// Pupil diameter (mm) used to work out the size of the blur on the retina.
+const PUPIL_DIAMETER = 4;
+
+// A dioptre of defocus through a 1 mm pupil spreads a point over 1 milliradian, i.e. this many minutes of arc.
+const ARCMIN_PER_DIOPTRE_MM = 3.4377;
+
+// How fast acuity falls with dioptric blur: the smallest resolvable detail grows by this many
+// minutes of arc per dioptre (1.00 D of defocus leaves between 6/18 and 6/24, in line with clinical rules of thumb).
+const BLUR_MINIMUM_ANGLE_PER_DIOPTRE = 3;
+
+// Lines of a 6 m Snellen chart, as the denominator of the Snellen fraction.
+const SNELLEN_LINES = [5, 6, 7.5, 9, 12, 15, 18, 24, 36, 60];
+
+// Over-minus (D) the simulated patient clears by accommodating. Anything beyond it blurs the chart.
+const PATIENT_ACCOMMODATION = 2;
+
+/**
+ * Works out the blur patch on the retina for a residual refractive error. Each principal meridian
+ * smears the image along itself in proportion to its defocus, so astigmatism gives an elliptical,
+ * directional blur.
+ * @param {{M: number, J0: number, J45: number}} residual Residual error in power-vector form (see getResidualPowerVector).
+ * @param {number} [pupilDiameter=PUPIL_DIAMETER] Pupil diameter in mm.
+ * @returns {{meridian: number, length: number, width: number}} Meridian of the longer blur (0-180, degrees)
+ *          and the blur's length along it and width across it, in minutes of arc.
+ */
+function getRetinalBlur(residual, pupilDiameter = PUPIL_DIAMETER) {
+    const astigmatism = Math.hypot(residual.J0, residual.J45); // Half the residual cylinder
+    // The meridian with power M + J; the one at right angles has M - J
+    const meridian = normaliseAxis(Math.atan2(residual.J45, residual.J0) * 90 / Math.PI);
+    const scale = pupilDiameter * ARCMIN_PER_DIOPTRE_MM;
+    const first = Math.abs(residual.M + astigmatism) * scale;
+    const second = Math.abs(residual.M - astigmatism) * scale;
+
+    return first >= second
+        ? { meridian, length: first, width: second }
+        : { meridian: normaliseAxis(meridian + 90), length: second, width: first };
+}
+
+/**
+ * Works out the residual error the patient actually sees with. Over-minus leaves the eye hyperopic, and the
+ * patient clears that by accommodating, as far as their amplitude of accommodation allows.
+ * @param {{sphere: number, cylinder: number, axis: number}} trueRx The eye's hidden prescription.
+ * @param {{sphere: number, cylinder: number, axis: number}} trialRx The trial lens in front of the eye.
+ * @param {{redLineAxis: number, jccPower: number}} [jcc] The JCC in front of the trial lens, if any.
+ * @returns {{M: number, J0: number, J45: number, accommodation: number}} The residual power vector once the eye has
+ *          accommodated, and the accommodation used (D).
+ */
+function getAccommodatedResidual(trueRx, trialRx, jcc = { redLineAxis: 0, jccPower: 0 }) {
+    const residual = getResidualPowerVector(trueRx, trialRx, jcc.redLineAxis, jcc.jccPower);
+    const accommodation = Math.min(Math.max(residual.M, 0), PATIENT_ACCOMMODATION);
+    return { ...residual, M: residual.M - accommodation, accommodation };
+}
+
+/**
+ * Gets the length of a residual power vector: the overall blur it causes, in dioptres.
+ * @param {{M: number, J0: number, J45: number}} residual Residual error in power-vector form.
+ * @returns {number} Blur in dioptres.
+ */
+function getPowerVectorLength(residual) {
+    return Math.sqrt(residual.M * residual.M + residual.J0 * residual.J0 + residual.J45 * residual.J45);
+}
+
+/**
+ * Estimates the visual acuity of an eye behind a trial lens (and optionally a JCC).
+ * The smallest resolvable detail combines the eye's best-corrected acuity with the dioptric blur left over
+ * once the eye has accommodated (see getAccommodatedResidual).
+ * @param {{sphere: number, cylinder: number, axis: number}} trueRx The eye's hidden prescription.
+ * @param {{sphere: number, cylinder: number, axis: number}} trialRx The trial lens in front of the eye.
+ * @param {{acuity: string}} [profile] The simulated patient's profile.
+ * @param {{redLineAxis: number, jccPower: number}} [jcc] The JCC in front of the trial lens, if any.
+ * @returns {{minimumAngle: number, logMAR: number, snellen: string}} Smallest resolvable detail (minutes of arc),
+ *          its logMAR value, and the smallest Snellen line the eye reads (e.g. "6/9", or "<6/60").
+ */
+function getVisualAcuity(trueRx, trialRx, profile = {}, jcc = { redLineAxis: 0, jccPower: 0 }) {
+    return getAcuityForBlur(getPowerVectorLength(getAccommodatedResidual(trueRx, trialRx, jcc)), profile);
+}
+
+/**
+ * Gets the visual acuity of an eye looking through a given amount of dioptric blur.
+ * @param {number} blur Length of the residual power vector, in dioptres (see getPowerVectorLength).
+ * @param {{acuity: string}} [profile] The patient's profile.
+ * @returns {{minimumAngle: number, logMAR: number, snellen: string}} See getVisualAcuity.
+ */
+function getAcuityForBlur(blur, profile = {}) {
+    const acuity = PATIENT_ACUITY_LEVELS[profile.acuity] || PATIENT_ACUITY_LEVELS['6/6'];
+    const minimumAngle = Math.hypot(acuity.minimumAngle, BLUR_MINIMUM_ANGLE_PER_DIOPTRE * blur);
+
+    // Allow for rounding, so a fully corrected 6/6 eye reads the 6/6 line
+    const line = SNELLEN_LINES.find(denominator => denominator / 6 >= minimumAngle - 1e-9);
+    return {
+        minimumAngle,
+        logMAR: Math.log10(minimumAngle),
+        snellen: line === undefined ? `<6/${SNELLEN_LINES[SNELLEN_LINES.length - 1]}` : `6/${line}`
+    };
+}
+
+// --- Sphere Checks ---
+// Answers to the sphere tests around the JCC routine: "better or worse?" while the plus is reduced to the
+// best vision sphere, and "red or green?" on the duochrome.
+
+// Smallest change in overall blur (D) a patient with normal acuity notices when the sphere is changed,
+// and the smallest difference between the red and green halves of the duochrome.
+const SPHERE_DISCRIMINATION_THRESHOLD = 0.12;
+
+// Over-plus (D) that counts as fogging: enough blur that the eye cannot accommodate while the plus is reduced.
+const FOGGING_MINIMUM = 0.75;
+
+// Chromatic aberration focuses red light this far (D) behind the eye's focus for white light, and green
+// light as far in front of it.
+const DUOCHROME_FOCAL_SHIFT = 0.25;
+
+/**
+ * Tells whether a trial lens fogs the eye: leaves it myopic by at least FOGGING_MINIMUM.
+ * @param {{sphere: number, cylinder: number, axis: number}} trueRx The eye's hidden prescription.
+ * @param {{sphere: number, cylinder: number, axis: number}} trialRx The trial lens in front of the eye.
+ * @returns {boolean} True if the eye is fogged.
+ */
+function isFogged(trueRx, trialRx) {
+    return getResidualPowerVector(trueRx, trialRx, 0, 0).M <= -FOGGING_MINIMUM;
+}
+
+/**
+ * Gets the patient's answer after the trial sphere is changed: how the chart compares with the lens before.
+ * Extra minus that the eye can accommodate through does not blur the chart; it makes the letters look
+ * smaller and darker instead, the sign that the best vision sphere has been passed.
+ * @param {{sphere: number, cylinder: number, axis: number}} trueRx The eye's hidden prescription.
+ * @param {{sphere: number, cylinder: number, axis: number}} previousRx The trial lens before the change.
+ * @param {{sphere: number, cylinder: number, axis: number}} trialRx The trial lens now in front of the eye.
+ * @param {{acuity: string, personality: string}} [profile] The simulated patient's profile.
+ * @param {function} [random=Math.random] Uniform random number generator.
+ * @returns {'clearer'|'blurred'|'same'|'darker'} How the chart looks now.
+ */
+function getSphereChangeResponse(trueRx, previousRx, trialRx, profile = {}, random = Math.random) {
+    const personality = getPatientPersonality(profile);
+    const acuity = PATIENT_ACUITY_LEVELS[profile.acuity] || PATIENT_ACUITY_LEVELS['6/6'];
+    const before = getAccommodatedResidual(trueRx, previousRx);
+    const after = getAccommodatedResidual(trueRx, trialRx);
+
+    const judgementError = personality.noise > 0 ? personality.noise * randomNormal(random) : 0;
+    const improvement = getPowerVectorLength(before) - getPowerVectorLength(after) + judgementError;
+    const threshold = SPHERE_DISCRIMINATION_THRESHOLD * acuity.thresholdFactor + personality.equalMargin;
+
+    if (improvement < threshold && after.accommodation > before.accommodation) {
+        return 'darker';
+    }
+    if (Math.abs(improvement) < threshold) {
+        return 'same';
+    }
+    let clearer = improvement > 0;
+    if (personality.contradictionRate > 0 && random() < personality.contradictionRate) {
+        clearer = !clearer;
+    }
+    return clearer ? 'clearer' : 'blurred';
+}
+
+/**
+ * Gets the residual error behind the trial lens for the red and the green half of the duochrome.
+ * Accommodation is left out: the test relies on an over-minused eye seeing the green half clearer.
+ * @param {{sphere: number, cylinder: number, axis: number}} trueRx The eye's hidden prescription.
+ * @param {{sphere: number, cylinder: number, axis: number}} trialRx The trial lens in front of the eye.
+ * @returns {{red: object, green: object}} Residual power vectors for red and green light.
+ */
+function getDuochromeResiduals(trueRx, trialRx) {
+    const residual = getResidualPowerVector(trueRx, trialRx, 0, 0);
+    return {
+        red: { ...residual, M: residual.M + DUOCHROME_FOCAL_SHIFT },
+        green: { ...residual, M: residual.M - DUOCHROME_FOCAL_SHIFT }
+    };
+}
+
+/**
+ * Gets the patient's answer on the duochrome: on which background the letters look clearer.
+ * Red clearer means the eye needs more minus, green clearer that it has too much.
+ * @param {{sphere: number, cylinder: number, axis: number}} trueRx The eye's hidden prescription.
+ * @param {{sphere: number, cylinder: number, axis: number}} trialRx The trial lens in front of the eye.
+ * @param {{acuity: string, personality: string}} [profile] The simulated patient's profile.
+ * @param {function} [random=Math.random] Uniform random number generator.
+ * @returns {'red'|'green'|'equal'} The clearer half, or 'equal'.
+ */
+function getDuochromeResponse(trueRx, trialRx, profile = {}, random = Math.random) {
+    const personality = getPatientPersonality(profile);
+    const acuity = PATIENT_ACUITY_LEVELS[profile.acuity] || PATIENT_ACUITY_LEVELS['6/6'];
+    const { red, green } = getDuochromeResiduals(trueRx, trialRx);
+
+    const judgementError = personality.noise > 0 ? personality.noise * randomNormal(random) : 0;
+    const difference = getPowerVectorLength(green) - getPowerVectorLength(red) + judgementError;
+    const threshold = SPHERE_DISCRIMINATION_THRESHOLD * acuity.thresholdFactor + personality.equalMargin;
+
+    if (Math.abs(difference) < threshold) {
+        return 'equal';
+    }
+    let redClearer = difference > 0;
+    if (personality.contradictionRate > 0 && random() < personality.contradictionRate) {
+        redClearer = !redClearer;
+    }
+    return redClearer ? 'red' : 'green';
+}
@@ -0,0 +1,604 @@
+// --- Guided Scenarios ---
+// Tutorials are described as data and run by the scenario state machine in core.js, which script.js drives.
+//
+// A scenario has:
+//   title    - Name shown in the tutorial picker.
+//   welcome  - Text for the welcome banner when the scenario starts ({retinoscopyRx} is filled in).
+//   case     - { retinoscopyRx, trueRx } loaded into the trial lens and the simulated patient.
+//              Tutorials examine the right eye (OD) only, with the left eye occluded. A retinoscopy result
+//              with no cylinder starts the trainee on a spherical lens (see getCylinderChange in core.js).
+//   steps    - Ordered list of steps.
+//
+// A step has:
+//   instruction     - Tutor text. {placeholders} are filled from the tutor state (see buildTutorState in core.js):
+//                     {sphere}, {cylinder}, {axis}, {jccHandleAngle}, {redLineAxis}, {greenLineAxis},
+//                     {axisCheckHandleAngle}, {powerCheckHandleAngle}, {increasePowerLabel}, {decreasePowerLabel}.
+//                     Sphere, cylinder and axis are shown in the trainee's chosen cylinder notation.
+//   controls        - Controls enabled during the step ('flipJCC', 'jccRotation', 'lensRotation',
+//                     'increasePower', 'decreasePower', 'plusSphere', 'minusSphere', 'confirmAxis', 'confirmPower').
+//   setup           - Optional state applied when the step starts, e.g. { jccFlipped: false }.
+//   advanceOn       - Action that completes the step: 'flip', 'slider', 'increasePower', 'decreasePower',
+//                     'plusSphere', 'minusSphere', 'confirmAxis' or 'confirmPower'. Omit on the final step.
+//   complete        - Optional predicate on the tutor state; the step only advances when it returns true.
+//                     The state is always in minus-cylinder form, whichever notation is shown.
+//   skip            - Optional predicate checked when the step starts; the step is skipped when it returns true
+//                     (e.g. a sphere compensation step when auto compensation has already done it).
+//   patientResponse - When true, the simulated patient's answer for the JCC position is shown
+//                     in a notification once the step completes.
+//   notification    - Tutor text appended after the patient's answer in that notification.
+//   final           - Marks the last step: the trial lens is copied to the Final Verified RX.
+//   plus            - Optional overrides (any of the fields above) used when the trainee works in plus-cylinder
+//                     notation, e.g. "chase the green" wording or a different sphere button.
+
+const FLIP_AGAIN_TEXT = `Now, click 'Flip JCC' again to view Position 1.`;
+const FLIP_ONE_MORE_TEXT = `Now, click 'Flip JCC' one more time to view Position 2 and finalize.`;
+
+const SCENARIOS = {
+    withTheRule: {
+        title: 'Increasing cylinder: Plano / -2.00 DC x 180',
+        welcome: `Welcome! Retinoscopy found {retinoscopyRx}. Your current trial lens is set to this. We'll refine the axis first.`,
+        case: TUTORIAL_CASE,
+        steps: [
+            // Axis refinement
+            {
+                instruction: `For axis refinement, align the JCC handle with the current cylinder axis. Your trial lens is at {axis}°. Please set the JCC Handle Angle to {axis}° using the circular slider.`,
+                controls: ['jccRotation'],
+                advanceOn: 'slider',
+                complete: state => state.jccHandleAngle === state.axisCheckHandleAngle
+            },
+            {
+                instruction: `JCC handle is at {jccHandleAngle}°. Click 'Flip JCC' to view Position 2.`,
+                controls: ['flipJCC'],
+                setup: { jccFlipped: false },
+                advanceOn: 'flip',
+                patientResponse: true,
+                notification: FLIP_AGAIN_TEXT
+            },
+            {
+                instruction: `Click 'Flip JCC' again to view Position 1.`,
+                controls: ['flipJCC'],
+                setup: { jccFlipped: true },
+                advanceOn: 'flip',
+                patientResponse: true,
+                notification: FLIP_ONE_MORE_TEXT
+            },
+            {
+                instruction: `Click 'Flip JCC' one more time to view Position 2 and finalize.`,
+                controls: ['flipJCC'],
+                setup: { jccFlipped: false },
+                advanceOn: 'flip',
+                patientResponse: true,
+                notification: `Rotate the cylinder lens towards the red line (because of minus lens) for 5 degrees (to axis 5°).`,
+                plus: {
+                    notification: `Rotate the cylinder lens towards the green line (because of plus lens) for 5 degrees (to axis 95°).`
+                }
+            },
+            {
+                instruction: `As instructed, rotate the trial lens cylinder axis to 5° using the circular slider.`,
+                controls: ['lensRotation'],
+                advanceOn: 'slider',
+                complete: state => state.axis === 5,
+                plus: {
+                    instruction: `As instructed, rotate the trial lens cylinder axis to 95° using the circular slider.`
+                }
+            },
+            {
+                instruction: `Trial lens is now at {axis}°. Now align the JCC handle parallel to this new lens axis ({axis}°) for further refinement. Please set the JCC Handle Angle to {axis}° using the circular slider.`,
+                controls: ['jccRotation'],
+                advanceOn: 'slider',
+                complete: state => state.jccHandleAngle === state.axisCheckHandleAngle
+            },
+            {
+                instruction: `JCC handle is at {jccHandleAngle}°. Click 'Flip JCC' to view Position 2 for axis confirmation.`,
+                controls: ['flipJCC'],
+                setup: { jccFlipped: false },
+                advanceOn: 'flip',
+                patientResponse: true,
+                notification: FLIP_AGAIN_TEXT
+            },
+            {
+                instruction: `Click 'Flip JCC' again to view Position 1.`,
+                controls: ['flipJCC'],
+                setup: { jccFlipped: true },
+                advanceOn: 'flip',
+                patientResponse: true,
+                notification: FLIP_ONE_MORE_TEXT
+            },
+            {
+                instruction: `Click 'Flip JCC' one more time to view Position 2 and finalize.`,
+                controls: ['flipJCC'],
+                setup: { jccFlipped: false },
+                advanceOn: 'flip',
+                patientResponse: true,
+                notification: `This confirms {axis}° as the correct cylinder axis! Now confirm the axis.`
+            },
+            {
+                instruction: `As indicated by patient feedback, confirm the axis by clicking 'Confirm Axis'.`,
+                controls: ['confirmAxis'],
+                advanceOn: 'confirmAxis',
+                complete: state => state.axis === 5
+            },
+
+            // Power refinement
+            {
+                instruction: `Axis confirmed at {axis}°. Now for power refinement. Align the JCC's red line (minus cylinder axis) parallel to the current lens axis ({axis}°). For Position 1 (unflipped JCC), this means setting the JCC Handle Angle to {powerCheckHandleAngle}°. Please set the JCC Handle Angle to {powerCheckHandleAngle}°.`,
+                controls: ['jccRotation'],
+                setup: { jccFlipped: false },
+                advanceOn: 'slider',
+                complete: state => state.jccHandleAngle === state.powerCheckHandleAngle,
+                plus: {
+                    instruction: `Axis confirmed at {axis}°. Now for power refinement. Align the JCC's green line (plus cylinder axis) parallel to the current lens axis ({axis}°). For Position 1 (unflipped JCC), this means setting the JCC Handle Angle to {powerCheckHandleAngle}°. Please set the JCC Handle Angle to {powerCheckHandleAngle}°.`
+                }
+            },
+            {
+                instruction: `In Position 1 the JCC's red line is now aligned with the lens axis at {redLineAxis}°. Click 'Flip JCC' to view Position 2 for power comparison.`,
+                controls: ['flipJCC'],
+                setup: { jccFlipped: false },
+                advanceOn: 'flip',
+                patientResponse: true,
+                notification: FLIP_AGAIN_TEXT,
+                plus: {
+                    instruction: `In Position 1 the JCC's green line is now aligned with the lens axis at {greenLineAxis}°. Click 'Flip JCC' to view Position 2 for power comparison.`
+                }
+            },
+            {
+                instruction: `Click 'Flip JCC' again to view Position 1.`,
+                controls: ['flipJCC'],
+                setup: { jccFlipped: true },
+                advanceOn: 'flip',
+                patientResponse: true,
+                notification: FLIP_ONE_MORE_TEXT
+            },
+            {
+                instruction: `Click 'Flip JCC' one more time to view Position 2 and finalize.`,
+                controls: ['flipJCC'],
+                setup: { jccFlipped: false },
+                advanceOn: 'flip',
+                patientResponse: true,
+                notification: `The position with the red line along the lens axis is clearer. This means more minus cylinder power is needed. Add -0.25 DC to the lens.`,
+                plus: {
+                    notification: `The position with the green line along the lens axis is clearer. This means more plus cylinder power is needed. Add +0.25 DC to the lens.`
+                }
+            },
+            {
+                instruction: `Based on patient feedback, click '{increasePowerLabel}'.`,
+                controls: ['increasePower', 'decreasePower'],
+                advanceOn: 'increasePower',
+                complete: state => state.cylinder === -2.25
+            },
+            {
+                instruction: `Cylinder power increased to {cylinder} DC. Click 'Flip JCC' to re-evaluate Position 2.`,
+                controls: ['flipJCC'],
+                setup: { jccFlipped: false },
+                advanceOn: 'flip',
+                patientResponse: true,
+                notification: FLIP_AGAIN_TEXT
+            },
+            {
+                instruction: `Click 'Flip JCC' again to view Position 1.`,
+                controls: ['flipJCC'],
+                setup: { jccFlipped: true },
+                advanceOn: 'flip',
+                patientResponse: true,
+                notification: FLIP_ONE_MORE_TEXT
+            },
+            {
+                instruction: `Click 'Flip JCC' one more time to view Position 2 and finalize.`,
+                controls: ['flipJCC'],
+                setup: { jccFlipped: false },
+                advanceOn: 'flip',
+                patientResponse: true,
+                notification: `The red line along the lens axis is still preferred. Let's add another -0.25 DC.`,
+                plus: {
+                    notification: `The green line along the lens axis is still preferred. Let's add another +0.25 DC.`
+                }
+            },
+            {
+                instruction: `Based on patient feedback, click '{increasePowerLabel}' again.`,
+                controls: ['increasePower', 'decreasePower'],
+                advanceOn: 'increasePower',
+                complete: state => state.cylinder === -2.50
+            },
+            {
+                instruction: `You have added -0.50 DC in total. To keep the circle of least confusion on the retina, add +0.25 DS: click 'Add Plus Sphere (+0.25 DS)'.`,
+                controls: ['plusSphere', 'minusSphere'],
+                advanceOn: 'plusSphere',
+                complete: state => state.sphere === 0.25,
+                skip: state => state.sphere === 0.25,
+                plus: {
+                    instruction: `You have added +0.50 DC in total. To keep the circle of least confusion on the retina, add -0.25 DS: click 'Add Minus Sphere (-0.25 DS)'.`,
+                    advanceOn: 'minusSphere'
+                }
+            },
+            {
+                instruction: `Trial lens is now {sphere} DS / {cylinder} DC. Click 'Flip JCC' to re-evaluate Position 2.`,
+                controls: ['flipJCC'],
+                setup: { jccFlipped: false },
+                advanceOn: 'flip',
+                patientResponse: true,
+                notification: FLIP_AGAIN_TEXT
+            },
+            {
+                instruction: `Click 'Flip JCC' again to view Position 1.`,
+                controls: ['flipJCC'],
+                setup: { jccFlipped: true },
+                advanceOn: 'flip',
+                patientResponse: true,
+                notification: FLIP_ONE_MORE_TEXT
+            },
+            {
+                instruction: `Click 'Flip JCC' one more time to view Position 2 and finalize.`,
+                controls: ['flipJCC'],
+                setup: { jccFlipped: false },
+                advanceOn: 'flip',
+                patientResponse: true,
+                notification: `Both positions are now equally blurred! The cylinder power of {cylinder} DC at axis {axis}° is confirmed. Now confirm the power.`
+            },
+            {
+                instruction: `As indicated by patient feedback, confirm the power by clicking 'Confirm Power'.`,
+                controls: ['confirmPower'],
+                advanceOn: 'confirmPower',
+                complete: state => state.cylinder === -2.50 && state.sphere === 0.25
+            },
+            {
+                instruction: `Congratulations! You have successfully refined the cylinder axis and power. The final verified prescription is displayed below.`,
+                controls: [],
+                final: true
+            }
+        ]
+    },
+
+    againstTheRule: {
+        title: 'Reducing cylinder: Plano / -1.50 DC x 90',
+        welcome: `Welcome! Retinoscopy found {retinoscopyRx}, an against-the-rule astigmatism. Your current trial lens is set to this. We'll refine the axis first.`,
+        case: {
+            retinoscopyRx: { sphere: 0.00, cylinder: -1.50, axis: 90 },
+            trueRx: { sphere: -0.25, cylinder: -1.00, axis: 85 }
+        },
+        steps: [
+            // Axis refinement
+            {
+                instruction: `Align the JCC handle with the current cylinder axis. Your trial lens is at {axis}°. Please set the JCC Handle Angle to {axis}° using the circular slider.`,
+                controls: ['jccRotation'],
+                advanceOn: 'slider',
+                complete: state => state.jccHandleAngle === state.axisCheckHandleAngle
+            },
+            {
+                instruction: `JCC handle is at {jccHandleAngle}°. Click 'Flip JCC' to view Position 2.`,
+                controls: ['flipJCC'],
+                setup: { jccFlipped: false },
+                advanceOn: 'flip',
+                patientResponse: true,
+                notification: FLIP_AGAIN_TEXT
+            },
+            {
+                instruction: `Click 'Flip JCC' again to view Position 1.`,
+                controls: ['flipJCC'],
+                setup: { jccFlipped: true },
+                advanceOn: 'flip',
+                patientResponse: true,
+                notification: `Position 1, with its red line at {redLineAxis}°, is preferred. Rotate the cylinder lens towards that red line for 5 degrees (to axis 85°).`,
+                plus: {
+                    notification: `Position 2 was preferred. Rotate the cylinder lens towards its green line (chase the green) for 5 degrees (to axis 175°).`
+                }
+            },
+            {
+                instruction: `Rotate the trial lens cylinder axis to 85° using the circular slider.`,
+                controls: ['lensRotation'],
+                advanceOn: 'slider',
+                complete: state => state.axis === 85,
+                plus: {
+                    instruction: `Rotate the trial lens cylinder axis to 175° using the circular slider.`
+                }
+            },
+            {
+                instruction: `Trial lens is now at {axis}°. Align the JCC handle with the new lens axis by setting the JCC Handle Angle to {axis}°.`,
+                controls: ['jccRotation'],
+                advanceOn: 'slider',
+                complete: state => state.jccHandleAngle === state.axisCheckHandleAngle
+            },
+            {
+                instruction: `Click 'Flip JCC' to view Position 2 for axis confirmation.`,
+                controls: ['flipJCC'],
+                setup: { jccFlipped: false },
+                advanceOn: 'flip',
+                patientResponse: true,
+                notification: FLIP_AGAIN_TEXT
+            },
+            {
+                instruction: `Click 'Flip JCC' again to view Position 1.`,
+                controls: ['flipJCC'],
+                setup: { jccFlipped: true },
+                advanceOn: 'flip',
+                patientResponse: true,
+                notification: `Both positions are equally blurred, so {axis}° is the correct axis. Now confirm the axis.`
+            },
+            {
+                instruction: `Confirm the axis by clicking 'Confirm Axis'.`,
+                controls: ['confirmAxis'],
+                advanceOn: 'confirmAxis',
+                complete: state => state.axis === 85
+            },
+
+            // Power refinement
+            {
+                instruction: `Axis confirmed at {axis}°. For power refinement set the JCC Handle Angle to {powerCheckHandleAngle}°, so that the red line lies along the lens axis in Position 1 and the green line in Position 2.`,
+                controls: ['jccRotation'],
+                setup: { jccFlipped: false },
+                advanceOn: 'slider',
+                complete: state => state.jccHandleAngle === state.powerCheckHandleAngle,
+                plus: {
+                    instruction: `Axis confirmed at {axis}°. For power refinement set the JCC Handle Angle to {powerCheckHandleAngle}°, so that the green line lies along the lens axis in Position 1 and the red line in Position 2.`
+                }
+            },
+            {
+                instruction: `Click 'Flip JCC' to view Position 2 (green line along the lens axis).`,
+                controls: ['flipJCC'],
+                setup: { jccFlipped: false },
+                advanceOn: 'flip',
+                patientResponse: true,
+                notification: FLIP_AGAIN_TEXT,
+                plus: {
+                    instruction: `Click 'Flip JCC' to view Position 2 (red line along the lens axis).`
+                }
+            },
+            {
+                instruction: `Click 'Flip JCC' again to view Position 1 (red line along the lens axis).`,
+                controls: ['flipJCC'],
+                setup: { jccFlipped: true },
+                advanceOn: 'flip',
+                patientResponse: true,
+                notification: `The position with the green line along the lens axis is clearer, so there is too much minus cylinder. Reduce it by 0.25 DC.`,
+                plus: {
+                    instruction: `Click 'Flip JCC' again to view Position 1 (green line along the lens axis).`,
+                    notification: `The position with the red line along the lens axis is clearer, so there is too much plus cylinder. Reduce it by 0.25 DC.`
+                }
+            },
+            {
+                instruction: `Based on patient feedback, click '{decreasePowerLabel}'.`,
+                controls: ['increasePower', 'decreasePower'],
+                advanceOn: 'decreasePower',
+                complete: state => state.cylinder === -1.25
+            },
+            {
+                instruction: `Cylinder power reduced to {cylinder} DC. Click 'Flip JCC' to re-evaluate Position 2.`,
+                controls: ['flipJCC'],
+                setup: { jccFlipped: false },
+                advanceOn: 'flip',
+                patientResponse: true,
+                notification: FLIP_AGAIN_TEXT
+            },
+            {
+                instruction: `Click 'Flip JCC' again to view Position 1.`,
+                controls: ['flipJCC'],
+                setup: { jccFlipped: true },
+                advanceOn: 'flip',
+                patientResponse: true,
+                notification: `The green line along the lens axis is still preferred. Reduce the cylinder by another 0.25 DC.`,
+                plus: {
+                    notification: `The red line along the lens axis is still preferred. Reduce the cylinder by another 0.25 DC.`
+                }
+            },
+            {
+                instruction: `Click '{decreasePowerLabel}' again.`,
+                controls: ['increasePower', 'decreasePower'],
+                advanceOn: 'decreasePower',
+                complete: state => state.cylinder === -1.00
+            },
+            {
+                instruction: `You have removed 0.50 DC of minus cylinder, so the spherical equivalent has moved towards plus. Balance it with -0.25 DS: click 'Add Minus Sphere (-0.25 DS)'.`,
+                controls: ['plusSphere', 'minusSphere'],
+                advanceOn: 'minusSphere',
+                complete: state => state.sphere === -0.25,
+                skip: state => state.sphere === -0.25,
+                plus: {
+                    instruction: `You have removed 0.50 DC of plus cylinder, so the spherical equivalent has moved towards minus. Balance it with +0.25 DS: click 'Add Plus Sphere (+0.25 DS)'.`,
+                    advanceOn: 'plusSphere'
+                }
+            },
+            {
+                instruction: `Trial lens is now {sphere} DS / {cylinder} DC. Click 'Flip JCC' to re-evaluate Position 2.`,
+                controls: ['flipJCC'],
+                setup: { jccFlipped: false },
+                advanceOn: 'flip',
+                patientResponse: true,
+                notification: FLIP_AGAIN_TEXT
+            },
+            {
+                instruction: `Click 'Flip JCC' again to view Position 1.`,
+                controls: ['flipJCC'],
+                setup: { jccFlipped: true },
+                advanceOn: 'flip',
+                patientResponse: true,
+                notification: `Both positions are now equally blurred! The cylinder power of {cylinder} DC at axis {axis}° is confirmed. Now confirm the power.`
+            },
+            {
+                instruction: `Confirm the power by clicking 'Confirm Power'.`,
+                controls: ['confirmPower'],
+                advanceOn: 'confirmPower',
+                complete: state => state.cylinder === -1.00 && state.sphere === -0.25
+            },
+            {
+                instruction: `Well done! You reduced the cylinder and refined an against-the-rule axis. The final verified prescription is displayed below.`,
+                controls: [],
+                final: true
+            }
+        ]
+    },
+
+    findCylinder: {
+        title: 'Finding cylinder: -0.75 DS, no cylinder on retinoscopy',
+        welcome: `Welcome! Retinoscopy found {retinoscopyRx}, with no cylinder. Your current trial lens is set to this. We'll use the JCC to check for astigmatism that retinoscopy missed.`,
+        case: {
+            retinoscopyRx: { sphere: -0.75, cylinder: 0, axis: 180 },
+            trueRx: { sphere: -0.50, cylinder: -0.50, axis: 180 }
+        },
+        steps: [
+            // Cylinder search along 90 and 180
+            {
+                instruction: `The trial lens is spherical, so there is no axis to align the JCC with. Start with the JCC's lines along 90° and 180°: set the JCC Handle Angle to 45°.`,
+                controls: ['jccRotation'],
+                setup: { jccFlipped: false },
+                advanceOn: 'slider',
+                complete: state => state.jccHandleAngle === 45
+            },
+            {
+                instruction: `In Position 1 the red line is at {redLineAxis}° and the green line at {greenLineAxis}°. Click 'Flip JCC' to view Position 2.`,
+                controls: ['flipJCC'],
+                setup: { jccFlipped: false },
+                advanceOn: 'flip',
+                patientResponse: true,
+                notification: FLIP_AGAIN_TEXT
+            },
+            {
+                instruction: `Click 'Flip JCC' again to view Position 1.`,
+                controls: ['flipJCC'],
+                setup: { jccFlipped: true },
+                advanceOn: 'flip',
+                patientResponse: true,
+                notification: `Position 1, with its red line at 180°, is clearer, so the eye has astigmatism. Before adding cylinder, check the oblique meridians as well.`,
+                plus: {
+                    notification: `Position 1, with its green line at 90°, is clearer, so the eye has astigmatism. Before adding cylinder, check the oblique meridians as well.`
+                }
+            },
+
+            // Cylinder search along 45 and 135
+            {
+                instruction: `Turn the JCC so that its lines lie at 45° and 135°: set the JCC Handle Angle to 90°.`,
+                controls: ['jccRotation'],
+                setup: { jccFlipped: false },
+                advanceOn: 'slider',
+                complete: state => state.jccHandleAngle === 90
+            },
+            {
+                instruction: `In Position 1 the red line is at {redLineAxis}° and the green line at {greenLineAxis}°. Click 'Flip JCC' to view Position 2.`,
+                controls: ['flipJCC'],
+                setup: { jccFlipped: false },
+                advanceOn: 'flip',
+                patientResponse: true,
+                notification: FLIP_AGAIN_TEXT
+            },
+            {
+                instruction: `Click 'Flip JCC' again to view Position 1.`,
+                controls: ['flipJCC'],
+                setup: { jccFlipped: true },
+                advanceOn: 'flip',
+                patientResponse: true,
+                notification: `Both positions look the same, so there is no oblique astigmatism. The cylinder belongs along the red line the patient preferred in the first check, at 180°.`,
+                plus: {
+                    notification: `Both positions look the same, so there is no oblique astigmatism. The cylinder belongs along the green line the patient preferred in the first check, at 90°.`
+                }
+            },
+
+            // Adding the cylinder
+            {
+                instruction: `Put the JCC back with its handle at 45°, so that Position 1 shows its red line at 180° again.`,
+                controls: ['jccRotation'],
+                setup: { jccFlipped: false },
+                advanceOn: 'slider',
+                complete: state => state.jccHandleAngle === 45,
+                plus: {
+                    instruction: `Put the JCC back with its handle at 45°, so that Position 1 shows its green line at 90° again.`
+                }
+            },
+            {
+                instruction: `Minus cylinder goes in along the red line of the preferred position. With Position 1 in front of the eye (red line at {redLineAxis}°), click '{increasePowerLabel}'.`,
+                controls: ['increasePower', 'decreasePower'],
+                advanceOn: 'increasePower',
+                complete: state => state.cylinder === -0.25 && state.axis === 180,
+                plus: {
+                    instruction: `Plus cylinder goes in along the green line of the preferred position. With Position 1 in front of the eye (green line at {greenLineAxis}°), click '{increasePowerLabel}'.`
+                }
+            },
+            {
+                instruction: `The trial lens is now {sphere} DS / {cylinder} DC x {axis}°. Newly found cylinder is usually started at 0.50 DC: click '{increasePowerLabel}' again.`,
+                controls: ['increasePower', 'decreasePower'],
+                advanceOn: 'increasePower',
+                complete: state => state.cylinder === -0.50
+            },
+            {
+                instruction: `You have added -0.50 DC. To keep the circle of least confusion on the retina, add +0.25 DS: click 'Add Plus Sphere (+0.25 DS)'.`,
+                controls: ['plusSphere', 'minusSphere'],
+                advanceOn: 'plusSphere',
+                complete: state => state.sphere === -0.50,
+                skip: state => state.sphere === -0.50,
+                plus: {
+                    instruction: `You have added +0.50 DC. To keep the circle of least confusion on the retina, add -0.25 DS: click 'Add Minus Sphere (-0.25 DS)'.`,
+                    advanceOn: 'minusSphere'
+                }
+            },
+
+            // Axis refinement
+            {
+                instruction: `Now refine the new cylinder as usual, starting with the axis. Set the JCC Handle Angle to {axis}° to align it with the lens axis.`,
+                controls: ['jccRotation'],
+                setup: { jccFlipped: false },
+                advanceOn: 'slider',
+                complete: state => state.jccHandleAngle === state.axisCheckHandleAngle
+            },
+            {
+                instruction: `Click 'Flip JCC' to view Position 2.`,
+                controls: ['flipJCC'],
+                setup: { jccFlipped: false },
+                advanceOn: 'flip',
+                patientResponse: true,
+                notification: FLIP_AGAIN_TEXT
+            },
+            {
+                instruction: `Click 'Flip JCC' again to view Position 1.`,
+                controls: ['flipJCC'],
+                setup: { jccFlipped: true },
+                advanceOn: 'flip',
+                patientResponse: true,
+                notification: `Both positions are equally blurred, so {axis}° is the correct axis. Now confirm the axis.`
+            },
+            {
+                instruction: `Confirm the axis by clicking 'Confirm Axis'.`,
+                controls: ['confirmAxis'],
+                advanceOn: 'confirmAxis',
+                complete: state => state.axis === 180
+            },
+
+            // Power refinement
+            {
+                instruction: `Axis confirmed at {axis}°. For power refinement set the JCC Handle Angle to {powerCheckHandleAngle}°, so that the red line lies along the lens axis in Position 1.`,
+                controls: ['jccRotation'],
+                setup: { jccFlipped: false },
+                advanceOn: 'slider',
+                complete: state => state.jccHandleAngle === state.powerCheckHandleAngle,
+                plus: {
+                    instruction: `Axis confirmed at {axis}°. For power refinement set the JCC Handle Angle to {powerCheckHandleAngle}°, so that the green line lies along the lens axis in Position 1.`
+                }
+            },
+            {
+                instruction: `Click 'Flip JCC' to view Position 2.`,
+                controls: ['flipJCC'],
+                setup: { jccFlipped: false },
+                advanceOn: 'flip',
+                patientResponse: true,
+                notification: FLIP_AGAIN_TEXT
+            },
+            {
+                instruction: `Click 'Flip JCC' again to view Position 1.`,
+                controls: ['flipJCC'],
+                setup: { jccFlipped: true },
+                advanceOn: 'flip',
+                patientResponse: true,
+                notification: `Both positions are equally blurred! The cylinder of {cylinder} DC at axis {axis}° is confirmed. Now confirm the power.`
+            },
+            {
+                instruction: `Confirm the power by clicking 'Confirm Power'.`,
+                controls: ['confirmPower'],
+                advanceOn: 'confirmPower',
+                complete: state => state.cylinder === -0.50 && state.sphere === -0.50
+            },
+            {
+                instruction: `Well done! You found the astigmatism that retinoscopy missed and refined it. The final verified prescription is displayed below.`,
+                controls: [],
+                final: true
+            }
+        ]
+    }
+};
+
+const DEFAULT_SCENARIO_ID = 'withTheRule';
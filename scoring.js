@@ -0,0 +1,278 @@
+// --- Performance Scoring ---
+// Tracks what the trainee does during a case and turns it into an end-of-case report for instructors.
+// Wrong moves are judged against the simulated patient's answers (see patient.js), not against the
+// hidden prescription, so a trainee who follows the patient correctly is never penalised.
+
+// A flip counts as an axis check when the JCC handle is within this many degrees of the lens axis,
+// and as a power check when the handle is within this many degrees of 45° from it.
+const CHECK_ALIGNMENT_TOLERANCE = 10;
+
+// Points taken off the 100-point score.
+const SCORE_PENALTIES = {
+    wrongDirectionMove: 5, // Each rotation or power change against the patient's last answer
+    skippedRecheck: 5,     // Each axis or power confirmed without flipping the JCC since it was last changed
+    skippedFogging: 5,     // Each best vision sphere confirmed without first fogging the eye
+    dioptricErrorStep: 10  // Each 0.25 D of dioptric error (power-vector distance) between the final and true prescription
+};
+
+// Size of the dioptric error step that dioptricErrorStep is charged for.
+const DIOPTRIC_ERROR_STEP = 0.25;
+
+/**
+ * Creates an empty tracker for a new case.
+ * @param {number} [now=Date.now()] Start time in milliseconds.
+ * @returns {object} The tracker.
+ */
+function createPerformanceTracker(now = Date.now()) {
+    return {
+        startTime: now,
+        endTime: null,
+        flips: 0,
+        lensRotations: 0,
+        jccRotations: 0,
+        cylinderChanges: 0,
+        sphereChanges: 0,
+        wrongMoves: [],      // { type: 'rotation'|'power'|'cylinderAxis'|'sphere', eyeId }
+        skippedRechecks: [], // { type: 'axis'|'power', eyeId }
+        skippedFogging: [],  // eyeId of each eye whose best sphere was found without fogging
+        eyes: {}             // Per-eye record of the patient's last answer (see getTrackedEye)
+    };
+}
+
+/**
+ * Gets the per-eye part of the tracker, creating it on first use.
+ * axisPreference is the red line axis the patient last preferred in an axis check, powerPreference is
+ * 'more' or 'less' minus cylinder from the last power check, and cylinderPreference is the red line axis
+ * preferred while the trial lens had no cylinder, and spherePreference is 'plus' or 'minus' from the last
+ * duochrome answer; all are cleared once acted on.
+ * @param {object} tracker The tracker.
+ * @param {string} eyeId 'OD' or 'OS'.
+ * @returns {object} The eye's tracking state.
+ */
+function getTrackedEye(tracker, eyeId) {
+    if (!tracker.eyes[eyeId]) {
+        tracker.eyes[eyeId] = {
+            axisPreference: null,
+            powerPreference: null,
+            cylinderPreference: null,
+            spherePreference: null,
+            axisChecked: false,
+            powerChecked: false
+        };
+    }
+    return tracker.eyes[eyeId];
+}
+
+/**
+ * Gets the JCC position a patient's answer points to.
+ * @param {string} response The patient's answer to the position shown (see getPatientJCCTurn).
+ * @param {boolean} jccFlipped False if Position 1 was shown, true for Position 2.
+ * @returns {number|null} The preferred position (1, 2, or 0 when equal), or null if the answer did not compare the positions.
+ */
+function getAnsweredPosition(response, jccFlipped) {
+    const shownPosition = jccFlipped ? 2 : 1;
+    switch (response) {
+        case 'clearer': return shownPosition;
+        case 'blurred': return shownPosition === 1 ? 2 : 1;
+        case 'equal': return 0;
+        default: return null;
+    }
+}
+
+/**
+ * Records a JCC flip and what the patient's answer tells the trainee to do next.
+ * When the patient's answer is not given, the one a reliable patient would give is assumed.
+ * @param {object} tracker The tracker.
+ * @param {string} eyeId Eye being refracted.
+ * @param {{trueRx: object, trialRx: object, jccHandleAngle: number, jccFlipped: boolean, jccPower: number, profile: object, response: string}} view
+ *        The eye's prescription, the trial lens (minus-cylinder form), the JCC, the patient profile and the patient's answer.
+ */
+function recordFlip(tracker, eyeId, view) {
+    tracker.flips++;
+    const eye = getTrackedEye(tracker, eyeId);
+    const preferredPosition = view.response
+        ? getAnsweredPosition(view.response, view.jccFlipped)
+        : getJCCComparison(view.trueRx, view.trialRx, view.jccHandleAngle, view.jccPower, view.profile).preferredPosition;
+    if (preferredPosition === null) return; // e.g. the patient asked to see the positions again
+    const preferredRedLine = preferredPosition === 1 ? view.jccHandleAngle - 45 : view.jccHandleAngle + 45;
+    if (view.trialRx.cylinder === 0) {
+        // Looking for cylinder: a preferred position says where to add it, there is no axis or power to check yet
+        eye.cylinderPreference = preferredPosition === 0 ? null : normaliseAxis(preferredRedLine);
+        return;
+    }
+    const handleOffset = getAxisDifference(view.jccHandleAngle, view.trialRx.axis);
+
+    if (handleOffset <= CHECK_ALIGNMENT_TOLERANCE) {
+        eye.axisChecked = true;
+        eye.axisPreference = preferredPosition === 0 ? null : normaliseAxis(preferredRedLine);
+    } else if (Math.abs(handleOffset - 45) <= CHECK_ALIGNMENT_TOLERANCE) {
+        eye.powerChecked = true;
+        if (preferredPosition === 0) {
+            eye.powerPreference = null;
+        } else {
+            // Red line along the lens axis preferred: the eye wants more minus cylinder
+            const redAlongAxis = getAxisDifference(preferredRedLine, view.trialRx.axis) <= CHECK_ALIGNMENT_TOLERANCE;
+            eye.powerPreference = redAlongAxis ? 'more' : 'less';
+        }
+    }
+}
+
+/**
+ * Records a trial lens rotation. Turning the axis away from the preferred red line is a wrong-direction move.
+ * Any axis change means both the axis and the power need checking again.
+ * @param {object} tracker The tracker.
+ * @param {string} eyeId Eye being refracted.
+ * @param {number} fromAxis Minus-cylinder axis before the rotation.
+ * @param {number} toAxis Minus-cylinder axis after the rotation.
+ * @param {boolean} [continuesTurn=false] True if this carries on the last rotation (e.g. a run of arrow key presses), so it is not counted again.
+ */
+function recordLensRotation(tracker, eyeId, fromAxis, toAxis, continuesTurn = false) {
+    if (getAxisDifference(fromAxis, toAxis) === 0) return;
+    if (!continuesTurn) tracker.lensRotations++;
+    const eye = getTrackedEye(tracker, eyeId);
+
+    if (eye.axisPreference !== null &&
+        getAxisDifference(toAxis, eye.axisPreference) > getAxisDifference(fromAxis, eye.axisPreference)) {
+        tracker.wrongMoves.push({ type: 'rotation', eyeId });
+    }
+    eye.axisPreference = null;
+    eye.axisChecked = false;
+    eye.powerChecked = false;
+}
+
+/**
+ * Records a JCC handle rotation.
+ * @param {object} tracker The tracker.
+ * @param {boolean} [continuesTurn=false] True if this carries on the last rotation (e.g. a run of arrow key presses), so it is not counted again.
+ */
+function recordJCCRotation(tracker, continuesTurn = false) {
+    if (!continuesTurn) tracker.jccRotations++;
+}
+
+/**
+ * Records a cylinder power change. Changing the power the opposite way to the last power check is a wrong-direction move,
+ * and so is adding cylinder to a spherical lens away from the red line the patient preferred.
+ * @param {object} tracker The tracker.
+ * @param {string} eyeId Eye being refracted.
+ * @param {number} fromCylinder Minus-cylinder power before the change.
+ * @param {number} toCylinder Minus-cylinder power after the change.
+ * @param {number} [toAxis] Minus-cylinder axis after the change.
+ */
+function recordCylinderChange(tracker, eyeId, fromCylinder, toCylinder, toAxis) {
+    tracker.cylinderChanges++;
+    const eye = getTrackedEye(tracker, eyeId);
+    const addedMinus = toCylinder < fromCylinder;
+
+    if ((eye.powerPreference === 'more' && !addedMinus) || (eye.powerPreference === 'less' && addedMinus)) {
+        tracker.wrongMoves.push({ type: 'power', eyeId });
+    }
+    if (fromCylinder === 0 && eye.cylinderPreference !== null &&
+        getAxisDifference(toAxis, eye.cylinderPreference) > CHECK_ALIGNMENT_TOLERANCE) {
+        tracker.wrongMoves.push({ type: 'cylinderAxis', eyeId });
+    }
+    eye.cylinderPreference = null;
+    eye.powerPreference = null;
+    eye.powerChecked = false;
+}
+
+/**
+ * Records a sphere power change. Changing the sphere the opposite way to the last duochrome answer is a wrong-direction move.
+ * @param {object} tracker The tracker.
+ * @param {string} [eyeId] Eye being refracted.
+ * @param {number} [delta] Change in sphere power (D).
+ */
+function recordSphereChange(tracker, eyeId, delta) {
+    tracker.sphereChanges++;
+    if (!eyeId) return;
+    const eye = getTrackedEye(tracker, eyeId);
+    if ((eye.spherePreference === 'minus' && delta > 0) || (eye.spherePreference === 'plus' && delta < 0)) {
+        tracker.wrongMoves.push({ type: 'sphere', eyeId });
+    }
+    eye.spherePreference = null;
+}
+
+/**
+ * Records a duochrome check. Letters clearer on red mean the eye wants more minus, clearer on green less.
+ * @param {object} tracker The tracker.
+ * @param {string} eyeId Eye being refracted.
+ * @param {string} response The patient's answer (see getDuochromeResponse, or 'bothEyesOpen').
+ */
+function recordDuochrome(tracker, eyeId, response) {
+    const eye = getTrackedEye(tracker, eyeId);
+    switch (response) {
+        case 'red': eye.spherePreference = 'minus'; break;
+        case 'green': eye.spherePreference = 'plus'; break;
+        case 'equal': eye.spherePreference = null; break;
+        default: break; // No comparison made (e.g. both eyes open): the last preference stands
+    }
+}
+
+/**
+ * Records the trainee confirming the best vision sphere. Reducing plus without having fogged the eye first
+ * lets it accommodate, so it counts as skipped fogging.
+ * @param {object} tracker The tracker.
+ * @param {string} eyeId Eye being refracted.
+ * @param {boolean} fogged Whether the eye was fogged before the plus was reduced.
+ */
+function recordBestSphere(tracker, eyeId, fogged) {
+    if (!fogged) {
+        tracker.skippedFogging.push(eyeId);
+    }
+}
+
+/**
+ * Records the trainee confirming the axis or power. Confirming without a JCC check since the last change
+ * counts as a skipped re-check.
+ * @param {object} tracker The tracker.
+ * @param {string} eyeId Eye being refracted.
+ * @param {'axis'|'power'} type What was confirmed.
+ */
+function recordConfirmation(tracker, eyeId, type) {
+    const eye = getTrackedEye(tracker, eyeId);
+    const checked = type === 'axis' ? eye.axisChecked : eye.powerChecked;
+    if (!checked) {
+        tracker.skippedRechecks.push({ type, eyeId });
+    }
+}
+
+/**
+ * Builds the end-of-case report and score.
+ * @param {object} tracker The tracker.
+ * @param {{eyeId: string, finalRx: object, trueRx: object}[]} results Final and true prescription (minus-cylinder form) of each examined eye.
+ * @param {number} [now=Date.now()] End time in milliseconds.
+ * @returns {object} The report: action counts, time in seconds, per-eye errors (including the dioptric error,
+ *          see getDioptricBlur) and the score (0-100).
+ */
+function buildPerformanceReport(tracker, results, now = Date.now()) {
+    tracker.endTime = tracker.endTime || now;
+
+    const eyes = results.map(({ eyeId, finalRx, trueRx }) => ({
+        eyeId,
+        axisError: getAxisDifference(finalRx.axis, trueRx.axis),
+        cylinderError: Math.abs(finalRx.cylinder - trueRx.cylinder),
+        sphereError: Math.abs(finalRx.sphere - trueRx.sphere),
+        // One number for the whole prescription: an axis error counts for more on a strong cylinder than on a weak one
+        dioptricError: getDioptricBlur(trueRx, finalRx)
+    }));
+
+    let penalty = tracker.wrongMoves.length * SCORE_PENALTIES.wrongDirectionMove +
+        tracker.skippedRechecks.length * SCORE_PENALTIES.skippedRecheck +
+        tracker.skippedFogging.length * SCORE_PENALTIES.skippedFogging;
+    eyes.forEach(eye => {
+        penalty += eye.dioptricError / DIOPTRIC_ERROR_STEP * SCORE_PENALTIES.dioptricErrorStep;
+    });
+
+    return {
+        timeSeconds: Math.round((tracker.endTime - tracker.startTime) / 1000),
+        flips: tracker.flips,
+        lensRotations: tracker.lensRotations,
+        jccRotations: tracker.jccRotations,
+        cylinderChanges: tracker.cylinderChanges,
+        sphereChanges: tracker.sphereChanges,
+        wrongMoves: tracker.wrongMoves.slice(),
+        skippedRechecks: tracker.skippedRechecks.slice(),
+        skippedFogging: tracker.skippedFogging.slice(),
+        eyes,
+        score: Math.max(0, Math.round(100 - penalty))
+    };
+}
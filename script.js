@@ -1,806 +1,3072 @@
-// --- State Variables ---
-let currentSphere = 0.00;
-let currentCylinder = -2.00;
-let currentAxis = 180; // Stores the 0-180 optometric axis
-let jccHandleAngle = 90; // JCC handle set to start at 90 axis
-let jccFlipped = false; // False for Position 1, True for Position 2 (swaps effective red/green axes)
-let tutorStep = 0;      // Controls the progression of tutorial instructions
-
-// --- DOM Elements ---
-const trialLens = document.getElementById('trialLens');
-const lensAxisDisplay = document.getElementById('lensAngleDisplay');
-const cylinderPowerDisplay = document.getElementById('cylinderPowerDisplay');
-
-const jccElement = document.getElementById('jcc');
-const jccRedLine = jccElement.querySelector('.jcc-red-line');
-const jccGreenLine = jccElement.querySelector('.jcc-green-line');
-const jccAngleDisplay = document.getElementById('jccAngleDisplay');
-const flipJCCButton = document.getElementById('flipJCC');
-const jccPositionDisplay = document.getElementById('jccPositionDisplay');
-
-const increasePowerButton = document.getElementById('increasePower');
-const decreasePowerButton = document.getElementById('decreasePower');
-const confirmAxisButton = document.getElementById('confirmAxis');
-const confirmPowerButton = document.getElementById('confirmPower');
-
-const tutorInstructionsBox = document.getElementById('tutorInstructions');
-const patientFeedbackBox = document.getElementById('patientFeedback'); // For continuous feedback
-const currentRXDisplay = document.getElementById('currentRX');
-const finalRXDisplay = document.getElementById('finalRX');
-
-// Notification Box Elements
-const jccNotificationBox = document.getElementById('jccNotification');
-const notificationMessage = document.getElementById('notificationMessage');
-const notificationOkButton = document.getElementById('notificationOkButton');
-
-// Welcome message element
-const welcomeMessageDiv = document.getElementById('welcomeMessage');
-
-// Start Tutorial Button
-const startTutorialButton = document.getElementById('startTutorialButton');
-
-// SVG Axis Slider Elements
-const jccAxisSliderDiv = document.getElementById('jccAxisSlider'); // Parent div
-const jccAxisSliderSVG = jccAxisSliderDiv.querySelector('svg');
-const jccSliderThumb = jccAxisSliderDiv.querySelector('.slider-thumb');
-const jccAxisLine = document.getElementById('jccAxisLine'); 
-
-const lensAxisSliderDiv = document.getElementById('lensAxisSlider'); // Parent div
-const lensAxisSliderSVG = lensAxisSliderDiv.querySelector('svg');
-const lensSliderThumb = lensAxisSliderDiv.querySelector('.slider-thumb');
-const lensAxisLine = document.getElementById('lensAxisLine'); 
-
-let isDraggingJCC = false;
-let isDraggingLens = false;
-
-// SVG Path properties (from viewBox="0 0 100 100")
-const SVG_VIEWBOX_WIDTH = 100;
-const SVG_VIEWBOX_HEIGHT = 100;
-const SVG_CENTER_X = 50; 
-const SVG_CENTER_Y = 50; 
-const SVG_RADIUS = 40; 
-
-// --- Helper Functions ---
-
-/**
- * Rounds an angle to the nearest 5-degree increment.
- * @param {number} angle
- * @returns {number} Rounded angle.
- */
-function roundTo5Degrees(angle) {
-    return Math.round(angle / 5) * 5;
-}
-
-/**
- * Gets the display axis value (ensuring 0 is always displayed as 180 for optometric consistency).
- * This also ensures the final output is 0-180 and snapped to 5 degrees.
- * @param {number} angle A raw angle (could be outside 0-180, e.g., from calculations).
- * @returns {number} Display angle (0-180, where 0 becomes 180).
- */
-function getDisplayAxis(angle) {
-    let displayAngle = roundTo5Degrees(angle);
-    displayAngle = displayAngle % 180; 
-    if (displayAngle < 0) { 
-        displayAngle += 180;
-    }
-    if (displayAngle === 0) {
-        return 180;
-    }
-    return displayAngle;
-}
-
-
-/**
- * Sets the position of an SVG thumb on the full circular track based on a visual angle (0-360 CW from right).
- * Also updates the corresponding axis line.
- * @param {SVGElement} thumb The SVG circle element for the thumb.
- * @param {number} visualAngle360 The angle in degrees (0-360 CW from right) for visual placement of the thumb.
- */
-function setSvgThumbPosition(thumb, visualAngle360) {
-    // Convert angle from degrees (0-360 CW from right) to radians
-    const angleRad = (visualAngle360 * Math.PI) / 180;
-
-    // Calculate SVG coordinates (SVG y-axis is positive downwards)
-    const x = SVG_CENTER_X + SVG_RADIUS * Math.cos(angleRad);
-    const y = SVG_CENTER_Y + SVG_RADIUS * Math.sin(angleRad);
-
-    thumb.setAttribute('cx', x);
-    thumb.setAttribute('cy', y);
-
-    let axisLine;
-    if (thumb === jccSliderThumb) {
-        axisLine = jccAxisLine;
-    } else if (thumb === lensSliderThumb) {
-        axisLine = lensAxisLine;
-    }
-
-    if (axisLine) {
-        axisLine.setAttribute('x1', SVG_CENTER_X);
-        axisLine.setAttribute('y1', SVG_CENTER_Y);
-        axisLine.setAttribute('x2', x);
-        axisLine.setAttribute('y2', y);
-    }
-}
-
-
-/**
- * Updates the visual display of the trial lens, current RX text, and cylinder power on axis.
- */
-function updateLensDisplay() {
-    // MODIFIED: Apply negative rotation for CCW optometric axis display
-    trialLens.style.transform = `rotate(${-currentAxis}deg)`; 
-    lensAxisDisplay.textContent = `${getDisplayAxis(currentAxis)}°`;
-    currentRXDisplay.textContent = `${currentSphere.toFixed(2)} DS / ${currentCylinder.toFixed(2)} DC x ${getDisplayAxis(currentAxis)}°`;
-
-    cylinderPowerDisplay.textContent = `${currentCylinder.toFixed(2)} DC`;
-    
-    const offsetFromCenter = 50; 
-    const lensDiameter = trialLens.offsetWidth; 
-    const lensRadius = lensDiameter / 2;
-
-    // When drawing the text, we still use the actual optometric angle for positioning
-    const angleRad = (currentAxis * Math.PI) / 180; 
-    const xPos = lensRadius + offsetFromCenter * Math.cos(angleRad);
-    const yPos = lensRadius + offsetFromCenter * Math.sin(angleRad);
-
-    cylinderPowerDisplay.style.left = `${xPos}px`;
-    cylinderPowerDisplay.style.top = `${yPos}px`;
-
-    // Counter-rotate text to keep it readable, using the *visual* rotation angle
-    cylinderPowerDisplay.style.transform = `translate(-50%, -50%) rotate(${currentAxis}deg)`; // Use positive currentAxis to counter-rotate the -currentAxis
-    
-    // The thumb's visual position still tracks the 0-360 CW mouse movement
-    // To match the optometric axis (CCW), we need to convert the currentAxis.
-    // Optometric axis 0-180 CCW is equivalent to (360 - optometricAxis) or (180 - optometricAxis + 180) CW.
-    // A simpler way for the visual slider: if currentAxis is X (CCW from right, 90 up),
-    // then for the visual 360 CW slider, it's either X (0-180 down) or (360-X) (0-180 up)
-    let visualSliderAngle = currentAxis;
-    if (currentAxis > 0 && currentAxis < 180) { // If axis is in the top half (CCW 0-180), for a CW visual slider, it's 360-axis
-        visualSliderAngle = (360 - currentAxis) % 360;
-    }
-    // Else if axis is 0 or 180, visual is 0 or 180.
-    // Else if axis is 90, visual is 270 (if we map 90-up to 270).
-    // Let's revert to a simpler method for thumb position - direct map, as the optometric mapping function handles the interpretation.
-    // The slider thumb visually tracks the RAW mouse position, not the mapped optometric value directly.
-    // So, it's best to let `setSvgThumbPosition` use the raw 360-deg input from `moveHandler`
-    // and just set an initial position based on `currentAxis` converted to 360 CW for visual init.
-    // For initialization, if `currentAxis` is 45 (CCW up-right), the visual should be 315 (CW up-right).
-    // If `currentAxis` is 90 (CCW up), visual should be 270 (CW up).
-    // If `currentAxis` is 135 (CCW up-left), visual should be 225 (CW up-left).
-    // The previous mapping in `setSvgThumbPosition` was simpler for display, let's keep it.
-    setSvgThumbPosition(lensSliderThumb, currentAxis); 
-}
-
-/**
- * Updates the visual display of the JCC (handle, red/green lines, and position text).
- */
-function updateJCCDisplay() {
-    // MODIFIED: Apply negative rotation for CCW optometric axis display
-    jccElement.style.transform = `rotate(${-jccHandleAngle}deg)`;
-
-    let redLineRelativeOffset, greenLineRelativeOffset;
-
-    if (!jccFlipped) { // Position 1 (minus cylinder axis is 45 deg CCW from handle)
-        redLineRelativeOffset = -45; 
-        greenLineRelativeOffset = +45; 
-        jccPositionDisplay.textContent = "Position 1";
-    } else { // Position 2 (minus cylinder axis is 45 deg CW from handle)
-        redLineRelativeOffset = +45; 
-        greenLineRelativeOffset = -45; 
-        jccPositionDisplay.textContent = "Position 2";
-    }
-
-    // These lines are relative to the jccElement, so their rotation needs to be in the
-    // same direction as the jccElement's rotation to be visually correct.
-    // Since jccElement rotates by -jccHandleAngle, their relative rotations should remain consistent.
-    jccRedLine.style.transform = `translateX(-50%) rotate(${redLineRelativeOffset}deg)`;
-    jccGreenLine.style.transform = `translateX(-50%) rotate(${greenLineRelativeOffset}deg)`;
-    
-    // Counter-rotate text for readability, using the *visual* rotation angle
-    jccPositionDisplay.style.transform = `translate(-50%, -50%) translateY(-55px) rotate(${jccHandleAngle}deg)`;
-
-    jccAngleDisplay.textContent = `${getDisplayAxis(jccHandleAngle)}°`;
-
-    // See comments in updateLensDisplay for setSvgThumbPosition
-    setSvgThumbPosition(jccSliderThumb, jccHandleAngle); 
-}
-
-/**
- * Displays an instruction message from the tutor.
- * @param {string} text The instruction text.
- */
-function displayInstruction(text) {
-    tutorInstructionsBox.innerHTML = `<strong>Tutor:</strong> ${text}`;
-}
-
-/**
- * Displays patient feedback in the *continuous* feedback box (bottom panel).
- * @param {string} text The patient's feedback.
- */
-function displayContinuousPatientFeedback(text) {
-    patientFeedbackBox.innerHTML = `<strong>Patient:</strong> ${text}`;
-}
-
-/**
- * Displays a central red notification with patient feedback/instruction.
- * @param {string} message The message to display.
- * @param {function} onOkCallback Function to call when OK is pressed.
- */
-function showJCCNotification(message, onOkCallback) {
-    notificationMessage.textContent = message;
-    jccNotificationBox.classList.remove('hidden');
-    disableAllControls(); // Disable other controls while notification is active
-    notificationOkButton.disabled = false;
-    notificationOkButton.onclick = () => {
-        jccNotificationBox.classList.add('hidden');
-        notificationOkButton.onclick = null; // Clear callback
-        onOkCallback(); // Execute the callback to advance tutor
-    };
-}
-
-
-/**
- * Disables all interactive controls in the simulator.
- */
-function disableAllControls() {
-    flipJCCButton.disabled = true;
-    jccAxisSliderDiv.classList.add('disabled'); // Disable JCC SVG slider
-    lensAxisSliderDiv.classList.add('disabled'); // Disable Lens SVG slider
-    increasePowerButton.disabled = true;
-    decreasePowerButton.disabled = true;
-    confirmAxisButton.disabled = true;
-    confirmPowerButton.disabled = true;
-    notificationOkButton.disabled = true;
-    startTutorialButton.disabled = true; // Disable start button by default
-}
-
-/**
- * Enables specific controls.
- * @param {string[]} controls An array of control IDs or types to enable.
- */
-function enableControls(controls) {
-    controls.forEach(control => {
-        switch(control) {
-            case 'flipJCC': flipJCCButton.disabled = false; break;
-            case 'jccRotation': jccAxisSliderDiv.classList.remove('disabled'); break; // Enable JCC SVG slider
-            case 'lensRotation': lensAxisSliderDiv.classList.remove('disabled'); break; // Enable Lens SVG slider
-            case 'increasePower': increasePowerButton.disabled = false; break;
-            case 'decreasePower': decreasePowerButton.disabled = false; break;
-            case 'confirmAxis': confirmAxisButton.disabled = false; break;
-            case 'confirmPower': confirmPowerButton.disabled = false; break;
-            case 'startTutorialButton': startTutorialButton.disabled = false; break; // Enable start button
-        }
-    });
-}
-
-
-/**
- * Gets the current effective red line axis of the JCC (absolute angle).
- * @returns {number} The effective minus cylinder axis (0-180).
- */
-function getJCCRedLineAxis() {
-    let redLineOffset;
-    if (!jccFlipped) { // Position 1
-        redLineOffset = -45; // CCW from handle
-    } else { // Position 2
-        redLineOffset = +45; // CCW from handle
-    }
-    let calculatedAxis = jccHandleAngle + redLineOffset;
-    return getDisplayAxis(calculatedAxis); 
-}
-
-/**
- * Gets the current effective green line axis of the JCC (absolute angle).
- * @returns {number} The effective plus cylinder axis (0-180).
- */
-function getJCCGreenLineAxis() {
-    let greenLineOffset;
-    if (!jccFlipped) { // Position 1
-        greenLineOffset = +45; // CCW from handle
-    } else { // Position 2
-        greenLineOffset = -45; // CCW from handle
-    }
-    let calculatedAxis = jccHandleAngle + greenLineOffset;
-    return getDisplayAxis(calculatedAxis); 
-}
-
-
-// --- SVG Slider Interaction Logic ---
-
-/**
- * Converts mouse/touch coordinates to SVG coordinates.
- * @param {Event} event The mouse or touch event.
- * @param {SVGElement} svgElement The SVG element.
- * @returns {{x: number, y: number}} SVG coordinates.
- */
-function getSvgCoordinates(event, svgElement) {
-    const rect = svgElement.getBoundingClientRect();
-    const clientX = event.touches ? event.touches[0].clientX : event.clientX;
-    const clientY = event.touches ? event.touches[0].clientY : event.clientY;
-
-    // Calculate mouse/touch position relative to the SVG viewbox (0-100 for width, 0-100 for height)
-    const svgX = (clientX - rect.left) / rect.width * SVG_VIEWBOX_WIDTH;
-    const svgY = (clientY - rect.top) / rect.height * SVG_VIEWBOX_HEIGHT;
-    return { x: svgX, y: svgY };
-}
-
-
-/**
- * Converts SVG coordinates to an optometric angle (0-180).
- * This function now correctly interprets a 360-degree drag into a 0-180 optometric axis,
- * where 0 is right, 90 is up, and 180 is left (increasing counter-clockwise).
- * @param {{x: number, y: number}} svgCoords Mouse/touch coordinates in SVG space.
- * @returns {number} The calculated optometric angle (0-180).
- */
-function svgCoordsToOptometricAxis(svgCoords) {
-    const deltaX = svgCoords.x - SVG_CENTER_X;
-    const deltaY = svgCoords.y - SVG_CENTER_Y;
-
-    // Math.atan2(y, x) calculates angle counter-clockwise from the positive X-axis.
-    // In SVG, positive Y is downwards. To get a standard mathematical CCW angle (Y positive upwards), negate deltaY.
-    let angleRad = Math.atan2(-deltaY, deltaX);
-    let angleDeg = angleRad * 180 / Math.PI;
-
-    // Normalize to 0-360 degrees, increasing counter-clockwise from right horizontal.
-    angleDeg = (angleDeg + 360) % 360;
-
-    // Map the 0-360 CCW angle to optometric 0-180 axis.
-    // Optometric axis folds the 360 circle into 180, where 0 and 180 are the same horizontal meridian.
-    let optometricAxis = angleDeg;
-    if (optometricAxis > 180) {
-        optometricAxis -= 180; // Example: 225 becomes 45 (225-180), 270 becomes 90 (270-180)
-    }
-    return Math.round(optometricAxis); 
-}
-
-/**
- * Handles the start of dragging for an SVG axis slider.
- * @param {Event} e The mouse or touch event.
- * @param {HTMLElement} sliderDiv The parent div containing the SVG slider.
- * @param {SVGElement} sliderSvg The SVG element itself.
- * @param {SVGElement} thumbElement The draggable circle thumb.
- * @param {Function} updateValueCallback Callback function to update the corresponding state variable (currentAxis or jccHandleAngle).
- */
-function startDrag(e, sliderDiv, sliderSvg, thumbElement, updateValueCallback) {
-    if (sliderDiv.classList.contains('disabled')) return;
-
-    if (sliderDiv === jccAxisSliderDiv) {
-        isDraggingJCC = true;
-    } else if (sliderDiv === lensAxisSliderDiv) {
-        isDraggingLens = true;
-    }
-
-    const moveHandler = (moveEvent) => {
-        if (!isDraggingJCC && !isDraggingLens) return;
-
-        const svgCoords = getSvgCoordinates(moveEvent, sliderSvg);
-        const newOptometricAxis = svgCoordsToOptometricAxis(svgCoords); // 0-180 for internal value
-
-        // For smooth visual tracking of the thumb around 360 degrees:
-        // This is the raw angle (0-360 CW) that the mouse position translates to on the SVG.
-        // We use deltaY as positive downwards for this visual angle calculation.
-        const currentDeltaX = svgCoords.x - SVG_CENTER_X;
-        const currentDeltaY = svgCoords.y - SVG_CENTER_Y;
-        let currentRawVisualAngle360 = (Math.atan2(currentDeltaY, currentDeltaX) * 180 / Math.PI + 360) % 360;
-
-        // Update the internal state with the 0-180 optometric axis
-        updateValueCallback(newOptometricAxis);
-        
-        // Visually set the thumb position on the 360-degree SVG, tracking the raw mouse movement
-        setSvgThumbPosition(thumbElement, currentRawVisualAngle360);
-        
-        // Update the text display with the 0-180 optometric axis (snapped to 5 degrees, and 0 becomes 180)
-        if (sliderDiv === jccAxisSliderDiv) {
-            jccAngleDisplay.textContent = `${getDisplayAxis(newOptometricAxis)}°`;
-        } else if (sliderDiv === lensAxisSliderDiv) {
-            lensAngleDisplay.textContent = `${getDisplayAxis(newOptometricAxis)}°`;
-        }
-        
-        moveEvent.preventDefault(); 
-    };
-
-    const upHandler = () => {
-        isDraggingJCC = false;
-        isDraggingLens = false;
-        document.removeEventListener('mousemove', moveHandler);
-        document.removeEventListener('mouseup', upHandler);
-        document.removeEventListener('touchmove', moveHandler);
-        document.removeEventListener('touchend', upHandler);
-
-        // After release, ensure the internal value and visual display are snapped to 5 degrees
-        let finalOptometricAxis;
-        if (sliderDiv === jccAxisSliderDiv) {
-            finalOptometricAxis = getDisplayAxis(jccHandleAngle); 
-            jccHandleAngle = finalOptometricAxis;
-            updateJCCDisplay(); 
-        } else if (sliderDiv === lensAxisSliderDiv) {
-            finalOptometricAxis = getDisplayAxis(currentAxis); 
-            currentAxis = finalOptometricAxis;
-            updateLensDisplay(); 
-        }
-
-        checkSliderValueForNextStep(); 
-    };
-
-    document.addEventListener('mousemove', moveHandler);
-    document.addEventListener('mouseup', upHandler);
-    document.addEventListener('touchmove', moveHandler, { passive: false });
-    document.addEventListener('touchend', upHandler);
-
-    // Initial call to set visual position when drag starts
-    const initialSvgCoords = getSvgCoordinates(e, sliderSvg);
-    const initialDeltaX = initialSvgCoords.x - SVG_CENTER_X;
-    const initialDeltaY = initialSvgCoords.y - SVG_CENTER_Y;
-    let initialRawVisualAngle360 = (Math.atan2(initialDeltaY, initialDeltaX) * 180 / Math.PI + 360) % 360;
-    setSvgThumbPosition(thumbElement, initialRawVisualAngle360);
-    
-    // Also set the internal angle immediately, applying the 0->180 rule
-    updateValueCallback(getDisplayAxis(svgCoordsToOptometricAxis(initialSvgCoords)));
-}
-
-
-// Callback functions for the SVG sliders to update state
-function updateJCCRotation(angle) {
-    jccHandleAngle = angle;
-}
-
-function updateLensRotation(angle) {
-    currentAxis = angle;
-}
-
-/**
- * Checks if the current slider value is correct for the current tutorial step to advance.
- * Called after a slider is released.
- */
-function checkSliderValueForNextStep() {
-    switch (tutorStep) {
-        case 1: // Initial JCC handle alignment
-            if (jccHandleAngle === 180) { 
-                nextStep();
-            }
-            break;
-        case 8: // Rotate lens to 5 degrees
-            if (currentAxis === 5) {
-                nextStep();
-            }
-            break;
-        case 9: // Align JCC handle to new lens axis (5 deg)
-            if (jccHandleAngle === 5) {
-                nextStep();
-            }
-            break;
-        case 17: // Align JCC red line with lens axis for power
-            const targetPowerRefineJCCHandleAngle = getDisplayAxis(currentAxis + 45); 
-            if (jccHandleAngle === targetPowerRefineJCCHandleAngle) {
-                nextStep();
-            }
-            break;
-    }
-}
-
-
-// --- Main Tutor Flow Logic (nextStep function) ---
-
-/**
- * Advances the simulation to the next tutor step based on the defined flow.
- * Enables/disables controls and provides instructions/feedback as per the step.
- */
-function nextStep() {
-    tutorStep++;
-    disableAllControls(); 
-
-    switch (tutorStep) {
-        case 1: 
-            welcomeMessageDiv.textContent = `Welcome! Retinoscopy found Plano / -2.00 DC x 180. Your current trial lens is set to this. We'll refine the axis first.`;
-            displayContinuousPatientFeedback(`Ready for examination.`);
-            setTimeout(() => {
-                displayInstruction(`For axis refinement, align the JCC handle with the current cylinder axis. Your trial lens is at 180°. Please set the JCC Handle Angle to 180° using the circular slider.`);
-                enableControls(['jccRotation']);
-            }, 500); 
-            break;
-
-        case 2: 
-            displayInstruction(`JCC handle is at ${getDisplayAxis(jccHandleAngle)}°. Click 'Flip JCC' to view Position 1.`);
-            enableControls(['flipJCC']);
-            jccFlipped = false; 
-            updateJCCDisplay(); 
-            break;
-
-        case 3: 
-            displayContinuousPatientFeedback(`Position 2 (red line at 40°): Blurred.`); 
-            showJCCNotification(`Position 2 (red line at 40°): Blurred. Now, click 'Flip JCC' again to view Position 1.`, nextStep);
-            break;
-
-        case 4: 
-            displayInstruction(`Click 'Flip JCC' again to view Position 1.`);
-            enableControls(['flipJCC']);
-            jccFlipped = true; 
-            updateJCCDisplay();
-            break;
-
-        case 5: 
-            displayContinuousPatientFeedback(`Position 1 (red line at 140°): Blurred.`); 
-            showJCCNotification(`Position 1 (red line at 140°): Blurred. Now, click 'Flip JCC' one more time to view Position 2 and finalize.`, nextStep);
-            break;
-
-        case 6: 
-            displayInstruction(`Click 'Flip JCC' one more time to view Position 2 and finalize.`);
-            enableControls(['flipJCC']);
-            jccFlipped = false; 
-            updateJCCDisplay();
-            break;
-
-        case 7: 
-            displayContinuousPatientFeedback(`Position 2 (red line at 40°): Clearer than Position 1.`);
-            showJCCNotification(`Position 2 (red line at 40°) is clearer than Position 1. Rotate the cylinder lens towards the red line (because of minus lens) for 5 degrees (to axis 5°).`, nextStep);
-            break;
-
-        case 8: 
-            displayInstruction(`As instructed, rotate the trial lens cylinder axis to 5° using the circular slider.`);
-            enableControls(['lensRotation']);
-            updateLensDisplay(); 
-            break;
-
-        case 9: 
-            displayInstruction(`Trial lens is now at ${getDisplayAxis(currentAxis)}°. Now align the JCC handle parallel to this new lens axis (${getDisplayAxis(currentAxis)}°) for further refinement. Please set the JCC Handle Angle to ${getDisplayAxis(currentAxis)}° using the circular slider.`);
-            enableControls(['jccRotation']);
-            updateJCCDisplay(); 
-            break;
-
-        case 10: 
-            displayInstruction(`JCC handle is at ${getDisplayAxis(jccHandleAngle)}°. Click 'Flip JCC' to show Position 1 for axis confirmation.`);
-            enableControls(['flipJCC']);
-            jccFlipped = false; 
-            updateJCCDisplay();
-            break;
-
-        case 11: 
-            displayContinuousPatientFeedback(`Position 2 (red line at ${getJCCRedLineAxis()}°): Equally blurred.`); 
-            showJCCNotification(`Position 2 (red line at ${getJCCRedLineAxis()}°): Equally blurred. Now, click 'Flip JCC' again to view Position 1.`, nextStep);
-            break;
-
-        case 12: 
-            displayInstruction(`Click 'Flip JCC' again to view Position 1.`);
-            enableControls(['flipJCC']);
-            jccFlipped = true; 
-            updateJCCDisplay();
-            break;
-
-        case 13: 
-            displayContinuousPatientFeedback(`Position 1 (red line at ${getJCCRedLineAxis()}°): Equally blurred.`); 
-            showJCCNotification(`Position 1 (red line at ${getJCCRedLineAxis()}°): Equally blurred. Now, click 'Flip JCC' one more time to view Position 2 and finalize.`, nextStep);
-            break;
-
-        case 14: 
-            displayInstruction(`Click 'Flip JCC' one more time to view Position 2 and finalize.`);
-            enableControls(['flipJCC']);
-            jccFlipped = false; 
-            updateJCCDisplay();
-            break;
-
-        case 15: 
-            displayContinuousPatientFeedback(`Position 2 (red line at ${getJCCRedLineAxis()}°): Equally blurred.`); 
-            showJCCNotification(`Both positions are 'Equally blurred'. This confirms ${getDisplayAxis(currentAxis)}° as the correct cylinder axis! Now confirm the axis.`, nextStep);
-            break;
-
-        case 16: 
-            displayInstruction(`As indicated by patient feedback, confirm the axis by clicking 'Confirm Axis'.`);
-            enableControls(['confirmAxis']);
-            break;
-
-        case 17: 
-            const powerRefineJCCHandleAngle = getDisplayAxis(currentAxis + 45); 
-            displayInstruction(`Axis confirmed at ${getDisplayAxis(currentAxis)}°. Now for power refinement. Align the JCC's red line (minus cylinder axis) parallel to the current lens axis (${getDisplayAxis(currentAxis)}°). For Position 1 (unflipped JCC), this means setting the JCC Handle Angle to ${powerRefineJCCHandleAngle}°. Please set the JCC Handle Angle to ${powerRefineJCCHandleAngle}°.`);
-            enableControls(['jccRotation']);
-            updateJCCDisplay(); 
-            break;
-
-        case 18: 
-            displayInstruction(`JCC's red line is now aligned with the lens axis at ${getJCCRedLineAxis()}°. Click 'Flip JCC' to show Position 1 for power comparison.`);
-            enableControls(['flipJCC']);
-            jccFlipped = false; 
-            updateJCCDisplay();
-            break;
-
-        case 19: 
-            displayContinuousPatientFeedback(`Position 2 (red line along ${getDisplayAxis(currentAxis)}°, green line at ${getJCCGreenLineAxis()}°): Clearer than Position 1.`);
-            showJCCNotification(`Position 2 (red line along ${getDisplayAxis(currentAxis)}°, green line at ${getJCCGreenLineAxis()}°): Clearer than Position 1. Now, click 'Flip JCC' again to view Position 1.`, nextStep);
-            break;
-
-        case 20: 
-            displayInstruction(`Click 'Flip JCC' again to view Position 1.`);
-            enableControls(['flipJCC']);
-            jccFlipped = true; 
-            updateJCCDisplay();
-            break;
-
-        case 21: 
-            displayContinuousPatientFeedback(`Position 1 (green line along ${getDisplayAxis(currentAxis)}°, red line at ${getJCCRedLineAxis()}°): Blurred.`);
-            showJCCNotification(`Position 1 (green line along ${getDisplayAxis(currentAxis)}°, red line at ${getJCCRedLineAxis()}°): Blurred. Now, click 'Flip JCC' one more time to view Position 2 and finalize.`, nextStep);
-            break;
-
-        case 22: 
-            displayInstruction(`Click 'Flip JCC' one more time to view Position 2 and finalize.`);
-            enableControls(['flipJCC']);
-            jccFlipped = false; 
-            updateJCCDisplay();
-            break;
-
-        case 23: 
-            displayContinuousPatientFeedback(`Position 2 (red line along ${getDisplayAxis(currentAxis)}°, green line at ${getJCCGreenLineAxis()}°): Clearer than Position 1.`);
-            showJCCNotification(`Position 2 (red line along ${getDisplayAxis(currentAxis)}°, green line at ${getJCCGreenLineAxis()}°): Clearer than Position 1. This means more minus cylinder power is needed. Add -0.25 DC to the lens.`, nextStep);
-            break;
-
-        case 24: 
-            displayInstruction(`Based on patient feedback, click 'Increase Power (-0.25 DC)'.`);
-            enableControls(['increasePower', 'decreasePower']);
-            break;
-
-        case 25: 
-            displayInstruction(`Cylinder power increased to ${currentCylinder.toFixed(2)} DC. Click 'Flip JCC' again to re-evaluate Position 1.`);
-            enableControls(['flipJCC']);
-            jccFlipped = false; 
-            updateJCCDisplay();
-            break;
-
-        case 26: 
-            displayContinuousPatientFeedback(`Position 2 (red line along ${getDisplayAxis(currentAxis)}°, green line at ${getJCCGreenLineAxis()}°): Still slightly clearer than Position 1.`);
-            showJCCNotification(`Position 2 (red line along ${getDisplayAxis(currentAxis)}°, green line at ${getJCCGreenLineAxis()}°): Still slightly clearer than Position 1. Now, click 'Flip JCC' again to view Position 1.`, nextStep);
-            break;
-
-        case 27: 
-            displayInstruction(`Click 'Flip JCC' again to view Position 1.`);
-            enableControls(['flipJCC']);
-            jccFlipped = true; 
-            updateJCCDisplay();
-            break;
-
-        case 28: 
-            displayContinuousPatientFeedback(`Position 1 (green line along ${getDisplayAxis(currentAxis)}°, red line at ${getJCCRedLineAxis()}°): Still slightly blurred.`);
-            showJCCNotification(`Position 1 (green line along ${getDisplayAxis(currentAxis)}°, red line at ${getJCCRedLineAxis()}°): Still slightly blurred. Now, click 'Flip JCC' one more time to view Position 2 and finalize.`, nextStep);
-            break;
-
-        case 29: 
-            displayInstruction(`Click 'Flip JCC' one more time to view Position 2 and finalize.`);
-            enableControls(['flipJCC']);
-            jccFlipped = false; 
-            updateJCCDisplay();
-            break;
-
-        case 30: 
-            displayContinuousPatientFeedback(`Position 2 (red line along ${getDisplayAxis(currentAxis)}°, green line at ${getJCCGreenLineAxis()}°): Still slightly clearer than Position 1.`);
-            showJCCNotification(`Position 2 (red line along ${getDisplayAxis(currentAxis)}°, green line at ${getJCCGreenLineAxis()}°): Still slightly clearer than Position 1. Let's add another -0.25 DC.`, nextStep);
-            break;
-
-        case 31: 
-            displayInstruction(`Based on patient feedback, click 'Increase Power (-0.25 DC)' again.`);
-            enableControls(['increasePower', 'decreasePower']);
-            break;
-
-        case 32: 
-            displayInstruction(`Cylinder power increased to ${currentCylinder.toFixed(2)} DC. Click 'Flip JCC' again to re-evaluate Position 1.`);
-            enableControls(['flipJCC']);
-            jccFlipped = false; 
-            updateJCCDisplay();
-            break;
-
-        case 33: 
-            displayContinuousPatientFeedback(`Position 2 (red line along ${getDisplayAxis(currentAxis)}°, green line at ${getJCCGreenLineAxis()}°): Equally blurred.`);
-            showJCCNotification(`Position 2 (red line along ${getDisplayAxis(currentAxis)}°, green line at ${getJCCGreenLineAxis()}°): Equally blurred. Now, click 'Flip JCC' again to view Position 1.`, nextStep);
-            break;
-            
-        case 34: 
-            displayInstruction(`Click 'Flip JCC' again to view Position 1.`);
-            enableControls(['flipJCC']);
-            jccFlipped = true; 
-            updateJCCDisplay();
-            break;
-
-        case 35: 
-            displayContinuousPatientFeedback(`Position 1 (green line along ${getDisplayAxis(currentAxis)}°, red line at ${getJCCRedLineAxis()}°): Equally blurred.`);
-            showJCCNotification(`Position 1 (green line along ${getDisplayAxis(currentAxis)}°, red line at ${getJCCRedLineAxis()}°): Equally blurred. Now, click 'Flip JCC' one more time to view Position 2 and finalize.`, nextStep);
-            break;
-
-        case 36: 
-            displayInstruction(`Click 'Flip JCC' one more time to view Position 2 and finalize.`);
-            enableControls(['flipJCC']);
-            jccFlipped = false; 
-            updateJCCDisplay();
-            break;
-
-        case 37: 
-            displayContinuousPatientFeedback(`Position 2 (red line along ${getDisplayAxis(currentAxis)}°, green line at ${getJCCGreenLineAxis()}°): Equally blurred.`);
-            showJCCNotification(`Position 2 (red line along ${getDisplayAxis(currentAxis)}°, green line at ${getJCCGreenLineAxis()}°): Equally blurred. Both positions are now equally blurred! The cylinder power of ${currentCylinder.toFixed(2)} DC at axis ${getDisplayAxis(currentAxis)}° is confirmed. Now confirm the power.`, nextStep);
-            break;
-
-        case 38: 
-            displayInstruction(`As indicated by patient feedback, confirm the power by clicking 'Confirm Power'.`);
-            enableControls(['confirmPower']);
-            break;
-            
-        case 39: 
-            displayInstruction(`Congratulations! You have successfully refined the cylinder axis and power. The final verified prescription is displayed below.`);
-            finalRXDisplay.textContent = `${currentSphere.toFixed(2)} DS / ${currentCylinder.toFixed(2)} DC x ${getDisplayAxis(currentAxis)}°`;
-            disableAllControls();
-            break;
-
-        default:
-            displayInstruction("Simulation complete. Refresh the page to restart.");
-            break;
-    }
-}
-
-// --- Event Listeners ---
-
-// JCC SVG Slider Events
-jccAxisSliderDiv.addEventListener('mousedown', (e) => startDrag(e, jccAxisSliderDiv, jccAxisSliderSVG, jccSliderThumb, updateJCCRotation));
-jccAxisSliderDiv.addEventListener('touchstart', (e) => startDrag(e, jccAxisSliderDiv, jccAxisSliderSVG, jccSliderThumb, updateJCCRotation));
-
-// Lens SVG Slider Events
-lensAxisSliderDiv.addEventListener('mousedown', (e) => startDrag(e, lensAxisSliderDiv, lensAxisSliderSVG, lensSliderThumb, updateLensRotation));
-lensAxisSliderDiv.addEventListener('touchstart', (e) => startDrag(e, lensAxisSliderDiv, lensAxisSliderSVG, lensSliderThumb, updateLensRotation));
-
-
-// Listen for JCC flip button clicks
-flipJCCButton.addEventListener('click', () => {
-    if (flipJCCButton.disabled) return; 
-
-    jccFlipped = !jccFlipped; 
-    updateJCCDisplay();
-
-    nextStep();
-});
-
-// Listen for power increase button clicks
-increasePowerButton.addEventListener('click', () => {
-    currentCylinder -= 0.25; 
-    updateLensDisplay();
-    if (tutorStep === 24 || tutorStep === 31) { 
-        nextStep();
-    }
-});
-
-// Listen for power decrease button clicks (not used in this specific tutorial flow but included for completeness)
-decreasePowerButton.addEventListener('click', () => {
-    currentCylinder += 0.25; 
-    updateLensDisplay();
-});
-
-// Listen for Confirm Axis button clicks
-confirmAxisButton.addEventListener('click', () => {
-    if (tutorStep === 16 && currentAxis === 5) {
-        nextStep();
-    }
-});
-
-// Listen for Confirm Power button clicks
-confirmPowerButton.addEventListener('click', () => {
-    if (tutorStep === 38 && currentCylinder === -2.50) {
-        nextStep();
-    }
-});
-
-// Start Tutorial Button Event Listener
-startTutorialButton.addEventListener('click', () => {
-    startTutorialButton.disabled = true; 
-    nextStep(); 
-});
-
-
-// --- Initialization ---
-function init() {
-    currentSphere = 0.00;
-    currentCylinder = -2.00;
-    currentAxis = 180; 
-    jccHandleAngle = 90; 
-
-    updateLensDisplay();
-    updateJCCDisplay();
-    displayContinuousPatientFeedback(`Awaiting instructions.`);
-    welcomeMessageDiv.textContent = `Welcome to the JCC Refinement Simulator! Retinoscopy found Plano / -2.00 DC x 180. Click 'Start Tutorial' to begin refining the cylinder axis.`;
-    
-    disableAllControls(); 
-    enableControls(['startTutorialButton']); 
-}
-
+// --- State Variables ---
+// Trial lens, JCC and patient state is kept per eye (see createEyeState).
+let eyes = { OD: null, OS: null }; // OS is null when only the right eye is examined
+let activeEyeId = 'OD';     // Eye being refracted: 'OD' (right) or 'OS' (left)
+let occludedEyeId = 'OS';   // Eye behind the occluder, or null when both eyes are open
+let binocularSession = false;   // True when both eyes are refracted and then balanced (free practice)
+let sessionStage = 'monocular'; // 'monocular' while refining each eye with the JCC, 'balance' during binocular balance
+let tutorStep = -1;     // Index of the current step in the active scenario
+let activeScenario = null; // Guided scenario being run (see scenarios.js)
+let simulatorMode = 'tutorial'; // 'tutorial' follows the guided script, 'practice' is unguided free practice
+let caseDifficulty = 'beginner'; // Preset used by the case generator (see cases.js)
+let autoSphereCompensation = false; // When true, sphere follows cylinder changes to keep the spherical equivalent
+let fullMonocularSequence = false; // When true, free practice adds a best-sphere step before the JCC and a duochrome check after it
+let jccPower = 0.25;    // JCC power in dioptres, one of JCC_POWERS (±0.25 D cross cylinder by default)
+let cylinderNotation = 'minus'; // 'minus' or 'plus': how prescriptions and tutor wording are shown.
+                                // The trial lens state above is always kept in minus-cylinder form.
+
+let performanceTracker = createPerformanceTracker(); // Trainee actions for the end-of-case report (see scoring.js)
+let hintTracker = createHintTracker(); // Mistakes hinted at so far, for escalating the hints (see hints.js)
+let eventLog = createEventLog(); // Timestamped trainee actions (see eventlog.js)
+let sessionInfo = {};            // Mode, settings and cases of the current session, saved with the log
+let scenarioStartTimer = null;   // Pending first step of a tutorial that has just started
+let replay = null;               // Recorded session being replayed (see startReplay), or null
+let undoStack = [];              // Snapshots to go back to (see getUndoSnapshot)
+let redoStack = [];              // Snapshots undone, ready to redo
+let practiceAcuity = '6/6'; // Acuity given to generated practice patients (scripted tutorials use 6/6)
+let practicePersonality = 'reliable'; // How generated practice patients answer (scripted tutorials are reliable)
+let lastPatientPhrase = null;      // Phrase the patient used last, so the next answer is worded differently
+let showAnswerExplanation = true;  // When true, the technical reading of each patient answer is shown too
+let speakPatientAnswers = false;   // When true, patient answers are spoken through speechSynthesis
+let axisStep = 5;           // Degrees the lens axis and JCC handle snap to, one of AXIS_STEPS
+let fineAxisAdjust = false; // When true, the dials turn in FINE_AXIS_STEP steps whatever the axis step
+let keyboardDial = 'lens';  // Dial the arrow keys turn: 'lens' (trial lens axis) or 'jcc' (JCC handle)
+let lastDialTurn = null;    // Dial and eye of the last action if it was a rotation ({dial, eyeId}), so a run of key presses counts once
+let focusBeforeNotification = null; // Element to give focus back to when the notification closes
+let viewUpdateFrame = null;  // Pending animation frame that redraws the patient's view and power vector plot
+let sharpChart = null;       // Unblurred letter chart, drawn once (see getSharpChart)
+
+const EYE_LABELS = { OD: 'Right Eye (OD)', OS: 'Left Eye (OS)' };
+
+// --- DOM Elements ---
+const trialLens = document.getElementById('trialLens');
+const lensAxisDisplay = document.getElementById('lensAngleDisplay');
+const cylinderPowerDisplay = document.getElementById('cylinderPowerDisplay');
+
+const jccElement = document.getElementById('jcc');
+const jccRedLine = jccElement.querySelector('.jcc-red-line');
+const jccGreenLine = jccElement.querySelector('.jcc-green-line');
+const jccAngleDisplay = document.getElementById('jccAngleDisplay');
+const flipJCCButton = document.getElementById('flipJCC');
+const jccPositionDisplay = document.getElementById('jccPositionDisplay');
+const jccPowerDisplay = document.getElementById('jccPowerDisplay');
+const jccPowerSelect = document.getElementById('jccPowerSelect');
+
+const increasePowerButton = document.getElementById('increasePower');
+const decreasePowerButton = document.getElementById('decreasePower');
+const plusSphereButton = document.getElementById('plusSphere');
+const minusSphereButton = document.getElementById('minusSphere');
+const confirmAxisButton = document.getElementById('confirmAxis');
+const confirmPowerButton = document.getElementById('confirmPower');
+const duochromeButton = document.getElementById('duochrome');
+const confirmSphereButton = document.getElementById('confirmSphere');
+
+const tutorInstructionsBox = document.getElementById('tutorInstructions');
+const tutorHintBox = document.getElementById('tutorHint');
+const patientFeedbackBox = document.getElementById('patientFeedback'); // For continuous feedback
+const patientExplanationBox = document.getElementById('patientExplanation');
+const patientViewCharts = [1, 2].map(position => ({
+    figure: document.getElementById(`chartView${position}`),
+    canvas: document.getElementById(`chartCanvas${position}`),
+    caption: document.getElementById(`chartCaption${position}`)
+}));
+const chartAcuityDisplay = document.getElementById('chartAcuity');
+const powerVectorRows = document.getElementById('powerVectorRows');
+const powerVectorPlot = document.getElementById('powerVectorPlot');
+const powerVectorError = document.getElementById('powerVectorError');
+const revealTrueRxCheckbox = document.getElementById('revealTrueRx');
+const currentRXDisplay = document.getElementById('currentRX');
+const finalRXDisplay = document.getElementById('finalRX');
+const performanceReportSection = document.getElementById('performanceReport');
+const performanceReportContent = document.getElementById('performanceReportContent');
+const eventLogStatus = document.getElementById('eventLogStatus');
+const downloadLogJSONButton = document.getElementById('downloadLogJSON');
+const downloadLogCSVButton = document.getElementById('downloadLogCSV');
+
+// Undo / redo
+const undoButton = document.getElementById('undoButton');
+const redoButton = document.getElementById('redoButton');
+
+// Replay controls
+const replayCurrentButton = document.getElementById('replayCurrentSession');
+const replayFileInput = document.getElementById('replayFileInput');
+const replayPlayPauseButton = document.getElementById('replayPlayPause');
+const replayStepBackButton = document.getElementById('replayStepBack');
+const replayStepButton = document.getElementById('replayStep');
+const replayNextMistakeButton = document.getElementById('replayNextMistake');
+const replaySpeedSelect = document.getElementById('replaySpeed');
+const replayScrubber = document.getElementById('replayScrubber');
+const replayStatus = document.getElementById('replayStatus');
+const exitReplayButton = document.getElementById('exitReplay');
+
+// Notification Box Elements
+const jccNotificationBox = document.getElementById('jccNotification');
+const notificationMessage = document.getElementById('notificationMessage');
+const notificationOkButton = document.getElementById('notificationOkButton');
+
+// Welcome message element
+const welcomeMessageDiv = document.getElementById('welcomeMessage');
+
+// Case Settings
+const scenarioSelect = document.getElementById('scenarioSelect');
+const difficultySelect = document.getElementById('difficultySelect');
+const autoSphereCheckbox = document.getElementById('autoSphereCompensation');
+const fullSequenceCheckbox = document.getElementById('fullMonocularSequence');
+const notationSelect = document.getElementById('notationSelect');
+const acuitySelect = document.getElementById('acuitySelect');
+const personalitySelect = document.getElementById('personalitySelect');
+const showExplanationCheckbox = document.getElementById('showExplanation');
+const speakAnswersCheckbox = document.getElementById('speakAnswers');
+const axisStepSelect = document.getElementById('axisStepSelect');
+const fineAxisAdjustCheckbox = document.getElementById('fineAxisAdjust');
+
+// Eye selector, occluder and binocular balance
+const selectODButton = document.getElementById('selectOD');
+const selectOSButton = document.getElementById('selectOS');
+const occluderButton = document.getElementById('toggleOccluder');
+const compareEyesButton = document.getElementById('compareEyes');
+const confirmBalanceButton = document.getElementById('confirmBalance');
+const eyeLabel = document.getElementById('eyeLabel');
+
+// Start Tutorial / Free Practice / Restart / New Case Buttons
+const startTutorialButton = document.getElementById('startTutorialButton');
+const startPracticeButton = document.getElementById('startPracticeButton');
+const restartCaseButton = document.getElementById('restartCaseButton');
+const newCaseButton = document.getElementById('newCaseButton');
+
+// Resume prompt and case history (see storage.js)
+const resumePrompt = document.getElementById('resumePrompt');
+const resumeMessage = document.getElementById('resumeMessage');
+const resumeSessionButton = document.getElementById('resumeSessionButton');
+const discardSessionButton = document.getElementById('discardSessionButton');
+const caseHistorySummary = document.getElementById('caseHistorySummary');
+const caseHistoryList = document.getElementById('caseHistoryList');
+const clearHistoryButton = document.getElementById('clearHistoryButton');
+
+// SVG Axis Slider Elements
+const jccAxisSliderDiv = document.getElementById('jccAxisSlider'); // Parent div
+const jccAxisSliderSVG = jccAxisSliderDiv.querySelector('svg');
+const jccSliderThumb = jccAxisSliderDiv.querySelector('.slider-thumb');
+const jccAxisLine = document.getElementById('jccAxisLine'); 
+
+const lensAxisSliderDiv = document.getElementById('lensAxisSlider'); // Parent div
+const lensAxisSliderSVG = lensAxisSliderDiv.querySelector('svg');
+const lensSliderThumb = lensAxisSliderDiv.querySelector('.slider-thumb');
+const lensAxisLine = document.getElementById('lensAxisLine'); 
+
+let isDraggingJCC = false;
+let isDraggingLens = false;
+
+// Free practice grading tolerances
+const PRACTICE_AXIS_TOLERANCE = 5;      // Degrees either side of the true axis
+const PRACTICE_POWER_TOLERANCE = 0.125; // Dioptres, i.e. within half a 0.25 DC step
+
+const POWER_STEP = 0.25; // Sphere and cylinder powers change in 0.25 D steps
+const BALANCE_FOG = 0.75; // Plus sphere added to both eyes during binocular balance so neither can accommodate
+// Controls used in each step of refracting one eye in free practice (see createEyeState)
+const REFRACTION_STEP_CONTROLS = {
+    bestSphere: ['plusSphere', 'minusSphere', 'confirmSphere'],
+    jcc: ['flipJCC', 'jccRotation', 'lensRotation', 'increasePower', 'decreasePower', 'plusSphere', 'minusSphere', 'confirmAxis', 'confirmPower'],
+    duochrome: ['plusSphere', 'minusSphere', 'duochrome', 'confirmSphere'],
+    done: []
+};
+const UNDO_HISTORY_LIMIT = 100; // Oldest undo points are dropped beyond this
+const REPLAY_MAX_GAP_SECONDS = 2; // Longer pauses between recorded events are shortened to this during playback
+const CASE_HISTORY_SHOWN = 10; // Most recent case results listed in the history panel
+const CHART_LINES = [           // Letter chart lines, from the largest to the smallest letters
+    { denominator: 36, letters: 'FP' },
+    { denominator: 24, letters: 'TOZ' },
+    { denominator: 18, letters: 'LPED' },
+    { denominator: 12, letters: 'PECFD' },
+    { denominator: 9, letters: 'EDFCZP' },
+    { denominator: 6, letters: 'FELOPZD' }
+];
+const CHART_PIXELS_PER_ARCMIN = 1.4; // Scale of the chart: a 6/6 letter (5 minutes of arc) is 7 pixels tall
+const CHART_CAP_HEIGHT = 0.72;       // Height of a capital letter as a fraction of the font size
+const CHART_MARGIN = 8;              // Pixels above the first line and between the smallest lines
+const CHART_LABEL_WIDTH = 30;        // Pixels kept clear on the left for the line labels
+const CHART_BLUR_SAMPLES = 64;       // Copies of the chart averaged to draw the blur
+const CHART_GOLDEN_ANGLE = Math.PI * (3 - Math.sqrt(5)); // Spreads the copies evenly over the blur ellipse
+const POWER_VECTOR_MIN_EXTENT = 1; // Dioptres from the centre to the edge of the J0/J45 plot, at least
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+const AXIS_STEPS = [1, 2.5, 5];  // Axis resolutions the trainee can choose from
+const FINE_AXIS_STEP = 1;        // Step used in fine-adjust mode (or while Shift is held during a drag)
+const AXIS_KEY_LARGE_STEP = 10;  // Degrees Shift + arrow key turns the selected dial
+
+// --- Helper Functions ---
+
+/**
+ * Gets the step the dials turn in: the fine step in fine-adjust mode, otherwise the chosen axis step.
+ * @param {boolean} [fine=fineAxisAdjust] True for fine adjustment.
+ * @returns {number} Step in degrees.
+ */
+function getAxisInputStep(fine = fineAxisAdjust) {
+    return fine ? Math.min(FINE_AXIS_STEP, axisStep) : axisStep;
+}
+
+
+/**
+ * Converts a minus-cylinder prescription to the notation the trainee has chosen.
+ * @param {{sphere: number, cylinder: number, axis: number}} rx Prescription in minus-cylinder form.
+ * @returns {{sphere: number, cylinder: number, axis: number}} The same prescription in the chosen notation.
+ */
+function toDisplayNotation(rx) {
+    return toNotation(rx, cylinderNotation);
+}
+
+/**
+ * Formats a minus-cylinder prescription as sphere / cylinder x axis text in the chosen notation.
+ * @param {{sphere: number, cylinder: number, axis: number}} rx The prescription (minus-cylinder form).
+ * @returns {string} e.g. "0.00 DS / -2.00 DC x 180°", or "-2.00 DS / +2.00 DC x 90°" in plus notation.
+ */
+function formatRx(rx) {
+    return formatRxInNotation(rx, cylinderNotation);
+}
+
+/**
+ * Gets the trial lens in front of an eye.
+ * @param {object} [eye] Eye state (defaults to the eye being refracted).
+ * @returns {{sphere: number, cylinder: number, axis: number}} The trial lens in minus-cylinder form.
+ */
+function getTrialRx(eye = getActiveEye()) {
+    return { sphere: eye.sphere, cylinder: eye.cylinder, axis: eye.axis };
+}
+
+/**
+ * Sets the position of an SVG thumb on the full circular track based on a visual angle (0-360 CW from right).
+ * Also updates the corresponding axis line.
+ * @param {SVGElement} thumb The SVG circle element for the thumb.
+ * @param {number} visualAngle360 The angle in degrees (0-360 CW from right) for visual placement of the thumb.
+ */
+function setSvgThumbPosition(thumb, visualAngle360) {
+    // Convert angle from degrees (0-360 CW from right) to radians
+    const angleRad = (visualAngle360 * Math.PI) / 180;
+
+    // Calculate SVG coordinates (SVG y-axis is positive downwards)
+    const x = SVG_CENTER_X + SVG_RADIUS * Math.cos(angleRad);
+    const y = SVG_CENTER_Y + SVG_RADIUS * Math.sin(angleRad);
+
+    thumb.setAttribute('cx', x);
+    thumb.setAttribute('cy', y);
+
+    let axisLine;
+    if (thumb === jccSliderThumb) {
+        axisLine = jccAxisLine;
+    } else if (thumb === lensSliderThumb) {
+        axisLine = lensAxisLine;
+    }
+
+    if (axisLine) {
+        axisLine.setAttribute('x1', SVG_CENTER_X);
+        axisLine.setAttribute('y1', SVG_CENTER_Y);
+        axisLine.setAttribute('x2', x);
+        axisLine.setAttribute('y2', y);
+    }
+}
+
+
+/**
+ * Updates the visual display of the trial lens, current RX text, and cylinder power on axis.
+ */
+function updateLensDisplay() {
+    // The lens is drawn in the chosen notation: in plus cylinder its axis sits 90° from the minus axis
+    const shownRx = toDisplayNotation(getTrialRx());
+    const shownAxis = shownRx.axis;
+    const spherical = shownRx.cylinder === 0; // No cylinder yet, so no axis to show
+    trialLens.classList.toggle('plus-lens', cylinderNotation === 'plus');
+    trialLens.classList.toggle('spherical-lens', spherical);
+
+    // MODIFIED: Apply negative rotation for CCW optometric axis display
+    trialLens.style.transform = `rotate(${-shownAxis}deg)`; 
+    lensAxisDisplay.textContent = spherical ? 'No cylinder' : `${getDisplayAxis(shownAxis)}°`;
+    setSliderValue(lensAxisSliderDiv, getDisplayAxis(shownAxis));
+    if (spherical) {
+        lensAxisSliderDiv.setAttribute('aria-valuetext', 'No cylinder');
+    }
+    currentRXDisplay.textContent = `${activeEyeId}: ${formatRx(getTrialRx())}`;
+
+    cylinderPowerDisplay.textContent = `${formatPower(shownRx.cylinder)} DC`;
+    
+    const offsetFromCenter = 50; 
+    const lensDiameter = trialLens.offsetWidth; 
+    const lensRadius = lensDiameter / 2;
+
+    // When drawing the text, we still use the actual optometric angle for positioning
+    const angleRad = (shownAxis * Math.PI) / 180; 
+    const xPos = lensRadius + offsetFromCenter * Math.cos(angleRad);
+    const yPos = lensRadius + offsetFromCenter * Math.sin(angleRad);
+
+    cylinderPowerDisplay.style.left = `${xPos}px`;
+    cylinderPowerDisplay.style.top = `${yPos}px`;
+
+    // Counter-rotate text to keep it readable, using the *visual* rotation angle
+    cylinderPowerDisplay.style.transform = `translate(-50%, -50%) rotate(${shownAxis}deg)`; // Use positive axis to counter-rotate the -axis
+    
+    // The thumb's visual position still tracks the 0-360 CW mouse movement
+    // To match the optometric axis (CCW), we need to convert the eye's axis.
+    // Optometric axis 0-180 CCW is equivalent to (360 - optometricAxis) or (180 - optometricAxis + 180) CW.
+    // A simpler way for the visual slider: if the axis is X (CCW from right, 90 up),
+    // then for the visual 360 CW slider, it's either X (0-180 down) or (360-X) (0-180 up)
+    const lensAxis = getActiveEye().axis;
+    let visualSliderAngle = lensAxis;
+    if (lensAxis > 0 && lensAxis < 180) { // If axis is in the top half (CCW 0-180), for a CW visual slider, it's 360-axis
+        visualSliderAngle = (360 - lensAxis) % 360;
+    }
+    // Else if axis is 0 or 180, visual is 0 or 180.
+    // Else if axis is 90, visual is 270 (if we map 90-up to 270).
+    // Let's revert to a simpler method for thumb position - direct map, as the optometric mapping function handles the interpretation.
+    // The slider thumb visually tracks the RAW mouse position, not the mapped optometric value directly.
+    // So, it's best to let `setSvgThumbPosition` use the raw 360-deg input from `moveHandler`
+    // and just set an initial position based on the axis converted to 360 CW for visual init.
+    // For initialization, if the axis is 45 (CCW up-right), the visual should be 315 (CW up-right).
+    // If the axis is 90 (CCW up), visual should be 270 (CW up).
+    // If the axis is 135 (CCW up-left), visual should be 225 (CW up-left).
+    // The previous mapping in `setSvgThumbPosition` was simpler for display, let's keep it.
+    setSvgThumbPosition(lensSliderThumb, shownAxis); 
+    scheduleViewUpdate();
+}
+
+/**
+ * Updates the visual display of the JCC (handle, red/green lines, and position text).
+ */
+function updateJCCDisplay() {
+    const { jccHandleAngle, jccFlipped } = getActiveEye();
+
+    // MODIFIED: Apply negative rotation for CCW optometric axis display
+    jccElement.style.transform = `rotate(${-jccHandleAngle}deg)`;
+
+    let redLineRelativeOffset, greenLineRelativeOffset;
+
+    if (!jccFlipped) { // Position 1 (minus cylinder axis is 45 deg CCW from handle)
+        redLineRelativeOffset = -45; 
+        greenLineRelativeOffset = +45; 
+        jccPositionDisplay.textContent = "Position 1";
+    } else { // Position 2 (minus cylinder axis is 45 deg CW from handle)
+        redLineRelativeOffset = +45; 
+        greenLineRelativeOffset = -45; 
+        jccPositionDisplay.textContent = "Position 2";
+    }
+
+    // These lines are relative to the jccElement, so their rotation needs to be in the
+    // same direction as the jccElement's rotation to be visually correct.
+    // Since jccElement rotates by -jccHandleAngle, their relative rotations should remain consistent.
+    jccRedLine.style.transform = `translateX(-50%) rotate(${redLineRelativeOffset}deg)`;
+    jccGreenLine.style.transform = `translateX(-50%) rotate(${greenLineRelativeOffset}deg)`;
+    
+    // Counter-rotate text for readability, using the *visual* rotation angle
+    jccPositionDisplay.style.transform = `translate(-50%, -50%) translateY(-55px) rotate(${jccHandleAngle}deg)`;
+
+    // The power is engraved on the lens, opposite the position label
+    jccPowerDisplay.textContent = formatJCCPower(jccPower);
+    jccPowerDisplay.style.transform = `translate(-50%, -50%) translateY(55px) rotate(${jccHandleAngle}deg)`;
+
+    jccAngleDisplay.textContent = `${getDisplayAxis(jccHandleAngle)}°`;
+    setSliderValue(jccAxisSliderDiv, getDisplayAxis(jccHandleAngle));
+
+    // See comments in updateLensDisplay for setSvgThumbPosition
+    setSvgThumbPosition(jccSliderThumb, jccHandleAngle); 
+    scheduleViewUpdate();
+}
+
+/**
+ * Displays an instruction message from the tutor.
+ * @param {string} text The instruction text.
+ */
+function displayInstruction(text) {
+    tutorInstructionsBox.innerHTML = `<strong>Tutor:</strong> ${text}`;
+}
+
+/**
+ * Shows the hint for a trainee mistake under the tutor instructions and logs it. Repeats of the same
+ * mistake get more explicit hints (see getHint).
+ * @param {object} diagnosis The mistake (see hints.js).
+ */
+function showTutorHint(diagnosis) {
+    const hint = getHint(hintTracker, diagnosis, cylinderNotation);
+    tutorHintBox.innerHTML = `<strong>Hint:</strong> ${escapeHtml(hint.text)}`;
+    tutorHintBox.classList.toggle('hint-level-3', hint.level === 3);
+    tutorHintBox.classList.remove('hidden');
+    logSessionEvent('hint', { value: hint.type, detail: hint.text });
+}
+
+/**
+ * Hides the tutor hint.
+ */
+function hideTutorHint() {
+    tutorHintBox.classList.add('hidden');
+}
+
+/**
+ * Displays patient feedback in the *continuous* feedback box (bottom panel).
+ * @param {string} text The patient's feedback.
+ * @param {string} [explanation] Technical reading of the answer, shown below it when explanations are turned on.
+ */
+function displayContinuousPatientFeedback(text, explanation = '') {
+    patientFeedbackBox.innerHTML = `<strong>Patient:</strong> ${text}`;
+    patientExplanationBox.textContent = explanation;
+    patientExplanationBox.classList.toggle('hidden', !explanation || !showAnswerExplanation);
+}
+
+/**
+ * Shows (and, if turned on, speaks) what the patient said.
+ * @param {{words: string, explanation: string}} answer The patient's answer (see getPatientAnswer).
+ */
+function showPatientAnswer(answer) {
+    displayContinuousPatientFeedback(`"${answer.words}"`, answer.explanation);
+    speakPatient(answer.words);
+}
+
+/**
+ * Writes a patient's answer as one line for the session log: their words, then the technical reading.
+ * @param {{words: string, explanation: string}} answer The patient's answer.
+ * @returns {string} The log text.
+ */
+function describePatientAnswer(answer) {
+    return `"${answer.words}" ${answer.explanation}`;
+}
+
+/**
+ * Speaks the patient's words through the browser's speech synthesis, when the trainee has turned it on.
+ * @param {string} words What the patient says.
+ */
+function speakPatient(words) {
+    if (!speakPatientAnswers || !('speechSynthesis' in window)) return;
+    window.speechSynthesis.cancel(); // Don't queue up answers to earlier flips
+    window.speechSynthesis.speak(new SpeechSynthesisUtterance(words));
+}
+
+/**
+ * Asks the simulated patient about the JCC position currently shown.
+ * The answer is calculated from the hidden prescription, the trial lens, the JCC orientation and the
+ * patient's personality, then put into the patient's own words (see dialogue.js). A patient who asked
+ * to see both positions again keeps the request open on the eye.
+ * @returns {{response: string, words: string, explanation: string}} The answer (see getPatientJCCTurn, or
+ *          'bothEyesOpen' when the patient cannot judge), what the patient says, and its technical reading.
+ */
+function getPatientAnswer() {
+    const eye = getActiveEye();
+    const shownPosition = eye.jccFlipped ? 2 : 1;
+    let response = 'bothEyesOpen';
+
+    // With both eyes open the patient cannot judge the eye being refracted
+    if (occludedEyeId === getFellowEyeId()) {
+        const turn = getPatientJCCTurn({
+            trueRx: eye.trueRx,
+            trialRx: getTrialRx(),
+            jccHandleAngle: eye.jccHandleAngle,
+            jccFlipped: eye.jccFlipped,
+            jccPower,
+            profile: eye.profile
+        }, eye.patientRequest);
+        response = turn.response;
+        eye.patientRequest = turn.request;
+    }
+
+    const { words, phrase } = getJCCAnswerWords(response, shownPosition, {
+        previous: lastPatientPhrase,
+        fellowEye: getFellowEyeId() === 'OS' ? 'left' : 'right'
+    });
+    lastPatientPhrase = phrase;
+    return { response, words, explanation: explainJCCAnswer(response, shownPosition, getJCCRedLineAxis(), getJCCGreenLineAxis()) };
+}
+
+/**
+ * Records a confirmed prescription for the eye being refracted and shows it in the Final Verified RX box.
+ * @param {{sphere: number, cylinder: number, axis: number}} rx The prescription in minus-cylinder form.
+ */
+function showFinalRx(rx) {
+    getActiveEye().finalRx = { ...rx };
+    updateFinalRxDisplay();
+}
+
+/**
+ * Shows each eye's confirmed prescription in the Final Verified RX box.
+ */
+function updateFinalRxDisplay() {
+    finalRXDisplay.innerHTML = '';
+    Object.entries(eyes).forEach(([eyeId, eye]) => {
+        const line = document.createElement('div');
+        if (!eye) {
+            line.textContent = `${eyeId}: not examined`;
+        } else {
+            line.textContent = eye.finalRx
+                ? `${eyeId}: ${formatRx(eye.finalRx)} (VA ${getVisualAcuity(eye.trueRx, eye.finalRx, eye.profile).snellen})`
+                : `${eyeId}: -`;
+        }
+        finalRXDisplay.appendChild(line);
+    });
+}
+
+// --- Patient's View ---
+// A letter chart blurred the way the patient sees it: by the residual error between the trial lens
+// (and JCC) and the hidden prescription, less whatever the eye accommodates. While refining an eye with the
+// JCC both positions are shown side by side, and during the duochrome check the red and green halves.
+
+/**
+ * Redraws the patient's view and the power vector panel on the next animation frame, so a dial drag
+ * redraws them at most once a frame.
+ */
+function scheduleViewUpdate() {
+    if (viewUpdateFrame !== null) return;
+    viewUpdateFrame = requestAnimationFrame(() => {
+        viewUpdateFrame = null;
+        updatePatientView();
+        updatePowerVectorPanel();
+    });
+}
+
+/**
+ * Draws the letter chart as the patient sees it and reports the acuity through the trial lens.
+ */
+function updatePatientView() {
+    const eye = getActiveEye();
+    if (!eye) {
+        patientViewCharts.forEach(view => view.figure.classList.add('hidden'));
+        chartAcuityDisplay.textContent = 'No patient yet.';
+        return;
+    }
+
+    const trialRx = getTrialRx();
+    const singleEye = sessionStage === 'monocular' && occludedEyeId === getFellowEyeId();
+    const step = eye.refractionStep || 'jcc';
+    // The JCC is only held up while a single eye is refined with it
+    const comparingPositions = singleEye && step === 'jcc';
+    const shownPosition = eye.jccFlipped ? 2 : 1;
+    let views = [{ label: 'Trial lens', residual: getAccommodatedResidual(eye.trueRx, trialRx), current: true }];
+    if (comparingPositions) {
+        views = [1, 2].map(position => {
+            const jcc = { redLineAxis: getRedLineAxis(eye.jccHandleAngle, position === 2), jccPower };
+            return {
+                label: `Position ${position}${position === shownPosition ? ' (showing)' : ''}`,
+                residual: getAccommodatedResidual(eye.trueRx, trialRx, jcc),
+                current: position === shownPosition
+            };
+        });
+    } else if (singleEye && step === 'duochrome') {
+        const { red, green } = getDuochromeResiduals(eye.trueRx, trialRx);
+        views = [
+            { label: 'Red', residual: red, tint: '#e53935' },
+            { label: 'Green', residual: green, tint: '#43a047' }
+        ];
+    }
+
+    patientViewCharts.forEach((chart, index) => {
+        const view = views[index];
+        chart.figure.classList.toggle('hidden', !view);
+        if (!view) return;
+        drawBlurredChart(chart.canvas, getRetinalBlur(view.residual), eye.profile, view.tint);
+        chart.figure.classList.toggle('current-view', comparingPositions && view.current);
+        chart.caption.textContent = `${view.label}: ${getAcuityForBlur(getPowerVectorLength(view.residual), eye.profile).snellen}`;
+    });
+    chartAcuityDisplay.textContent = `${EYE_LABELS[activeEyeId]} reads ${getVisualAcuity(eye.trueRx, trialRx, eye.profile).snellen} through the trial lens.`;
+}
+
+/**
+ * Draws the sharp letter chart once, to be blurred for each view.
+ * @param {number} width Canvas width in pixels.
+ * @param {number} height Canvas height in pixels.
+ * @returns {HTMLCanvasElement} The chart.
+ */
+function getSharpChart(width, height) {
+    if (sharpChart && sharpChart.width === width && sharpChart.height === height) return sharpChart;
+    sharpChart = document.createElement('canvas');
+    sharpChart.width = width;
+    sharpChart.height = height;
+    const context = sharpChart.getContext('2d');
+    context.fillStyle = '#fff';
+    context.fillRect(0, 0, width, height);
+    context.fillStyle = '#000';
+    context.textAlign = 'center';
+    context.textBaseline = 'alphabetic';
+
+    let y = CHART_MARGIN;
+    CHART_LINES.forEach(line => {
+        // Snellen letters are five times the size of the detail the line tests
+        const letterHeight = 5 * (line.denominator / 6) * CHART_PIXELS_PER_ARCMIN;
+        context.font = `bold ${letterHeight / CHART_CAP_HEIGHT}px Arial, sans-serif`;
+        y += letterHeight;
+        const spacing = letterHeight * 2;
+        const left = CHART_LABEL_WIDTH + (width - CHART_LABEL_WIDTH - spacing * (line.letters.length - 1)) / 2;
+        [...line.letters].forEach((letter, index) => context.fillText(letter, left + index * spacing, y));
+        y += Math.max(letterHeight * 0.6, CHART_MARGIN);
+    });
+    return sharpChart;
+}
+
+/**
+ * Draws the letter chart blurred by a retinal blur patch: copies of the sharp chart spread over the blur
+ * ellipse are averaged, which smears the letters along the blurred meridian. The line labels stay sharp.
+ * @param {HTMLCanvasElement} canvas Canvas to draw on.
+ * @param {{meridian: number, length: number, width: number}} blur Blur patch (see getRetinalBlur).
+ * @param {{acuity: string}} profile The patient's profile; reduced acuity adds a little blur in every direction.
+ * @param {string} [tint] Background colour of the chart, e.g. for the halves of the duochrome. White when left out.
+ */
+function drawBlurredChart(canvas, blur, profile, tint) {
+    const context = canvas.getContext && canvas.getContext('2d');
+    if (!context) return; // Canvas not supported
+
+    const sharp = getSharpChart(canvas.width, canvas.height);
+    const baseBlur = ((PATIENT_ACUITY_LEVELS[profile.acuity] || PATIENT_ACUITY_LEVELS['6/6']).minimumAngle - 1) * 5;
+    // Blur ellipse semi-axes in pixels
+    const along = Math.hypot(blur.length, baseBlur) / 2 * CHART_PIXELS_PER_ARCMIN;
+    const across = Math.hypot(blur.width, baseBlur) / 2 * CHART_PIXELS_PER_ARCMIN;
+    const angle = blur.meridian * Math.PI / 180;
+    const samples = along < 0.5 ? 1 : CHART_BLUR_SAMPLES;
+
+    context.globalAlpha = 1;
+    context.fillStyle = '#fff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    for (let i = 0; i < samples; i++) {
+        // Spread the samples evenly over the ellipse (a sunflower pattern), then turn it to the blur meridian.
+        // Optometric angles run counter-clockwise, and canvas y runs downwards.
+        const radius = samples === 1 ? 0 : Math.sqrt((i + 0.5) / samples);
+        const theta = i * CHART_GOLDEN_ANGLE;
+        const x = along * radius * Math.cos(theta);
+        const y = across * radius * Math.sin(theta);
+        context.globalAlpha = 1 / (i + 1); // Running average of the copies drawn so far
+        context.drawImage(sharp, x * Math.cos(angle) - y * Math.sin(angle), -(x * Math.sin(angle) + y * Math.cos(angle)));
+    }
+    context.globalAlpha = 1;
+    if (tint) {
+        // Multiplying keeps the black letters black and colours the white background
+        context.globalCompositeOperation = 'multiply';
+        context.fillStyle = tint;
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.globalCompositeOperation = 'source-over';
+    }
+
+    context.fillStyle = '#777';
+    context.font = '10px Arial, sans-serif';
+    context.textAlign = 'left';
+    let y = CHART_MARGIN;
+    CHART_LINES.forEach(line => {
+        const letterHeight = 5 * (line.denominator / 6) * CHART_PIXELS_PER_ARCMIN;
+        y += letterHeight;
+        context.fillText(`6/${line.denominator}`, 2, y);
+        y += Math.max(letterHeight * 0.6, CHART_MARGIN);
+    });
+}
+
+// --- Power Vector Panel ---
+// The trial lens, the hidden prescription and the residual error in power-vector form (M, J0, J45), with the
+// astigmatism (J0, J45) of every trial lens tried plotted so trainees see axis and power steps converge.
+
+/**
+ * Gets the events recorded so far: the live session log, or the replayed session up to the event shown.
+ * @returns {object[]} Logged events, oldest first.
+ */
+function getRecordedEvents() {
+    return replay ? replay.session.events.slice(0, replay.index + 1) : eventLog.events;
+}
+
+/**
+ * Checks whether the power vector panel may show the hidden prescription: when the trainee asks for it,
+ * once the case is finished, or during a replay.
+ * @returns {boolean} True if the hidden prescription can be shown.
+ */
+function isTrueRxRevealed() {
+    return revealTrueRxCheckbox.checked || Boolean(performanceTracker.endTime) || simulatorMode === 'replay';
+}
+
+/**
+ * Fills in the power vector table and redraws the J0/J45 plot for the eye being refracted.
+ */
+function updatePowerVectorPanel() {
+    const eye = getActiveEye();
+    powerVectorRows.innerHTML = '';
+    powerVectorPlot.innerHTML = '';
+    if (!eye) return;
+
+    const revealed = isTrueRxRevealed();
+    const trialRx = getTrialRx();
+    const trial = getRxPowerVector(trialRx);
+    const target = getRxPowerVector(eye.trueRx);
+    const residual = getResidualPowerVector(eye.trueRx, trialRx, 0, 0);
+    [
+        ['Trial lens', trial],
+        ['Hidden RX', revealed ? target : null],
+        ['Residual', revealed ? residual : null]
+    ].forEach(([label, vector]) => {
+        const row = document.createElement('tr');
+        const cells = vector ? [vector.M, vector.J0, vector.J45].map(formatPower) : ['?', '?', '?'];
+        [label, ...cells].forEach((text, index) => {
+            const cell = document.createElement(index === 0 ? 'th' : 'td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        powerVectorRows.appendChild(row);
+    });
+    powerVectorError.textContent = revealed
+        ? `Dioptric error: ${getDioptricBlur(eye.trueRx, trialRx).toFixed(2)} D`
+        : `Tick "Show hidden prescription" to see the target and the residual error.`;
+
+    const trail = getTrialLensTrail(getRecordedEvents(), activeEyeId, eye.retinoscopyRx).map(getRxPowerVector);
+    if (!isSamePowerVector(trail[trail.length - 1], trial)) {
+        trail.push(trial); // e.g. a dial still being dragged
+    }
+    drawPowerVectorPlot(trail, revealed ? target : null);
+}
+
+/**
+ * Checks whether two power vectors describe the same astigmatism and spherical equivalent.
+ * @param {{M: number, J0: number, J45: number}} a First power vector.
+ * @param {{M: number, J0: number, J45: number}} b Second power vector.
+ * @returns {boolean} True if they match.
+ */
+function isSamePowerVector(a, b) {
+    return Math.hypot(a.M - b.M, a.J0 - b.J0, a.J45 - b.J45) < 1e-9;
+}
+
+/**
+ * Draws the J0/J45 astigmatism plane: the trail of trial lenses ending at the current one, and the target
+ * when it may be shown, with the residual astigmatism as a dashed line between them.
+ * @param {{M: number, J0: number, J45: number}[]} trail Power vectors of the trial lenses tried, oldest first.
+ * @param {{M: number, J0: number, J45: number}|null} target Power vector of the hidden prescription, or null.
+ */
+function drawPowerVectorPlot(trail, target) {
+    const points = target ? [...trail, target] : trail;
+    // Scale the plot to the largest astigmatism shown, in 0.5 D steps
+    const extent = Math.max(POWER_VECTOR_MIN_EXTENT, Math.ceil(Math.max(...points.map(p => Math.hypot(p.J0, p.J45))) / 0.5) * 0.5);
+    const toSvg = vector => ({
+        x: SVG_CENTER_X + (vector.J0 / extent) * SVG_RADIUS,
+        y: SVG_CENTER_Y - (vector.J45 / extent) * SVG_RADIUS
+    });
+    const add = (tag, attributes, text) => {
+        const element = document.createElementNS(SVG_NAMESPACE, tag);
+        Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+        if (text) element.textContent = text;
+        powerVectorPlot.appendChild(element);
+        return element;
+    };
+
+    add('circle', { cx: SVG_CENTER_X, cy: SVG_CENTER_Y, r: SVG_RADIUS, class: 'vector-grid' });
+    add('line', { x1: SVG_CENTER_X - SVG_RADIUS, y1: SVG_CENTER_Y, x2: SVG_CENTER_X + SVG_RADIUS, y2: SVG_CENTER_Y, class: 'vector-grid' });
+    add('line', { x1: SVG_CENTER_X, y1: SVG_CENTER_Y - SVG_RADIUS, x2: SVG_CENTER_X, y2: SVG_CENTER_Y + SVG_RADIUS, class: 'vector-grid' });
+    add('text', { x: SVG_CENTER_X + SVG_RADIUS + 1, y: SVG_CENTER_Y + 1.5, class: 'vector-label' }, 'J0');
+    add('text', { x: SVG_CENTER_X + 1, y: SVG_CENTER_Y - SVG_RADIUS - 2, class: 'vector-label' }, 'J45');
+    add('text', { x: SVG_CENTER_X + SVG_RADIUS - 1, y: SVG_CENTER_Y + 5, class: 'vector-label', 'text-anchor': 'end' }, `${extent.toFixed(2)} D`);
+
+    const trailPoints = trail.map(toSvg);
+    add('polyline', { points: trailPoints.map(p => `${p.x},${p.y}`).join(' '), class: 'vector-trail' });
+    trailPoints.slice(0, -1).forEach(p => add('circle', { cx: p.x, cy: p.y, r: 1, class: 'vector-trail-point' }));
+    const current = trailPoints[trailPoints.length - 1];
+    if (target) {
+        const goal = toSvg(target);
+        add('line', { x1: current.x, y1: current.y, x2: goal.x, y2: goal.y, class: 'vector-residual' });
+        add('path', { d: `M ${goal.x - 2} ${goal.y - 2} L ${goal.x + 2} ${goal.y + 2} M ${goal.x - 2} ${goal.y + 2} L ${goal.x + 2} ${goal.y - 2}`, class: 'vector-target' });
+    }
+    add('circle', { cx: current.x, cy: current.y, r: 2, class: 'vector-current' });
+    powerVectorPlot.setAttribute('aria-label', `Astigmatism plot: ${trail.length} trial lens${trail.length === 1 ? '' : 'es'}, current J0 ${formatPower(trail[trail.length - 1].J0)}, J45 ${formatPower(trail[trail.length - 1].J45)}${target ? `, target J0 ${formatPower(target.J0)}, J45 ${formatPower(target.J45)}` : ''}.`);
+}
+
+/**
+ * Displays a central red notification with patient feedback/instruction.
+ * @param {string} message The message to display.
+ * @param {function} onOkCallback Function to call when OK is pressed.
+ */
+function showJCCNotification(message, onOkCallback) {
+    notificationMessage.textContent = message;
+    jccNotificationBox.classList.remove('hidden');
+    disableAllControls(); // Disable other controls while notification is active
+    notificationOkButton.disabled = false;
+    notificationOkButton.onclick = () => {
+        hideJCCNotification();
+        onOkCallback(); // Execute the callback to advance tutor
+        restoreFocusAfterNotification();
+    };
+    if (!jccNotificationBox.contains(document.activeElement)) {
+        focusBeforeNotification = document.activeElement;
+    }
+    notificationOkButton.focus(); // The dialog is modal: focus stays inside it until OK is clicked
+}
+
+/**
+ * Closes the notification box without running its OK callback.
+ */
+function hideJCCNotification() {
+    jccNotificationBox.classList.add('hidden');
+    notificationOkButton.onclick = null; // Clear callback
+}
+
+/**
+ * Gives focus back to the control that had it before the notification opened. If that control has since
+ * been disabled, focus goes to the tutor instructions so the next instruction is read out.
+ */
+function restoreFocusAfterNotification() {
+    const previous = focusBeforeNotification;
+    focusBeforeNotification = null;
+    if (!jccNotificationBox.classList.contains('hidden')) return; // The callback opened another notification
+    if (previous && previous !== document.body && !previous.disabled && previous.getAttribute('aria-disabled') !== 'true') {
+        previous.focus();
+    } else {
+        tutorInstructionsBox.focus();
+    }
+}
+
+/**
+ * Keeps keyboard focus inside the notification while it is open: Tab and Shift+Tab cycle through its
+ * controls, and focus that lands outside it is brought back.
+ * @param {FocusEvent|KeyboardEvent} e A focusin or keydown event.
+ */
+function trapNotificationFocus(e) {
+    if (jccNotificationBox.classList.contains('hidden')) return;
+    const focusable = Array.from(jccNotificationBox.querySelectorAll('button:not([disabled])'));
+    if (focusable.length === 0) return;
+
+    if (e.type === 'focusin') {
+        if (!jccNotificationBox.contains(e.target)) focusable[0].focus();
+        return;
+    }
+    if (e.key !== 'Tab') return;
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (e.shiftKey && document.activeElement === first) {
+        e.preventDefault();
+        last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+    }
+}
+
+/**
+ * Enables or disables one of the SVG dials. The dial keeps its place in the tab order so screen-reader
+ * users can still find it, but announces itself as disabled and ignores drags and arrow keys.
+ * @param {HTMLElement} sliderDiv The dial's container.
+ * @param {boolean} enabled True to enable it.
+ */
+function setSliderEnabled(sliderDiv, enabled) {
+    sliderDiv.classList.toggle('disabled', !enabled);
+    sliderDiv.setAttribute('aria-disabled', String(!enabled));
+}
+
+/**
+ * Updates a dial's ARIA value to the angle it shows.
+ * @param {HTMLElement} sliderDiv The dial's container.
+ * @param {number} angle Displayed angle in degrees (1-180).
+ */
+function setSliderValue(sliderDiv, angle) {
+    sliderDiv.setAttribute('aria-valuenow', angle);
+    sliderDiv.setAttribute('aria-valuetext', `${angle} degrees`);
+}
+
+
+/**
+ * Disables all interactive controls in the simulator.
+ */
+function disableAllControls() {
+    flipJCCButton.disabled = true;
+    setSliderEnabled(jccAxisSliderDiv, false); // Disable JCC SVG slider
+    setSliderEnabled(lensAxisSliderDiv, false); // Disable Lens SVG slider
+    increasePowerButton.disabled = true;
+    decreasePowerButton.disabled = true;
+    plusSphereButton.disabled = true;
+    minusSphereButton.disabled = true;
+    confirmAxisButton.disabled = true;
+    confirmPowerButton.disabled = true;
+    duochromeButton.disabled = true;
+    confirmSphereButton.disabled = true;
+    notificationOkButton.disabled = true;
+    selectODButton.disabled = true;
+    selectOSButton.disabled = true;
+    occluderButton.disabled = true;
+    compareEyesButton.disabled = true;
+    confirmBalanceButton.disabled = true;
+    [replayPlayPauseButton, replayStepBackButton, replayStepButton, replayNextMistakeButton, replaySpeedSelect, replayScrubber, exitReplayButton]
+        .forEach(control => { control.disabled = true; });
+}
+
+/**
+ * Enables specific controls.
+ * @param {string[]} controls An array of control IDs or types to enable.
+ */
+function enableControls(controls) {
+    controls.forEach(control => {
+        switch(control) {
+            case 'flipJCC': flipJCCButton.disabled = false; break;
+            case 'jccRotation': setSliderEnabled(jccAxisSliderDiv, true); break; // Enable JCC SVG slider
+            case 'lensRotation': setSliderEnabled(lensAxisSliderDiv, true); break; // Enable Lens SVG slider
+            case 'increasePower': increasePowerButton.disabled = false; break;
+            case 'decreasePower': decreasePowerButton.disabled = false; break;
+            case 'plusSphere': plusSphereButton.disabled = false; break;
+            case 'minusSphere': minusSphereButton.disabled = false; break;
+            case 'confirmAxis': confirmAxisButton.disabled = false; break;
+            case 'confirmPower': confirmPowerButton.disabled = false; break;
+            case 'duochrome': duochromeButton.disabled = false; break;
+            case 'confirmSphere': confirmSphereButton.disabled = false; break;
+            case 'selectEye': selectODButton.disabled = false; selectOSButton.disabled = false; break;
+            case 'occluder': occluderButton.disabled = false; break;
+            case 'compareEyes': compareEyesButton.disabled = false; break;
+            case 'confirmBalance': confirmBalanceButton.disabled = false; break;
+            case 'replay':
+                [replayPlayPauseButton, replayStepBackButton, replayStepButton, replayNextMistakeButton, replaySpeedSelect, replayScrubber, exitReplayButton]
+                    .forEach(control => { control.disabled = false; });
+                break;
+        }
+    });
+}
+
+
+/**
+ * Gets the current effective red line axis of the JCC (absolute angle).
+ * @returns {number} The effective minus cylinder axis (1-180).
+ */
+function getJCCRedLineAxis() {
+    const { jccHandleAngle, jccFlipped } = getActiveEye();
+    return getRedLineAxis(jccHandleAngle, jccFlipped);
+}
+
+/**
+ * Gets the current effective green line axis of the JCC (absolute angle).
+ * @returns {number} The effective plus cylinder axis (1-180).
+ */
+function getJCCGreenLineAxis() {
+    const { jccHandleAngle, jccFlipped } = getActiveEye();
+    return getGreenLineAxis(jccHandleAngle, jccFlipped);
+}
+
+
+// --- SVG Slider Interaction Logic ---
+
+/**
+ * Converts mouse/touch coordinates to SVG coordinates.
+ * @param {Event} event The mouse or touch event.
+ * @param {SVGElement} svgElement The SVG element.
+ * @returns {{x: number, y: number}} SVG coordinates.
+ */
+function getSvgCoordinates(event, svgElement) {
+    const rect = svgElement.getBoundingClientRect();
+    const clientX = event.touches ? event.touches[0].clientX : event.clientX;
+    const clientY = event.touches ? event.touches[0].clientY : event.clientY;
+
+    // Calculate mouse/touch position relative to the SVG viewbox (0-100 for width, 0-100 for height)
+    const svgX = (clientX - rect.left) / rect.width * SVG_VIEWBOX_WIDTH;
+    const svgY = (clientY - rect.top) / rect.height * SVG_VIEWBOX_HEIGHT;
+    return { x: svgX, y: svgY };
+}
+
+/**
+ * Handles the start of dragging for an SVG axis slider.
+ * @param {Event} e The mouse or touch event.
+ * @param {HTMLElement} sliderDiv The parent div containing the SVG slider.
+ * @param {SVGElement} sliderSvg The SVG element itself.
+ * @param {SVGElement} thumbElement The draggable circle thumb.
+ * @param {Function} updateValueCallback Callback function to update the corresponding state (lens axis or JCC handle angle).
+ */
+function startDrag(e, sliderDiv, sliderSvg, thumbElement, updateValueCallback) {
+    if (sliderDiv.classList.contains('disabled')) return;
+
+    const snapshotBeforeDrag = getUndoSnapshot();
+    if (sliderDiv === jccAxisSliderDiv) {
+        isDraggingJCC = true;
+    } else if (sliderDiv === lensAxisSliderDiv) {
+        isDraggingLens = true;
+    }
+
+    const moveHandler = (moveEvent) => {
+        if (!isDraggingJCC && !isDraggingLens) return;
+
+        const svgCoords = getSvgCoordinates(moveEvent, sliderSvg);
+        // Snapped to the axis step, or the fine step in fine-adjust mode or while Shift is held
+        const newOptometricAxis = svgCoordsToOptometricAxis(svgCoords, getAxisInputStep(fineAxisAdjust || moveEvent.shiftKey));
+
+        // For smooth visual tracking of the thumb around 360 degrees:
+        // This is the raw angle (0-360 CW) that the mouse position translates to on the SVG.
+        // We use deltaY as positive downwards for this visual angle calculation.
+        const currentDeltaX = svgCoords.x - SVG_CENTER_X;
+        const currentDeltaY = svgCoords.y - SVG_CENTER_Y;
+        let currentRawVisualAngle360 = (Math.atan2(currentDeltaY, currentDeltaX) * 180 / Math.PI + 360) % 360;
+
+        // Update the internal state with the 0-180 optometric axis
+        updateValueCallback(newOptometricAxis);
+        
+        // Visually set the thumb position on the 360-degree SVG, tracking the raw mouse movement
+        setSvgThumbPosition(thumbElement, currentRawVisualAngle360);
+        
+        // Update the text display with the same snapped value the state now holds (0 becomes 180)
+        if (sliderDiv === jccAxisSliderDiv) {
+            jccAngleDisplay.textContent = `${newOptometricAxis}°`;
+        } else if (sliderDiv === lensAxisSliderDiv) {
+            lensAngleDisplay.textContent = `${newOptometricAxis}°`;
+        }
+        setSliderValue(sliderDiv, newOptometricAxis);
+        
+        moveEvent.preventDefault(); 
+    };
+
+    const upHandler = () => {
+        isDraggingJCC = false;
+        isDraggingLens = false;
+        document.removeEventListener('mousemove', moveHandler);
+        document.removeEventListener('mouseup', upHandler);
+        document.removeEventListener('touchmove', moveHandler);
+        document.removeEventListener('touchend', upHandler);
+
+        finishDialRotation(sliderDiv === jccAxisSliderDiv ? 'jcc' : 'lens', snapshotBeforeDrag);
+    };
+
+    document.addEventListener('mousemove', moveHandler);
+    document.addEventListener('mouseup', upHandler);
+    document.addEventListener('touchmove', moveHandler, { passive: false });
+    document.addEventListener('touchend', upHandler);
+
+    // Initial call to set visual position when drag starts
+    const initialSvgCoords = getSvgCoordinates(e, sliderSvg);
+    const initialDeltaX = initialSvgCoords.x - SVG_CENTER_X;
+    const initialDeltaY = initialSvgCoords.y - SVG_CENTER_Y;
+    let initialRawVisualAngle360 = (Math.atan2(initialDeltaY, initialDeltaX) * 180 / Math.PI + 360) % 360;
+    setSvgThumbPosition(thumbElement, initialRawVisualAngle360);
+    
+    // Also set the internal angle immediately, applying the 0->180 rule
+    updateValueCallback(svgCoordsToOptometricAxis(initialSvgCoords, getAxisInputStep(fineAxisAdjust || e.shiftKey)));
+}
+
+
+// Callback functions for the SVG sliders to update state
+/**
+ * Completes a rotation of the JCC handle or lens axis, whether dragged or keyed: brings the value into the 1-180
+ * range, then, if the dial moved, records it for undo, scoring and the event log. Either way it is reported to the tutor.
+ * @param {'jcc'|'lens'} dial The dial that was turned.
+ * @param {object} snapshotBefore Undo snapshot taken before the rotation started.
+ * @param {boolean} [continuesTurn=false] True if this carries on the dial's last rotation, so the report counts them as one.
+ */
+function finishDialRotation(dial, snapshotBefore, continuesTurn = false) {
+    const eye = getActiveEye();
+    if (dial === 'jcc') {
+        eye.jccHandleAngle = getDisplayAxis(eye.jccHandleAngle);
+        updateJCCDisplay(); 
+        if (eye.jccHandleAngle !== snapshotBefore.jccHandleAngle) {
+            pushUndoSnapshot(snapshotBefore);
+            recordJCCRotation(performanceTracker, continuesTurn);
+            logSessionEvent('jccRotation', { value: eye.jccHandleAngle });
+            lastDialTurn = { dial, eyeId: activeEyeId };
+        }
+    } else {
+        eye.axis = getDisplayAxis(eye.axis);
+        updateLensDisplay(); 
+        if (eye.axis !== snapshotBefore.axis) {
+            pushUndoSnapshot(snapshotBefore);
+            const mistakesBefore = notePracticeMistakes();
+            recordLensRotation(performanceTracker, activeEyeId, snapshotBefore.axis, eye.axis, continuesTurn);
+            recordHintAxisConfirmed(hintTracker, activeEyeId, false);
+            logSessionEvent('lensRotation', { value: getDisplayAxis(toDisplayNotation(getTrialRx()).axis) });
+            lastDialTurn = { dial, eyeId: activeEyeId };
+            showPracticeHint(mistakesBefore);
+        }
+    }
+
+    handleTutorAction('slider', buildTutorState(snapshotBefore, cylinderNotation)); 
+}
+
+function updateJCCRotation(angle) {
+    getActiveEye().jccHandleAngle = angle;
+}
+
+function updateLensRotation(angle) {
+    // The slider shows the axis in the chosen notation; state keeps the minus-cylinder axis
+    getActiveEye().axis = cylinderNotation === 'plus' ? getDisplayAxis(angle + 90) : angle;
+}
+
+// --- Keyboard Control ---
+
+/**
+ * Chooses which dial the arrow keys turn, highlights it and gives it focus, so the focused dial is always the one the keys turn.
+ * @param {'lens'|'jcc'} dial The dial.
+ * @param {boolean} [moveFocus=true] False to leave focus where it is (e.g. when the page first loads).
+ */
+function setKeyboardDial(dial, moveFocus = true) {
+    keyboardDial = dial;
+    lensAxisSliderDiv.classList.toggle('keyboard-dial', dial === 'lens');
+    jccAxisSliderDiv.classList.toggle('keyboard-dial', dial === 'jcc');
+    if (moveFocus) {
+        (dial === 'jcc' ? jccAxisSliderDiv : lensAxisSliderDiv).focus();
+    }
+}
+
+/**
+ * Checks whether a turn of a dial carries on its last rotation: nothing else has been done since the dial
+ * was last turned (see lastDialTurn).
+ * @param {'lens'|'jcc'} dial The dial.
+ * @returns {boolean} True if the trainee's last action was a rotation of this dial on the eye being refracted.
+ */
+function continuesDialTurn(dial) {
+    return Boolean(lastDialTurn) && lastDialTurn.dial === dial && lastDialTurn.eyeId === activeEyeId;
+}
+
+/**
+ * Turns the dial selected for the keyboard to the next multiple of a step, as if it had been dragged there.
+ * A run of key presses on the same dial counts as one rotation in the report.
+ * An angle left between steps by a fine adjustment moves to the nearest step in that direction.
+ * Does nothing while that dial is disabled.
+ * @param {number} step Step in degrees.
+ * @param {number} direction 1 turns counter-clockwise (towards higher axes), -1 clockwise.
+ */
+function rotateKeyboardDial(step, direction) {
+    const sliderDiv = keyboardDial === 'jcc' ? jccAxisSliderDiv : lensAxisSliderDiv;
+    if (sliderDiv.classList.contains('disabled')) return;
+
+    const snapshotBefore = getUndoSnapshot();
+    const continuesTurn = continuesDialTurn(keyboardDial);
+    const eye = getActiveEye();
+    const turn = angle => {
+        const stepsFromZero = angle / step;
+        const nextStep = direction > 0 ? Math.floor(stepsFromZero + 1e-9) + 1 : Math.ceil(stepsFromZero - 1e-9) - 1;
+        return nextStep * step;
+    };
+    if (keyboardDial === 'jcc') {
+        eye.jccHandleAngle = turn(eye.jccHandleAngle);
+    } else {
+        // Steps are counted in the notation shown on the dial, so plus-cylinder axes land on the same steps
+        const offset = cylinderNotation === 'plus' ? 90 : 0;
+        eye.axis = turn(eye.axis + offset) - offset;
+    }
+    finishDialRotation(keyboardDial, snapshotBefore, continuesTurn);
+}
+
+/**
+ * Switches fine-adjust mode on or off.
+ * @param {boolean} enabled True for fine adjustment.
+ */
+function setFineAxisAdjust(enabled) {
+    fineAxisAdjust = enabled;
+    fineAxisAdjustCheckbox.checked = enabled;
+    lensAxisSliderDiv.classList.toggle('fine-adjust', enabled);
+    jccAxisSliderDiv.classList.toggle('fine-adjust', enabled);
+}
+
+/**
+ * Handles the simulator's keyboard shortcuts: Space flips the JCC, the arrow keys turn the selected dial one
+ * axis step (Shift or Page Up/Down for larger steps), + and - change the cylinder power, D switches between
+ * the dials and F toggles fine-adjust mode.
+ * Keys typed into form fields, and keys that activate a focused button, keep their usual meaning.
+ * @param {KeyboardEvent} e The key press.
+ */
+function handleShortcutKey(e) {
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    if (!jccNotificationBox.classList.contains('hidden')) return; // Only the notification's own buttons work while it is open
+    const target = e.target;
+    if (target.matches && target.matches('input, select, textarea')) return;
+
+    const step = e.shiftKey ? AXIS_KEY_LARGE_STEP : getAxisInputStep();
+    switch (e.key) {
+        case ' ':
+            if (target.matches && target.matches('button')) return;
+            flipJCCButton.click();
+            break;
+        case 'ArrowUp':
+        case 'ArrowRight':
+            rotateKeyboardDial(step, 1);
+            break;
+        case 'ArrowDown':
+        case 'ArrowLeft':
+            rotateKeyboardDial(step, -1);
+            break;
+        case 'PageUp':
+            rotateKeyboardDial(AXIS_KEY_LARGE_STEP, 1);
+            break;
+        case 'PageDown':
+            rotateKeyboardDial(AXIS_KEY_LARGE_STEP, -1);
+            break;
+        case '+':
+        case '=':
+            increasePowerButton.click();
+            break;
+        case '-':
+        case '_':
+            decreasePowerButton.click();
+            break;
+        case 'd':
+        case 'D':
+            setKeyboardDial(keyboardDial === 'lens' ? 'jcc' : 'lens');
+            break;
+        case 'f':
+        case 'F':
+            setFineAxisAdjust(!fineAxisAdjust);
+            break;
+        default:
+            return;
+    }
+    e.preventDefault();
+}
+
+// --- Scenario Engine ---
+
+/**
+ * Collects the state that scenario steps read from, for the eye being refracted (see buildTutorState).
+ * @returns {object} The tutor state.
+ */
+function getTutorState() {
+    return buildTutorState(getActiveEye(), cylinderNotation);
+}
+
+/**
+ * Fills {placeholders} in scenario text from the eye being refracted (see getScenarioTextValues).
+ * {increasePowerLabel} and {decreasePowerLabel} give the power button captions.
+ * @param {string} text Scenario text.
+ * @returns {string} The filled-in text.
+ */
+function fillScenarioText(text) {
+    return fillTemplate(text, {
+        ...getScenarioTextValues(getActiveEye(), cylinderNotation),
+        increasePowerLabel: increasePowerButton.textContent,
+        decreasePowerLabel: decreasePowerButton.textContent
+    });
+}
+
+/**
+ * Gets the current step of the active scenario in the trainee's notation.
+ * @returns {object|undefined} The step, or undefined past the end of the scenario.
+ */
+function getCurrentStep() {
+    return getScenarioStep(activeScenario, tutorStep, cylinderNotation);
+}
+
+/**
+ * Starts a guided scenario from its first step.
+ * @param {string} scenarioId Key in SCENARIOS.
+ */
+function startScenario(scenarioId) {
+    resetSimulator();
+    activeScenario = SCENARIOS[scenarioId];
+    simulatorMode = 'tutorial';
+    loadSession({ OD: activeScenario.case });
+    sessionInfo.scenario = scenarioId;
+    logSessionEvent('sessionStart', { value: 'tutorial', detail: scenarioId });
+
+    showSessionWelcome();
+    displayContinuousPatientFeedback(`Ready for examination.`);
+    updateSessionButtons();
+    scenarioStartTimer = setTimeout(nextStep, 500);
+}
+
+/**
+ * Advances the active scenario to its next step.
+ * Applies the step's setup, shows its instruction and enables its controls.
+ */
+function nextStep() {
+    tutorStep = findNextStepIndex(activeScenario, tutorStep, getActiveEye(), cylinderNotation);
+    disableAllControls(); 
+    hideTutorHint();
+    resetHintLevels(hintTracker);
+
+    const step = getCurrentStep();
+    if (!step) {
+        displayInstruction("Simulation complete. Click 'Restart Case' to try again, or 'New Case' for another one.");
+        return;
+    }
+
+    if (applyStepSetup(step, getActiveEye())) {
+        updateJCCDisplay();
+    }
+
+    displayInstruction(fillScenarioText(step.instruction));
+    enableControls(step.controls);
+
+    if (step.final) {
+        showFinalRx(getTrialRx());
+        disableAllControls();
+        showPerformanceReport();
+    }
+    saveSessionProgress();
+}
+
+/**
+ * Reports a trainee action to the active scenario. If the current step is waiting for this
+ * action and its completion predicate holds, the step completes; otherwise a hint explains what went wrong.
+ * @param {string} action One of 'flip', 'slider', 'increasePower', 'decreasePower', 'plusSphere', 'minusSphere',
+ *                        'confirmAxis', 'confirmPower'.
+ * @param {object} [before] Tutor state before a dial was turned, to tell a turn towards the step's setting from one away from it.
+ */
+function handleTutorAction(action, before = null) {
+    if (simulatorMode !== 'tutorial' || !activeScenario) return;
+
+    const step = getCurrentStep();
+    const state = getTutorState();
+    if (!isStepCompletedBy(step, action, state)) {
+        const diagnosis = diagnoseTutorialAction(step, action, before, state, cylinderNotation);
+        if (diagnosis) showTutorHint(diagnosis);
+        return;
+    }
+
+    if (step.patientResponse) {
+        const answer = getPatientAnswer();
+        showPatientAnswer(answer);
+        logSessionEvent('patientAnswer', { value: answer.response, detail: describePatientAnswer(answer) });
+        const heard = showAnswerExplanation ? describePatientAnswer(answer) : `"${answer.words}"`;
+        showJCCNotification(`Patient: ${heard} ${fillScenarioText(step.notification || '')}`.trim(), nextStep);
+    } else {
+        nextStep();
+    }
+}
+
+
+// --- Eyes and Cases ---
+
+/**
+ * Creates the examination state of one eye from a case: the retinoscopy result goes in the trial lens
+ * and the true prescription is hidden in the patient. A case without a profile gets a reliable, normal-acuity patient.
+ * @param {{retinoscopyRx: object, trueRx: object, profile: object}} caseData A case from cases.js.
+ * @param {boolean} [fullSequence=false] True to start with the best-sphere step and end with the duochrome.
+ * @returns {object} The eye state.
+ */
+function createEyeState(caseData, fullSequence = false) {
+    return {
+        sphere: caseData.retinoscopyRx.sphere,
+        cylinder: caseData.retinoscopyRx.cylinder,
+        axis: caseData.retinoscopyRx.axis, // 0-180 optometric axis, always in minus-cylinder form
+        jccHandleAngle: 90,  // JCC handle set to start at 90 axis
+        jccFlipped: false,   // False for Position 1, True for Position 2 (swaps effective red/green axes)
+        sphereCompensationDue: 0, // Sphere change (D) still owed for cylinder changes made so far
+        retinoscopyRx: { ...caseData.retinoscopyRx },
+        trueRx: { ...caseData.trueRx }, // Hidden from the trainee (see patient.js)
+        profile: { acuity: '6/6', personality: 'reliable', ...caseData.profile },
+        patientRequest: null, // Open request from the patient to see both JCC positions again (see getPatientJCCTurn)
+        refractionStep: fullSequence ? 'bestSphere' : 'jcc', // 'bestSphere', 'jcc', 'duochrome' or 'done' (see REFRACTION_STEP_CONTROLS)
+        fogged: fullSequence && isFogged(caseData.trueRx, caseData.retinoscopyRx), // Fogged at some point before the best sphere was confirmed
+        finalRx: null // Prescription confirmed for this eye (null until the trainee confirms one)
+    };
+}
+
+/**
+ * Gets the state of the eye being refracted.
+ * @returns {object} The eye state.
+ */
+function getActiveEye() {
+    return eyes[activeEyeId];
+}
+
+/**
+ * Gets the eye that is not being refracted.
+ * @returns {string} 'OD' or 'OS'.
+ */
+function getFellowEyeId() {
+    return activeEyeId === 'OD' ? 'OS' : 'OD';
+}
+
+/**
+ * Loads a new examination. The right eye is refracted first, with the left eye occluded.
+ * @param {{OD: object, OS: object}} eyeCases A case from cases.js for each eye. Leave out OS to examine the right eye only.
+ * @param {boolean} [fullSequence=false] True to refract each eye with best sphere, JCC and duochrome.
+ */
+function loadSession(eyeCases, fullSequence = false) {
+    eyes = {
+        OD: createEyeState(eyeCases.OD, fullSequence),
+        OS: eyeCases.OS ? createEyeState(eyeCases.OS, fullSequence) : null
+    };
+    binocularSession = Boolean(eyeCases.OS);
+    sessionStage = 'monocular';
+    activeEyeId = 'OD';
+    occludedEyeId = 'OS';
+    performanceTracker = createPerformanceTracker();
+    hintTracker = createHintTracker();
+    performanceReportSection.classList.add('hidden');
+    clearUndoHistory();
+    eventLog = createEventLog();
+    sessionInfo = { mode: simulatorMode, jccPower, notation: cylinderNotation, fullSequence, cases: { ...eyeCases } };
+    eventLogStatus.textContent = 'No events recorded.';
+
+    updateEyeDisplay();
+    updateLensDisplay();
+    updateJCCDisplay();
+    updateFinalRxDisplay();
+}
+
+/**
+ * Switches the trial lens and JCC to the other eye. While refining single eyes the occluder moves to the fellow eye.
+ * @param {string} eyeId 'OD' or 'OS'.
+ */
+function selectEye(eyeId) {
+    if (!eyes[eyeId]) return;
+    activeEyeId = eyeId;
+    if (sessionStage === 'monocular') {
+        occludedEyeId = getFellowEyeId();
+    }
+    logSessionEvent('selectEye', { value: eyeId });
+    updateEyeDisplay();
+    updateLensDisplay();
+    updateJCCDisplay();
+    if (simulatorMode === 'practice' && sessionStage === 'monocular') {
+        enablePracticeControls(); // Each eye may be at a different step
+    }
+}
+
+/**
+ * Puts the occluder in front of the fellow eye, or takes it away.
+ */
+function toggleOccluder() {
+    occludedEyeId = occludedEyeId ? null : getFellowEyeId();
+    logSessionEvent('occluder', { value: occludedEyeId || 'none' });
+    updateEyeDisplay();
+}
+
+/**
+ * Updates the eye selector, occluder button and eye label.
+ */
+function updateEyeDisplay() {
+    eyeLabel.textContent = sessionStage === 'balance' ? `Binocular balance: ${EYE_LABELS[activeEyeId]} lens selected` : EYE_LABELS[activeEyeId];
+    selectODButton.classList.toggle('active-eye', activeEyeId === 'OD');
+    selectOSButton.classList.toggle('active-eye', activeEyeId === 'OS');
+    selectODButton.setAttribute('aria-pressed', String(activeEyeId === 'OD'));
+    selectOSButton.setAttribute('aria-pressed', String(activeEyeId === 'OS'));
+    occluderButton.textContent = occludedEyeId ? `Remove Occluder (${occludedEyeId})` : `Occlude ${getFellowEyeId()}`;
+    scheduleViewUpdate();
+}
+
+// --- Lens Power Changes ---
+
+/**
+ * Changes the trial cylinder power. Every -0.50 DC added calls for +0.25 DS to keep the
+ * spherical equivalent (circle of least confusion) on the retina; that change is tracked
+ * in sphereCompensationDue and applied straight away when auto compensation is on.
+ * Cylinder added to a spherical lens goes in along the JCC's red line (see getCylinderChange).
+ * @param {number} delta Cylinder change in dioptres in the chosen notation
+ *                       (e.g. -0.25 adds minus cylinder, +0.25 in plus notation adds plus cylinder).
+ * @returns {boolean} False if the lens had no cylinder left to take away.
+ */
+function changeCylinder(delta) {
+    const eye = getActiveEye();
+    const changed = getCylinderChange(eye, delta, cylinderNotation, getJCCRedLineAxis());
+    if (!changed) return false;
+
+    pushUndoSnapshot();
+    const cylinderBefore = eye.cylinder;
+    Object.assign(eye, changed);
+    eye.sphereCompensationDue -= delta / 2; // The spherical equivalent moves by half the cylinder change in either form
+    const mistakesBefore = notePracticeMistakes();
+    recordCylinderChange(performanceTracker, activeEyeId, cylinderBefore, eye.cylinder, eye.axis);
+    logSessionEvent('cylinderChange', { value: delta });
+    showPracticeHint(mistakesBefore, diagnoseCylinderChangeOrder(hintTracker, activeEyeId, cylinderBefore, getTutorState()));
+    if (autoSphereCompensation) {
+        applySphereCompensation(eye);
+    }
+    updateLensDisplay();
+    return true;
+}
+
+/**
+ * Changes the trial sphere power. Counts towards any sphere compensation still owed.
+ * @param {number} delta Sphere change in dioptres.
+ */
+function changeSphere(delta) {
+    pushUndoSnapshot();
+    const eye = getActiveEye();
+    eye.sphere += delta;
+    eye.sphereCompensationDue -= delta;
+    const mistakesBefore = notePracticeMistakes();
+    recordSphereChange(performanceTracker, activeEyeId, delta);
+    logSessionEvent('sphereChange', { value: delta });
+    showPracticeHint(mistakesBefore);
+    updateLensDisplay();
+}
+
+/**
+ * Applies an eye's owed sphere compensation in whole 0.25 DS steps.
+ * @param {object} eye Eye state.
+ */
+function applySphereCompensation(eye) {
+    while (Math.abs(eye.sphereCompensationDue) >= POWER_STEP) {
+        const step = Math.sign(eye.sphereCompensationDue) * POWER_STEP;
+        eye.sphere += step;
+        eye.sphereCompensationDue -= step;
+    }
+}
+
+/**
+ * Builds a tutor warning when the trainee has changed cylinder without adjusting sphere.
+ * @returns {string|null} The warning, or null when the spherical equivalent has been maintained.
+ */
+function getSphereCompensationWarning() {
+    const { sphereCompensationDue } = getActiveEye();
+    if (autoSphereCompensation || Math.abs(sphereCompensationDue) < POWER_STEP) {
+        return null;
+    }
+    const owedSphere = Math.trunc(sphereCompensationDue / POWER_STEP) * POWER_STEP;
+    const rule = cylinderNotation === 'plus' ? '-0.25 DS for every +0.50 DC added' : '+0.25 DS for every -0.50 DC added';
+    return `Remember to compensate sphere: you have changed the cylinder without adjusting the sphere. Add ${formatPower(owedSphere)} DS to keep the spherical equivalent (${rule}).`;
+}
+
+// --- Cylinder Notation ---
+
+/**
+ * Switches the simulator between minus- and plus-cylinder notation.
+ * Only the way the lens, prescriptions, buttons, guide and tutor text are shown changes;
+ * the trial lens itself (and the patient's answers) stay the same.
+ * @param {string} notation 'minus' or 'plus'.
+ */
+function setCylinderNotation(notation) {
+    cylinderNotation = notation;
+    const isPlus = notation === 'plus';
+
+    increasePowerButton.textContent = isPlus ? 'Increase Power (+0.25 DC)' : 'Increase Power (-0.25 DC)';
+    decreasePowerButton.textContent = isPlus ? 'Decrease Power (-0.25 DC)' : 'Decrease Power (+0.25 DC)';
+
+    // Show the JCC rules for the chosen notation in the procedure guide
+    document.querySelectorAll('.minus-cyl-rule').forEach(rule => rule.classList.toggle('hidden', isPlus));
+    document.querySelectorAll('.plus-cyl-rule').forEach(rule => rule.classList.toggle('hidden', !isPlus));
+
+    updateLensDisplay();
+    updateFinalRxDisplay();
+}
+
+// --- Free Practice Mode ---
+
+/**
+ * Starts the unguided free practice mode: a binocular session on a generated case for each eye.
+ * The patient answers each flip live from the hidden prescription. In the full monocular sequence the
+ * retinoscopy sphere is also off, and each eye goes through best sphere, JCC and duochrome in turn.
+ * @param {{OD: object, OS: object}} [eyeCases] Cases to practise on again; new cases are generated when left out.
+ * @param {string} [difficulty] Difficulty preset the cases were generated with.
+ * @param {boolean} [fullSequence] True for the full monocular sequence (defaults to the setting).
+ */
+function startPractice(eyeCases, difficulty = caseDifficulty, fullSequence = fullMonocularSequence) {
+    resetSimulator();
+    simulatorMode = 'practice';
+    const profile = { acuity: practiceAcuity, personality: practicePersonality };
+    const preset = CASE_DIFFICULTY_PRESETS[difficulty];
+    const createCase = () => {
+        const caseData = generateCase(difficulty);
+        return { ...(fullSequence ? withSphereError(caseData, preset.sphereError) : caseData), profile };
+    };
+    loadSession(eyeCases || { OD: createCase(), OS: createCase() }, fullSequence);
+    sessionInfo.difficulty = difficulty;
+    logSessionEvent('sessionStart', { value: 'practice', detail: difficulty });
+    updateSessionButtons();
+    showSessionWelcome();
+    const cylinderSearch = preset.sphericalRetinoscopy
+        ? ` Retinoscopy found no cylinder, so look for it first: flip the JCC with its lines at 90° and 180°, then at 45° and 135°, and add cylinder along the red line of the position the patient prefers.`
+        : '';
+    if (fullSequence) {
+        displayInstruction(`Free practice mode, full monocular sequence. The left eye is occluded, so start with the right eye. First find the best vision sphere: fog the eye with plus sphere, then take the plus away 0.25 DS at a time while the patient sees better, and click 'Confirm Sphere'. Then refine the cylinder with the JCC.${cylinderSearch} Click 'Confirm Axis' and 'Confirm Power' when you are satisfied, and finish with the duochrome before selecting the left eye.`);
+    } else {
+        displayInstruction(`Free practice mode. The left eye is occluded, so start with the right eye.${cylinderSearch} Flip the JCC, rotate the JCC handle and the trial lens, and change power whenever you like. The patient will answer every flip. Click 'Confirm Axis' and 'Confirm Power' when you are satisfied, then select the left eye.`);
+    }
+    displayContinuousPatientFeedback(`Ready for examination.`);
+    enablePracticeControls();
+}
+
+/**
+ * Shows the welcome banner for the session being run: the scenario's own welcome, or the free practice case summary.
+ */
+function showSessionWelcome() {
+    if (simulatorMode === 'tutorial') {
+        welcomeMessageDiv.textContent = fillScenarioText(activeScenario.welcome);
+    } else {
+        welcomeMessageDiv.textContent = `Free practice (${CASE_DIFFICULTY_PRESETS[sessionInfo.difficulty].label}${sessionInfo.fullSequence ? ', full monocular sequence' : ''}, patient acuity ${eyes.OD.profile.acuity}, responses: ${getPatientPersonality(eyes.OD.profile).label}): Retinoscopy found OD ${formatRx(eyes.OD.retinoscopyRx)}, OS ${formatRx(eyes.OS.retinoscopyRx)}. Refine and confirm each eye, then balance the two eyes.`;
+    }
+}
+
+/**
+ * Enables the free practice controls for the step the eye being refracted is at (see REFRACTION_STEP_CONTROLS).
+ * The eye selector and occluder are always available.
+ */
+function enablePracticeControls() {
+    disableAllControls();
+    // Sessions saved before the full monocular sequence was added have no step on their eyes
+    enableControls([...REFRACTION_STEP_CONTROLS[getActiveEye().refractionStep || 'jcc'], 'selectEye', 'occluder']);
+}
+
+/**
+ * Notes where the performance tracker stands before a practice action, so showPracticeHint can tell what the action got wrong.
+ * @returns {{preferences: object, wrongMoves: number, skippedRechecks: number}} The eye's tracked answers and the mistake counts.
+ */
+function notePracticeMistakes() {
+    return {
+        preferences: { ...getTrackedEye(performanceTracker, activeEyeId) },
+        wrongMoves: performanceTracker.wrongMoves.length,
+        skippedRechecks: performanceTracker.skippedRechecks.length
+    };
+}
+
+/**
+ * Explains the mistake a free practice action made, if it made one, and otherwise clears the last hint.
+ * @param {object} before The tracker as noted before the action (see notePracticeMistakes).
+ * @param {object|null} [orderMistake] A step taken out of order (see diagnoseCylinderChangeOrder).
+ */
+function showPracticeHint(before, orderMistake = null) {
+    if (simulatorMode !== 'practice') return;
+    let diagnosis = orderMistake;
+    if (performanceTracker.wrongMoves.length > before.wrongMoves) {
+        diagnosis = diagnoseWrongMove(performanceTracker.wrongMoves[performanceTracker.wrongMoves.length - 1], before.preferences, cylinderNotation);
+    } else if (performanceTracker.skippedRechecks.length > before.skippedRechecks) {
+        diagnosis = diagnoseSkippedRecheck(performanceTracker.skippedRechecks[performanceTracker.skippedRechecks.length - 1], getTutorState());
+    }
+    if (diagnosis) {
+        showTutorHint(diagnosis);
+    } else {
+        hideTutorHint();
+    }
+}
+
+/**
+ * Grades the trainee's confirmed axis against the hidden prescription.
+ */
+function gradePracticeAxis() {
+    const eye = getActiveEye();
+    if (eye.cylinder === 0) {
+        displayInstruction(`${activeEyeId}: the trial lens has no cylinder, so there is no axis to confirm yet. Look for cylinder first: flip the JCC with its lines at 90° and 180°, then at 45° and 135°, and add cylinder along the red line of any position the patient prefers.`);
+        return;
+    }
+    const axisError = getAxisDifference(eye.axis, eye.trueRx.axis);
+    if (axisError <= PRACTICE_AXIS_TOLERANCE) {
+        displayInstruction(`${activeEyeId} axis ${getDisplayAxis(toDisplayNotation(getTrialRx()).axis)}° confirmed. Well done, that is within ${PRACTICE_AXIS_TOLERANCE}° of the patient's true axis. Now refine the power.`);
+    } else {
+        displayInstruction(`${activeEyeId} axis ${getDisplayAxis(toDisplayNotation(getTrialRx()).axis)}° confirmed, but it is ${axisError}° away from the patient's true axis. Keep flipping the JCC with the handle along the lens axis until both positions are equally blurred.`);
+    }
+}
+
+/**
+ * Grades the trainee's confirmed power (sphere, cylinder and axis) against the hidden prescription and shows the final RX.
+ * Once both eyes are confirmed the session moves on to binocular balance. In the full monocular sequence only
+ * the axis and cylinder are graded here, and the eye moves on to the duochrome.
+ */
+function gradePracticePower() {
+    const eye = getActiveEye();
+    clearUndoHistory(); // The confirmation is scored and moves the eye on, so it cannot be undone
+    const axisError = getAxisDifference(eye.axis, eye.trueRx.axis);
+    const powerError = Math.abs(eye.cylinder - eye.trueRx.cylinder);
+    const sphereError = Math.abs(eye.sphere - eye.trueRx.sphere);
+    const axisCorrect = axisError <= PRACTICE_AXIS_TOLERANCE;
+    const powerCorrect = powerError <= PRACTICE_POWER_TOLERANCE;
+    const sphereCorrect = sphereError <= PRACTICE_POWER_TOLERANCE;
+
+    let axisResult = axisCorrect ? `${activeEyeId}: Axis correct` : `${activeEyeId}: Axis off by ${axisError}°`;
+    if (eye.cylinder === 0) {
+        axisResult = `${activeEyeId}: No cylinder found`;
+    }
+    const powerResult = powerCorrect ? `power correct` : `power off by ${powerError.toFixed(2)} DC`;
+    const sphereResult = sphereCorrect ? `sphere correct` : `sphere off by ${sphereError.toFixed(2)} DS`;
+    const compensationWarning = getSphereCompensationWarning();
+    const warning = compensationWarning ? ` ${compensationWarning}` : '';
+
+    if (sessionInfo.fullSequence) {
+        eye.refractionStep = 'duochrome';
+        enablePracticeControls();
+        scheduleViewUpdate();
+        displayInstruction(`${axisResult}, ${powerResult}.${warning} Now check the sphere on the duochrome: click 'Duochrome', add minus sphere while the letters on red are clearer and plus sphere while those on green are clearer, then click 'Confirm Sphere' when both are equally clear.`);
+        return;
+    }
+    finishPracticeEye(`${axisResult}, ${powerResult}, ${sphereResult}. The true prescription for this eye was ${formatRx(eye.trueRx)}.${warning}`);
+}
+
+/**
+ * Records the trial lens as the eye's final prescription and moves on to the fellow eye, or to binocular
+ * balance once both eyes are done.
+ * @param {string} result How the eye was graded, shown to the trainee.
+ */
+function finishPracticeEye(result) {
+    showFinalRx(getTrialRx());
+    const fellowEye = eyes[getFellowEyeId()];
+    if (!fellowEye.finalRx) {
+        displayInstruction(`${result} Now select the ${EYE_LABELS[getFellowEyeId()]} and refine it.`);
+    } else {
+        displayInstruction(result);
+        showJCCNotification(`${result} Both eyes are refined. Next, balance the two eyes.`, startBinocularBalance);
+    }
+}
+
+/**
+ * Puts a sphere or duochrome answer into the patient's words.
+ * @param {string} response The patient's answer.
+ * @param {function} getWords getSphereAnswerWords or getDuochromeAnswerWords.
+ * @param {string} explanation Technical reading of the answer.
+ * @returns {{response: string, words: string, explanation: string}} The answer.
+ */
+function getSphereCheckAnswer(response, getWords, explanation) {
+    const { words, phrase } = getWords(response, {
+        previous: lastPatientPhrase,
+        fellowEye: getFellowEyeId() === 'OS' ? 'left' : 'right'
+    });
+    lastPatientPhrase = phrase;
+    return { response, words, explanation };
+}
+
+/**
+ * During the best-sphere step, asks the patient how the chart compares with the lens before the sphere
+ * change, and notes when the eye has been fogged.
+ * @param {{sphere: number, cylinder: number, axis: number}} previousRx The trial lens before the change (minus-cylinder form).
+ * @param {number} delta The sphere change (D).
+ * @returns {boolean} True if the patient answered, false outside the best-sphere step.
+ */
+function answerBestSphereChange(previousRx, delta) {
+    const eye = getActiveEye();
+    if (simulatorMode !== 'practice' || sessionStage !== 'monocular' || eye.refractionStep !== 'bestSphere') return false;
+    eye.fogged = eye.fogged || isFogged(eye.trueRx, getTrialRx());
+
+    // With both eyes open the patient cannot judge the eye being refracted
+    const response = occludedEyeId === getFellowEyeId()
+        ? getSphereChangeResponse(eye.trueRx, previousRx, getTrialRx(), eye.profile)
+        : 'bothEyesOpen';
+    const answer = getSphereCheckAnswer(response, getSphereAnswerWords, explainSphereAnswer(response, delta));
+    showPatientAnswer(answer);
+    logSessionEvent('patientAnswer', { value: response, detail: describePatientAnswer(answer) });
+    return true;
+}
+
+/**
+ * Shows the duochrome and asks the patient on which colour the letters are clearer.
+ */
+function checkDuochrome() {
+    const eye = getActiveEye();
+    logSessionEvent('duochrome');
+    const response = occludedEyeId === getFellowEyeId()
+        ? getDuochromeResponse(eye.trueRx, getTrialRx(), eye.profile)
+        : 'bothEyesOpen';
+    recordDuochrome(performanceTracker, activeEyeId, response);
+    const answer = getSphereCheckAnswer(response, getDuochromeAnswerWords, explainDuochromeAnswer(response));
+    showPatientAnswer(answer);
+    logSessionEvent('patientAnswer', { value: response, detail: describePatientAnswer(answer) });
+}
+
+/**
+ * Confirms the sphere: the best vision sphere before the JCC, or the final sphere after the duochrome.
+ */
+function confirmSphere() {
+    logSessionEvent('confirmSphere', { value: formatRx(getTrialRx()) });
+    clearUndoHistory(); // The confirmation is scored and moves the eye on, so it cannot be undone
+    if (getActiveEye().refractionStep === 'bestSphere') {
+        gradePracticeBestSphere();
+    } else {
+        gradePracticeDuochrome();
+    }
+}
+
+/**
+ * Grades the best vision sphere: the most plus sphere that puts the circle of least confusion on the retina.
+ * Reducing the plus without fogging the eye first is scored as skipped fogging. The eye moves on to the JCC.
+ */
+function gradePracticeBestSphere() {
+    const eye = getActiveEye();
+    recordBestSphere(performanceTracker, activeEyeId, eye.fogged);
+    // Positive when the lens has more minus than the eye needs
+    const sphereError = getResidualPowerVector(eye.trueRx, getTrialRx(), 0, 0).M;
+
+    let result = `${activeEyeId}: best vision sphere found.`;
+    if (sphereError > PRACTICE_POWER_TOLERANCE) {
+        result = `${activeEyeId}: ${sphereError.toFixed(2)} DS too much minus. The patient cleared it by accommodating; stop at the most plus sphere that gives the best vision.`;
+    } else if (sphereError < -PRACTICE_POWER_TOLERANCE) {
+        result = `${activeEyeId}: ${(-sphereError).toFixed(2)} DS too much plus left in. Keep taking plus away while the patient sees better.`;
+    }
+    const foggingNote = eye.fogged ? '' : ` The eye was never fogged, so it could accommodate while you looked for the best sphere.`;
+
+    eye.refractionStep = 'jcc';
+    eye.sphereCompensationDue = 0; // Sphere compensation is owed from the best sphere on
+    enablePracticeControls();
+    scheduleViewUpdate();
+    displayInstruction(`${result}${foggingNote} Now refine the cylinder with the JCC, then click 'Confirm Axis' and 'Confirm Power'.`);
+}
+
+/**
+ * Grades the sphere left after the duochrome and finishes the eye.
+ */
+function gradePracticeDuochrome() {
+    const eye = getActiveEye();
+    const sphereError = Math.abs(eye.sphere - eye.trueRx.sphere);
+    const sphereResult = sphereError <= PRACTICE_POWER_TOLERANCE ? `${activeEyeId}: Sphere correct` : `${activeEyeId}: Sphere off by ${sphereError.toFixed(2)} DS`;
+
+    eye.refractionStep = 'done';
+    enablePracticeControls();
+    scheduleViewUpdate();
+    finishPracticeEye(`${sphereResult}. The true prescription for this eye was ${formatRx(eye.trueRx)}.`);
+}
+
+/**
+ * In free practice, warns the trainee straight after a cylinder change that needs sphere compensation.
+ */
+function checkPracticeSphereCompensation() {
+    if (simulatorMode !== 'practice') return;
+    const warning = getSphereCompensationWarning();
+    if (warning) {
+        displayInstruction(warning);
+    }
+}
+
+// --- Undo / Redo ---
+
+/**
+ * Captures the lens and JCC state of the eye being refracted, its refraction step, and the tutor step, so an action can be undone.
+ * @returns {object} The snapshot.
+ */
+function getUndoSnapshot() {
+    const eye = getActiveEye();
+    return {
+        eyeId: activeEyeId,
+        sphere: eye.sphere,
+        cylinder: eye.cylinder,
+        axis: eye.axis,
+        jccHandleAngle: eye.jccHandleAngle,
+        jccFlipped: eye.jccFlipped,
+        sphereCompensationDue: eye.sphereCompensationDue,
+        finalRx: eye.finalRx,
+        refractionStep: eye.refractionStep,
+        fogged: eye.fogged,
+        tutorStep
+    };
+}
+
+/**
+ * Saves an undo point before a trainee action. Any redo history is dropped.
+ * @param {object} [snapshot] State to go back to (defaults to the current state).
+ */
+function pushUndoSnapshot(snapshot = getUndoSnapshot()) {
+    undoStack.push(snapshot);
+    if (undoStack.length > UNDO_HISTORY_LIMIT) {
+        undoStack.shift();
+    }
+    redoStack = [];
+    updateUndoButtons();
+}
+
+/**
+ * Forgets the undo and redo history, e.g. when a new case starts.
+ */
+function clearUndoHistory() {
+    undoStack = [];
+    redoStack = [];
+    updateUndoButtons();
+}
+
+/**
+ * Puts a snapshot back. In guided mode the tutor also goes back to the step the snapshot was taken in,
+ * closing any notification left open by the undone action.
+ * @param {object} snapshot A snapshot from getUndoSnapshot.
+ */
+function restoreUndoSnapshot(snapshot) {
+    activeEyeId = snapshot.eyeId;
+    if (sessionStage === 'monocular') {
+        occludedEyeId = getFellowEyeId();
+    }
+    Object.assign(getActiveEye(), {
+        sphere: snapshot.sphere,
+        cylinder: snapshot.cylinder,
+        axis: snapshot.axis,
+        jccHandleAngle: snapshot.jccHandleAngle,
+        jccFlipped: snapshot.jccFlipped,
+        sphereCompensationDue: snapshot.sphereCompensationDue,
+        finalRx: snapshot.finalRx,
+        refractionStep: snapshot.refractionStep,
+        fogged: snapshot.fogged
+    });
+    updateEyeDisplay();
+    updateLensDisplay();
+    updateJCCDisplay();
+    updateFinalRxDisplay();
+
+    if (simulatorMode === 'tutorial' && activeScenario) {
+        hideJCCNotification();
+        performanceReportSection.classList.add('hidden');
+        tutorStep = snapshot.tutorStep - 1;
+        nextStep();
+    } else if (simulatorMode === 'practice' && sessionStage === 'monocular') {
+        enablePracticeControls();
+    }
+}
+
+/**
+ * Undoes the last lens or JCC action.
+ */
+function undo() {
+    if (undoStack.length === 0 || simulatorMode === 'replay') return;
+    redoStack.push(getUndoSnapshot());
+    restoreUndoSnapshot(undoStack.pop());
+    logSessionEvent('undo');
+    updateUndoButtons();
+}
+
+/**
+ * Redoes the last undone action.
+ */
+function redo() {
+    if (redoStack.length === 0 || simulatorMode === 'replay') return;
+    undoStack.push(getUndoSnapshot());
+    restoreUndoSnapshot(redoStack.pop());
+    logSessionEvent('redo');
+    updateUndoButtons();
+}
+
+/**
+ * Enables the undo and redo buttons when there is something to undo or redo.
+ */
+function updateUndoButtons() {
+    undoButton.disabled = undoStack.length === 0 || simulatorMode === 'replay';
+    redoButton.disabled = redoStack.length === 0 || simulatorMode === 'replay';
+}
+
+// --- Restart / New Case ---
+
+/**
+ * Brings the simulator back to a clean state before a case starts: stops any pending tutor step or replay,
+ * closes the notification and report, and clears the tutor and patient panels.
+ */
+function resetSimulator() {
+    clearTimeout(scenarioStartTimer);
+    stopReplayTimer();
+    replay = null;
+    replayScrubber.max = 0;
+    replayStatus.textContent = `No replay loaded.`;
+    hideJCCNotification();
+    performanceReportSection.classList.add('hidden');
+    resumePrompt.classList.add('hidden');
+    activeScenario = null;
+    tutorStep = -1;
+    jccPower = parseFloat(jccPowerSelect.value);
+    hideTutorHint();
+    disableAllControls();
+    displayInstruction(`Loading case...`);
+    displayContinuousPatientFeedback(`Awaiting instructions.`);
+}
+
+/**
+ * Starts the current case again from the beginning: the same tutorial, or the same practice patient.
+ */
+function restartCase() {
+    if (sessionInfo.mode === 'practice') {
+        startPractice(sessionInfo.cases, sessionInfo.difficulty, Boolean(sessionInfo.fullSequence));
+    } else {
+        startScenario(sessionInfo.scenario);
+    }
+}
+
+/**
+ * Starts a different case: a newly generated patient in free practice, or the tutorial chosen in the picker.
+ */
+function newCase() {
+    if (sessionInfo.mode === 'practice') {
+        startPractice();
+    } else {
+        startScenario(scenarioSelect.value);
+    }
+}
+
+/**
+ * Enables the start, restart and new case buttons. Restart and New Case need a case to have been started.
+ * During a replay these and the settings that would change or log to the live session are disabled.
+ */
+function updateSessionButtons() {
+    const replaying = simulatorMode === 'replay';
+    const hasCase = Boolean(sessionInfo.scenario || sessionInfo.difficulty);
+    startTutorialButton.disabled = replaying;
+    startPracticeButton.disabled = replaying;
+    restartCaseButton.disabled = replaying || !hasCase;
+    newCaseButton.disabled = replaying || !hasCase;
+    [jccPowerSelect, notationSelect, axisStepSelect].forEach(select => { select.disabled = replaying; });
+}
+
+// --- Saved Progress ---
+
+/**
+ * Saves the case settings so they are restored the next time the simulator is opened.
+ */
+function saveSettings() {
+    writeStoredValue(STORAGE_KEYS.settings, {
+        notation: cylinderNotation,
+        jccPower,
+        difficulty: caseDifficulty,
+        acuity: practiceAcuity,
+        personality: practicePersonality,
+        showAnswerExplanation,
+        speakPatientAnswers,
+        axisStep,
+        autoSphereCompensation,
+        fullMonocularSequence
+    });
+}
+
+/**
+ * Restores the saved case settings, ignoring any value the simulator no longer offers.
+ */
+function restoreSettings() {
+    const settings = readStoredValue(STORAGE_KEYS.settings, {});
+    if (settings.notation === 'minus' || settings.notation === 'plus') cylinderNotation = settings.notation;
+    if (JCC_POWERS.includes(settings.jccPower)) jccPower = settings.jccPower;
+    if (settings.difficulty in CASE_DIFFICULTY_PRESETS) caseDifficulty = settings.difficulty;
+    if (settings.acuity in PATIENT_ACUITY_LEVELS) practiceAcuity = settings.acuity;
+    if (settings.personality in PATIENT_PERSONALITIES) practicePersonality = settings.personality;
+    if (typeof settings.showAnswerExplanation === 'boolean') showAnswerExplanation = settings.showAnswerExplanation;
+    if (typeof settings.speakPatientAnswers === 'boolean') speakPatientAnswers = settings.speakPatientAnswers;
+    if (AXIS_STEPS.includes(settings.axisStep)) axisStep = settings.axisStep;
+    if (typeof settings.autoSphereCompensation === 'boolean') autoSphereCompensation = settings.autoSphereCompensation;
+    if (typeof settings.fullMonocularSequence === 'boolean') fullMonocularSequence = settings.fullMonocularSequence;
+}
+
+/**
+ * Saves the session in progress so it can be resumed after the tab is closed.
+ * A finished session (its report shown) is removed instead; replays are never saved.
+ */
+function saveSessionProgress() {
+    if (simulatorMode === 'replay' || eventLog.events.length === 0) return;
+    if (performanceTracker.endTime) {
+        removeStoredValue(STORAGE_KEYS.session);
+        return;
+    }
+    writeStoredValue(STORAGE_KEYS.session, {
+        version: SAVED_SESSION_VERSION,
+        savedAt: new Date().toISOString(),
+        mode: simulatorMode,
+        tutorStep,
+        eyes,
+        activeEyeId,
+        occludedEyeId,
+        binocularSession,
+        sessionStage,
+        jccPower,
+        performanceTracker,
+        eventLog,
+        sessionInfo
+    });
+}
+
+/**
+ * Reads the unfinished session saved by saveSessionProgress.
+ * @returns {object|null} The saved session, or null if there is none or it can no longer be resumed.
+ */
+function getSavedSession() {
+    const saved = readStoredValue(STORAGE_KEYS.session, null);
+    if (!saved || saved.version !== SAVED_SESSION_VERSION || !saved.eyes || !saved.eyes.OD) return null;
+    if (saved.mode === 'tutorial' && !SCENARIOS[saved.sessionInfo.scenario]) return null;
+    if (saved.mode === 'practice' && !CASE_DIFFICULTY_PRESETS[saved.sessionInfo.difficulty]) return null;
+    return saved;
+}
+
+/**
+ * Offers to resume an unfinished session.
+ * @param {object} saved The saved session.
+ */
+function showResumePrompt(saved) {
+    const what = saved.mode === 'tutorial'
+        ? `tutorial "${SCENARIOS[saved.sessionInfo.scenario].title}"`
+        : `free practice case (${CASE_DIFFICULTY_PRESETS[saved.sessionInfo.difficulty].label})`;
+    resumeMessage.textContent = `You have an unfinished ${what} from ${new Date(saved.savedAt).toLocaleString()}. Resume where you left off?`;
+    resumePrompt.classList.remove('hidden');
+}
+
+/**
+ * Restores a saved session and hands the controls back to the trainee. A tutorial picks up at the step
+ * it was on; undo history is not saved, so it starts empty.
+ * @param {object} saved The saved session.
+ */
+function resumeSession(saved) {
+    resetSimulator();
+    simulatorMode = saved.mode;
+    activeScenario = saved.mode === 'tutorial' ? SCENARIOS[saved.sessionInfo.scenario] : null;
+    eyes = saved.eyes;
+    activeEyeId = saved.activeEyeId;
+    occludedEyeId = saved.occludedEyeId;
+    binocularSession = saved.binocularSession;
+    sessionStage = saved.sessionStage;
+    jccPower = saved.jccPower;
+    jccPowerSelect.value = jccPower;
+    performanceTracker = saved.performanceTracker;
+    eventLog = saved.eventLog;
+    sessionInfo = saved.sessionInfo;
+    clearUndoHistory();
+    logSessionEvent('sessionResume');
+
+    updateEyeDisplay();
+    updateLensDisplay();
+    updateJCCDisplay();
+    updateFinalRxDisplay();
+    showSessionWelcome();
+    updateSessionButtons();
+    displayContinuousPatientFeedback(`Ready for examination.`);
+
+    if (simulatorMode === 'tutorial') {
+        tutorStep = saved.tutorStep - 1;
+        nextStep();
+    } else if (sessionStage === 'balance') {
+        displayInstruction(`Session resumed during binocular balance. Click 'Alternate Occlusion' to compare the eyes, then 'Confirm Balance' when they are equally blurred.`);
+        enableBalanceControls();
+    } else {
+        displayInstruction(`Session resumed. You were refracting the ${EYE_LABELS[activeEyeId]}; carry on where you left off.`);
+        enablePracticeControls();
+    }
+}
+
+/**
+ * Adds a finished case to the saved result history and refreshes the history panel.
+ * @param {object} report The case's performance report (see buildPerformanceReport).
+ */
+function recordCaseResult(report) {
+    const caseLabel = sessionInfo.mode === 'tutorial'
+        ? SCENARIOS[sessionInfo.scenario].title
+        : `Free practice (${CASE_DIFFICULTY_PRESETS[sessionInfo.difficulty].label})`;
+    const history = addCaseResult(readStoredValue(STORAGE_KEYS.history, []), {
+        date: new Date().toISOString(),
+        mode: sessionInfo.mode,
+        caseLabel,
+        score: report.score,
+        timeSeconds: report.timeSeconds,
+        eyes: report.eyes
+    });
+    writeStoredValue(STORAGE_KEYS.history, history);
+    updateCaseHistoryDisplay();
+}
+
+/**
+ * Shows the saved case results, newest first, with this week's average score against last week's.
+ */
+function updateCaseHistoryDisplay() {
+    const history = readStoredValue(STORAGE_KEYS.history, []);
+    caseHistoryList.innerHTML = '';
+    clearHistoryButton.disabled = history.length === 0;
+    if (history.length === 0) {
+        caseHistorySummary.textContent = `No finished cases yet.`;
+        return;
+    }
+
+    const { recent, previous } = summariseCaseHistory(history);
+    const describePeriod = period => (period.count === 0
+        ? `no cases`
+        : `${period.count} case${period.count === 1 ? '' : 's'}, average score ${period.averageScore}`);
+    caseHistorySummary.textContent = `Last 7 days: ${describePeriod(recent)}. The 7 days before: ${describePeriod(previous)}.`;
+
+    history.slice(-CASE_HISTORY_SHOWN).reverse().forEach(result => {
+        const item = document.createElement('li');
+        item.textContent = `${new Date(result.date).toLocaleString()}: ${result.caseLabel}, ${result.score} / 100 in ${formatDuration(result.timeSeconds)}`;
+        caseHistoryList.appendChild(item);
+    });
+}
+
+// --- Binocular Balance ---
+
+/**
+ * Starts the binocular balance: both eyes are fogged with +0.75 DS and the occluder is removed,
+ * then the trainee alternately occludes the eyes and adds plus sphere to the clearer one until they match.
+ */
+function startBinocularBalance() {
+    sessionStage = 'balance';
+    Object.values(eyes).forEach(eye => {
+        eye.sphere += BALANCE_FOG;
+    });
+    occludedEyeId = null;
+    clearUndoHistory(); // Undo points from single-eye refraction don't include the fog
+    logSessionEvent('balanceStart', { value: BALANCE_FOG });
+    updateEyeDisplay();
+    updateLensDisplay();
+
+    displayInstruction(`Binocular balance: +0.75 DS fog has been added to both eyes and the occluder removed. Click 'Alternate Occlusion' to cover each eye in turn and ask which one is clearer. Select the clearer eye and add +0.25 DS until both are equally blurred, then click 'Confirm Balance' to remove the fog.`);
+    displayContinuousPatientFeedback(`Both eyes are open. Everything looks a little blurred.`);
+    enableBalanceControls();
+}
+
+/**
+ * Enables the controls used during binocular balance.
+ */
+function enableBalanceControls() {
+    enableControls(['selectEye', 'plusSphere', 'minusSphere', 'compareEyes', 'confirmBalance']);
+}
+
+/**
+ * Covers each eye in turn and asks the patient which one sees more clearly.
+ */
+function compareEyes() {
+    const response = getBinocularBalanceResponse(
+        { trueRx: eyes.OD.trueRx, trialRx: getTrialRx(eyes.OD), profile: eyes.OD.profile },
+        { trueRx: eyes.OS.trueRx, trialRx: getTrialRx(eyes.OS), profile: eyes.OS.profile }
+    );
+
+    const { words, phrase } = getBalanceAnswerWords(response, { previous: lastPatientPhrase });
+    lastPatientPhrase = phrase;
+    const answer = {
+        words,
+        explanation: `Alternate occlusion (OD ${formatRx(getTrialRx(eyes.OD))}, OS ${formatRx(getTrialRx(eyes.OS))}): ${response === 'equal' ? 'both eyes equally blurred' : `${response} clearer`}.`
+    };
+    showPatientAnswer(answer);
+    logSessionEvent('patientAnswer', { value: response, detail: describePatientAnswer(answer) });
+}
+
+/**
+ * Finishes the binocular balance: removes the fog and grades both eyes' final prescriptions.
+ */
+function confirmBalance() {
+    const results = Object.entries(eyes).map(([eyeId, eye]) => {
+        eye.sphere -= BALANCE_FOG;
+        eye.finalRx = getTrialRx(eye);
+        const sphereError = Math.abs(eye.sphere - eye.trueRx.sphere);
+        return sphereError <= PRACTICE_POWER_TOLERANCE ? `${eyeId} sphere correct` : `${eyeId} sphere off by ${sphereError.toFixed(2)} DS`;
+    });
+    sessionStage = 'monocular';
+    occludedEyeId = getFellowEyeId();
+    clearUndoHistory();
+    logSessionEvent('confirmBalance');
+    disableAllControls();
+    updateEyeDisplay();
+    updateLensDisplay();
+    updateFinalRxDisplay();
+
+    displayInstruction(`Balance confirmed and fog removed. ${results.join(', ')}. The true prescriptions were OD ${formatRx(eyes.OD.trueRx)} and OS ${formatRx(eyes.OS.trueRx)}.`);
+    showPerformanceReport();
+}
+
+// --- Session Event Log ---
+
+/**
+ * Logs a trainee action with a snapshot of the eye being refracted, and updates the log status line.
+ * @param {string} type Event type.
+ * @param {{value: (number|string), detail: string}} [data] Value the action set and any free text.
+ */
+function logSessionEvent(type, data) {
+    if (type !== 'hint') lastDialTurn = null; // Any other trainee action ends a run of dial turns
+    const eye = getActiveEye();
+    logEvent(eventLog, type, {
+        eye: activeEyeId,
+        sphere: eye.sphere,
+        cylinder: eye.cylinder,
+        axis: eye.axis,
+        jccHandleAngle: eye.jccHandleAngle,
+        jccFlipped: eye.jccFlipped
+    }, data);
+    const count = eventLog.events.length;
+    eventLogStatus.textContent = `${count} event${count === 1 ? '' : 's'} recorded.`;
+    saveSessionProgress();
+}
+
+/**
+ * Saves text to a file through the browser's download mechanism.
+ * @param {string} filename Suggested file name.
+ * @param {string} text File contents.
+ * @param {string} mimeType MIME type of the contents.
+ */
+function downloadFile(filename, text, mimeType) {
+    const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Builds a file name for the current session's log, e.g. "jcc-session-2024-05-01T10-30-00.csv".
+ * @param {string} extension File extension without the dot.
+ * @returns {string} The file name.
+ */
+function getEventLogFilename(extension) {
+    const stamp = new Date(eventLog.startTime).toISOString().slice(0, 19).replace(/:/g, '-');
+    return `jcc-session-${stamp}.${extension}`;
+}
+
+// --- Performance Report ---
+
+/**
+ * Formats a duration as minutes and seconds.
+ * @param {number} seconds Duration in seconds.
+ * @returns {string} e.g. "3:07".
+ */
+function formatDuration(seconds) {
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Describes a wrong-direction move from the performance tracker.
+ * @param {{type: string, eyeId: string}} move The move.
+ * @returns {string} The description.
+ */
+function describeWrongMove(move) {
+    switch (move.type) {
+        case 'rotation': return `${move.eyeId}: rotated the lens axis away from the position the patient preferred.`;
+        case 'cylinderAxis': return `${move.eyeId}: added cylinder away from the red line of the position the patient preferred.`;
+        case 'sphere': return `${move.eyeId}: changed the sphere the opposite way to the duochrome answer.`;
+        default: return `${move.eyeId}: changed the cylinder power the opposite way to the patient's answer.`;
+    }
+}
+
+/**
+ * Describes a skipped re-check from the performance tracker.
+ * @param {{type: string, eyeId: string}} skipped The skipped re-check.
+ * @returns {string} The description.
+ */
+function describeSkippedRecheck(skipped) {
+    return `${skipped.eyeId}: confirmed the ${skipped.type} without re-checking it with the JCC.`;
+}
+
+/**
+ * Describes a best sphere found without fogging the eye first.
+ * @param {string} eyeId The eye.
+ * @returns {string} The description.
+ */
+function describeSkippedFogging(eyeId) {
+    return `${eyeId}: looked for the best sphere without fogging the eye first.`;
+}
+
+/**
+ * Shows the end-of-case report: action counts, time taken, mistakes, distance from the true prescription and the score.
+ */
+function showPerformanceReport() {
+    const results = Object.entries(eyes)
+        .filter(([, eye]) => eye && eye.finalRx)
+        .map(([eyeId, eye]) => ({ eyeId, finalRx: eye.finalRx, trueRx: eye.trueRx }));
+    const firstReport = !performanceTracker.endTime; // Redoing the last tutor step shows the report again
+    const report = buildPerformanceReport(performanceTracker, results);
+    if (firstReport) {
+        recordCaseResult(report);
+    }
+
+    const lines = [
+        `Score: ${report.score} / 100`,
+        `Time taken: ${formatDuration(report.timeSeconds)}`,
+        `JCC flips: ${report.flips}`,
+        `Lens rotations: ${report.lensRotations}, JCC handle rotations: ${report.jccRotations}`,
+        `Cylinder changes: ${report.cylinderChanges}, sphere changes: ${report.sphereChanges}`,
+        `Wrong-direction moves: ${report.wrongMoves.length}`,
+        `Skipped re-checks: ${report.skippedRechecks.length}`,
+        ...(sessionInfo.fullSequence ? [`Best spheres found without fogging: ${report.skippedFogging.length}`] : []),
+        ...report.eyes.map(eye => `${eye.eyeId} distance from true RX: axis ${eye.axisError}°, cylinder ${eye.cylinderError.toFixed(2)} DC, sphere ${eye.sphereError.toFixed(2)} DS (dioptric error ${eye.dioptricError.toFixed(2)} D)`),
+        ...results.map(({ eyeId, finalRx, trueRx }) => `${eyeId} final acuity: ${getVisualAcuity(trueRx, finalRx, eyes[eyeId].profile).snellen}`),
+        ...report.wrongMoves.map(describeWrongMove),
+        ...report.skippedRechecks.map(describeSkippedRecheck),
+        ...report.skippedFogging.map(describeSkippedFogging)
+    ];
+
+    const list = document.createElement('ul');
+    lines.forEach(line => {
+        const item = document.createElement('li');
+        item.textContent = line;
+        list.appendChild(item);
+    });
+    performanceReportContent.innerHTML = '';
+    performanceReportContent.appendChild(list);
+    performanceReportSection.classList.remove('hidden');
+    scheduleViewUpdate(); // The hidden prescription can now be shown in the power vector panel
+    saveSessionProgress(); // The case is finished, so there is nothing left to resume
+}
+
+// --- Session Replay ---
+
+/**
+ * Describes a logged event for the replay status line.
+ * @param {object} event An event from the session log.
+ * @returns {string} The description.
+ */
+function describeEvent(event) {
+    switch (event.type) {
+        case 'sessionStart': return `Session started (${event.value}${event.detail ? `: ${event.detail}` : ''})`;
+        case 'sessionResume': return `Session resumed after reopening the simulator`;
+        case 'flip': return `JCC flipped to Position ${event.value}`;
+        case 'jccRotation': return `JCC handle rotated to ${event.value}°`;
+        case 'lensRotation': return `Lens axis rotated to ${event.value}°`;
+        case 'cylinderChange': return `Cylinder changed by ${formatPower(event.value)} DC`;
+        case 'sphereChange': return `Sphere changed by ${formatPower(event.value)} DS`;
+        case 'confirmAxis': return `Axis confirmed at ${event.value}°`;
+        case 'confirmPower': return `Power confirmed: ${event.value}`;
+        case 'duochrome': return `Duochrome shown`;
+        case 'confirmSphere': return `Sphere confirmed: ${event.value}`;
+        case 'patientAnswer': return `Patient answered: ${event.detail}`;
+        case 'hint': return `Hint: ${event.detail}`;
+        case 'selectEye': return `Switched to the ${EYE_LABELS[event.value]}`;
+        case 'occluder': return event.value === 'none' ? `Occluder removed` : `Occluder placed over ${event.value}`;
+        case 'balanceStart': return `Binocular balance started (${formatPower(event.value)} DS fog)`;
+        case 'confirmBalance': return `Binocular balance confirmed`;
+        case 'jccPower': return `JCC power changed to ${formatJCCPower(event.value)}`;
+        case 'undo': return `Undo`;
+        case 'redo': return `Redo`;
+        default: return event.type;
+    }
+}
+
+/**
+ * Escapes text for safe use inside innerHTML.
+ * @param {string} text Plain text.
+ * @returns {string} The escaped text.
+ */
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = String(text);
+    return div.innerHTML;
+}
+
+/**
+ * Runs a recorded session's events through a fresh performance tracker to find the mistakes.
+ * @param {object} session The recorded session ({jccPower, cases, events}).
+ * @returns {(string|null)[]} For each event, a description of the mistake it made, or null.
+ */
+function findReplayMistakes(session) {
+    const tracker = createPerformanceTracker(0);
+    const previous = {}; // Last snapshot of each eye
+    const fogged = {};   // Whether each eye still looking for its best sphere has been fogged yet
+    if (session.fullSequence) {
+        Object.keys(session.cases).forEach(eyeId => { fogged[eyeId] = false; });
+    }
+    let power = session.jccPower;
+
+    return session.events.map((event, index) => {
+        const eyeCase = session.cases[event.eye];
+        const before = previous[event.eye] || eyeCase.retinoscopyRx;
+        const wrongMovesBefore = tracker.wrongMoves.length;
+        const skippedBefore = tracker.skippedRechecks.length;
+        const skippedFoggingBefore = tracker.skippedFogging.length;
+        if (event.eye in fogged) {
+            fogged[event.eye] = fogged[event.eye] || isFogged(eyeCase.trueRx, before) || isFogged(eyeCase.trueRx, event);
+        }
+
+        switch (event.type) {
+            case 'flip': {
+                // The patient's answer, when there was one, is logged straight after the flip
+                const answer = session.events[index + 1];
+                recordFlip(tracker, event.eye, {
+                    trueRx: eyeCase.trueRx,
+                    trialRx: { sphere: event.sphere, cylinder: event.cylinder, axis: event.axis },
+                    jccHandleAngle: event.jccHandleAngle,
+                    jccFlipped: event.jccFlipped,
+                    jccPower: power,
+                    profile: eyeCase.profile || {},
+                    response: answer && answer.type === 'patientAnswer' ? answer.value : null
+                });
+                break;
+            }
+            case 'lensRotation': recordLensRotation(tracker, event.eye, before.axis, event.axis); break;
+            case 'cylinderChange': recordCylinderChange(tracker, event.eye, before.cylinder, event.cylinder, event.axis); break;
+            case 'sphereChange': recordSphereChange(tracker, event.eye, event.value); break;
+            case 'duochrome': {
+                const answer = session.events[index + 1];
+                if (answer && answer.type === 'patientAnswer') recordDuochrome(tracker, event.eye, answer.value);
+                break;
+            }
+            case 'confirmSphere':
+                // The first sphere confirmed is the best vision sphere, the second the duochrome result
+                if (event.eye in fogged) {
+                    recordBestSphere(tracker, event.eye, fogged[event.eye]);
+                    delete fogged[event.eye];
+                }
+                break;
+            case 'confirmAxis': recordConfirmation(tracker, event.eye, 'axis'); break;
+            case 'confirmPower': recordConfirmation(tracker, event.eye, 'power'); break;
+            case 'jccPower': power = event.value; break;
+        }
+        previous[event.eye] = event;
+
+        if (tracker.wrongMoves.length > wrongMovesBefore) {
+            return `Wrong move: ${describeWrongMove(tracker.wrongMoves[tracker.wrongMoves.length - 1])}`;
+        }
+        if (tracker.skippedRechecks.length > skippedBefore) {
+            return `Skipped re-check: ${describeSkippedRecheck(tracker.skippedRechecks[tracker.skippedRechecks.length - 1])}`;
+        }
+        if (tracker.skippedFogging.length > skippedFoggingBefore) {
+            return `Skipped fogging: ${describeSkippedFogging(event.eye)}`;
+        }
+        return null;
+    });
+}
+
+/**
+ * Notes the state of the live session that a replay overwrites, so exitReplay can put it back.
+ * @returns {object} The live session state.
+ */
+function getLiveSessionState() {
+    return {
+        mode: simulatorMode,
+        eyes,
+        activeEyeId,
+        occludedEyeId,
+        sessionStage,
+        jccPower,
+        tutorStep,
+        welcome: welcomeMessageDiv.textContent
+    };
+}
+
+/**
+ * Starts replaying a recorded session. Live controls are disabled until the replay is closed.
+ * @param {{mode: string, jccPower: number, cases: object, events: object[]}} session A session as saved by eventLogToJSON.
+ */
+function startReplay(session) {
+    stopReplayTimer();
+    replay = {
+        session,
+        liveSession: replay ? replay.liveSession : getLiveSessionState(), // A second replay keeps the session the first one left
+        mistakes: findReplayMistakes(session),
+        index: 0,
+        playing: false,
+        timer: null
+    };
+    simulatorMode = 'replay';
+    hideJCCNotification();
+    disableAllControls();
+    enableControls(['replay']);
+    updateUndoButtons();
+    updateSessionButtons();
+    replayScrubber.max = session.events.length - 1;
+    welcomeMessageDiv.textContent = `Replaying a ${session.mode || 'recorded'} session with ${session.events.length} events. Use Play, Step or the slider to move through it.`;
+    showReplayEvent(0);
+}
+
+/**
+ * Rebuilds the simulator state as it was just after an event and shows what happened.
+ * The eyes are reloaded from the recorded cases and every event up to this one is applied in order.
+ * @param {number} index Index of the event in the recording.
+ */
+function showReplayEvent(index) {
+    const { session } = replay;
+    replay.index = Math.max(0, Math.min(index, session.events.length - 1));
+
+    eyes = {
+        OD: createEyeState(session.cases.OD, Boolean(session.fullSequence)),
+        OS: session.cases.OS ? createEyeState(session.cases.OS, Boolean(session.fullSequence)) : null
+    };
+    activeEyeId = 'OD';
+    occludedEyeId = 'OS';
+    sessionStage = 'monocular';
+    jccPower = session.jccPower;
+
+    let lastAnswer = null;
+    session.events.slice(0, replay.index + 1).forEach(event => {
+        applyReplayEvent(event);
+        if (event.type === 'patientAnswer') {
+            lastAnswer = event.detail;
+        }
+    });
+
+    updateEyeDisplay();
+    updateLensDisplay();
+    updateJCCDisplay();
+
+    const event = session.events[replay.index];
+    const mistake = replay.mistakes[replay.index];
+    replayScrubber.value = replay.index;
+    replayStatus.textContent = `Event ${replay.index + 1} of ${session.events.length} at ${formatDuration(Math.floor(event.elapsedSeconds))}`;
+    // Recorded text may come from a loaded file, so it is escaped before display
+    displayInstruction(`${escapeHtml(`${event.eye}: ${describeEvent(event)}.`)}${mistake ? ` <span class="replay-mistake">${escapeHtml(mistake)}</span>` : ''}`);
+    displayContinuousPatientFeedback(lastAnswer ? escapeHtml(lastAnswer) : `No answer yet.`);
+}
+
+/**
+ * Applies one logged event to the simulator state: the snapshot of the eye, plus any eye, occluder,
+ * balance, refraction step or JCC power change the event records.
+ * @param {object} event An event from the session log.
+ */
+function applyReplayEvent(event) {
+    activeEyeId = event.eye;
+    Object.assign(eyes[event.eye], {
+        sphere: event.sphere,
+        cylinder: event.cylinder,
+        axis: event.axis,
+        jccHandleAngle: event.jccHandleAngle,
+        jccFlipped: event.jccFlipped
+    });
+
+    switch (event.type) {
+        case 'selectEye':
+            if (sessionStage === 'monocular') occludedEyeId = getFellowEyeId();
+            break;
+        case 'occluder':
+            occludedEyeId = event.value === 'none' ? null : event.value;
+            break;
+        case 'balanceStart':
+            // The snapshot already holds the fogged lens of the active eye; fog the other eye too
+            sessionStage = 'balance';
+            occludedEyeId = null;
+            eyes[getFellowEyeId()].sphere += event.value;
+            break;
+        case 'confirmBalance':
+            sessionStage = 'monocular';
+            occludedEyeId = getFellowEyeId();
+            eyes[getFellowEyeId()].sphere -= BALANCE_FOG;
+            break;
+        case 'confirmSphere':
+            eyes[event.eye].refractionStep = eyes[event.eye].refractionStep === 'bestSphere' ? 'jcc' : 'done';
+            break;
+        case 'confirmPower':
+            if (replay.session.fullSequence) eyes[event.eye].refractionStep = 'duochrome';
+            break;
+        case 'jccPower':
+            jccPower = event.value;
+            break;
+    }
+}
+
+/**
+ * Starts or pauses automatic playback.
+ */
+function toggleReplayPlayback() {
+    if (replay.playing) {
+        stopReplayTimer();
+    } else {
+        if (replay.index >= replay.session.events.length - 1) {
+            showReplayEvent(0);
+        }
+        replay.playing = true;
+        replayPlayPauseButton.textContent = 'Pause';
+        scheduleNextReplayEvent();
+    }
+}
+
+/**
+ * Waits as long as the trainee did between this event and the next (scaled by the speed setting,
+ * with long pauses shortened) and then shows the next event.
+ */
+function scheduleNextReplayEvent() {
+    const { events } = replay.session;
+    if (replay.index >= events.length - 1) {
+        stopReplayTimer();
+        return;
+    }
+    const gapSeconds = events[replay.index + 1].elapsedSeconds - events[replay.index].elapsedSeconds;
+    const delay = Math.min(gapSeconds, REPLAY_MAX_GAP_SECONDS) * 1000 / parseFloat(replaySpeedSelect.value);
+    replay.timer = setTimeout(() => {
+        showReplayEvent(replay.index + 1);
+        scheduleNextReplayEvent();
+    }, delay);
+}
+
+/**
+ * Pauses automatic playback.
+ */
+function stopReplayTimer() {
+    if (!replay) return;
+    clearTimeout(replay.timer);
+    replay.timer = null;
+    replay.playing = false;
+    replayPlayPauseButton.textContent = 'Play';
+}
+
+/**
+ * Jumps to the next event that was a mistake, wrapping round to the start.
+ */
+function showNextReplayMistake() {
+    stopReplayTimer();
+    const { mistakes } = replay;
+    const count = mistakes.length;
+    for (let offset = 1; offset <= count; offset++) {
+        const index = (replay.index + offset) % count;
+        if (mistakes[index]) {
+            showReplayEvent(index);
+            return;
+        }
+    }
+    replayStatus.textContent = `No mistakes were recorded in this session.`;
+}
+
+/**
+ * Closes the replay and puts back the live session it replaced, ready to carry on where it was left.
+ * The recorded log is kept so it can still be downloaded.
+ */
+function exitReplay() {
+    stopReplayTimer();
+    const live = replay.liveSession;
+    replay = null;
+    simulatorMode = live.mode;
+    eyes = live.eyes;
+    activeEyeId = live.activeEyeId;
+    occludedEyeId = live.occludedEyeId;
+    sessionStage = live.sessionStage;
+    jccPower = live.jccPower;
+    jccPowerSelect.value = jccPower;
+    tutorStep = live.tutorStep;
+    replayScrubber.max = 0;
+    replayStatus.textContent = `No replay loaded.`;
+    welcomeMessageDiv.textContent = live.welcome;
+    clearUndoHistory();
+    disableAllControls();
+    updateEyeDisplay();
+    updateLensDisplay();
+    updateJCCDisplay();
+    updateFinalRxDisplay();
+    updateSessionButtons();
+    enableLiveSessionControls();
+}
+
+/**
+ * Gives the trainee back the controls of the live session after a replay: the current tutorial step's,
+ * or those of the free practice stage. A finished or unstarted session leaves them disabled.
+ */
+function enableLiveSessionControls() {
+    const step = activeScenario && getCurrentStep();
+    if (simulatorMode === 'tutorial' && step && !step.final) {
+        displayInstruction(fillScenarioText(step.instruction));
+        enableControls(step.controls);
+    } else if (simulatorMode === 'practice' && !performanceTracker.endTime) {
+        if (sessionStage === 'balance') {
+            displayInstruction(`Replay closed. Carry on with the binocular balance: click 'Alternate Occlusion' to compare the eyes, then 'Confirm Balance' when they are equally blurred.`);
+            enableBalanceControls();
+        } else {
+            displayInstruction(`Replay closed. You were refracting the ${EYE_LABELS[activeEyeId]}; carry on where you left off.`);
+            enablePracticeControls();
+        }
+    } else {
+        displayInstruction(`Replay closed. Start a tutorial or free practice to continue.`);
+    }
+}
+
+/**
+ * Reads a session log saved with 'Download JSON' and replays it.
+ * @param {File} file The chosen file.
+ */
+function loadReplayFile(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+        let session;
+        try {
+            session = JSON.parse(reader.result);
+        } catch (error) {
+            session = null;
+        }
+        if (!session || !session.cases || !session.cases.OD || !Array.isArray(session.events) || session.events.length === 0) {
+            replayStatus.textContent = `${file.name} is not a saved session log.`;
+            return;
+        }
+        startReplay(session);
+    };
+    reader.readAsText(file);
+}
+
+// --- Event Listeners ---
+
+// JCC SVG Slider Events
+jccAxisSliderDiv.addEventListener('mousedown', (e) => startDrag(e, jccAxisSliderDiv, jccAxisSliderSVG, jccSliderThumb, updateJCCRotation));
+jccAxisSliderDiv.addEventListener('touchstart', (e) => startDrag(e, jccAxisSliderDiv, jccAxisSliderSVG, jccSliderThumb, updateJCCRotation));
+
+// Lens SVG Slider Events
+lensAxisSliderDiv.addEventListener('mousedown', (e) => startDrag(e, lensAxisSliderDiv, lensAxisSliderSVG, lensSliderThumb, updateLensRotation));
+lensAxisSliderDiv.addEventListener('touchstart', (e) => startDrag(e, lensAxisSliderDiv, lensAxisSliderSVG, lensSliderThumb, updateLensRotation));
+
+
+// Listen for JCC flip button clicks
+flipJCCButton.addEventListener('click', () => {
+    if (flipJCCButton.disabled) return; 
+
+    pushUndoSnapshot();
+    const eye = getActiveEye();
+    eye.jccFlipped = !eye.jccFlipped;
+    updateJCCDisplay();
+    logSessionEvent('flip', { value: eye.jccFlipped ? 2 : 1 });
+    // Free practice patients answer every flip; the scripted tutorial patient only when a step asks them
+    const answer = simulatorMode === 'practice' ? getPatientAnswer() : null;
+    recordFlip(performanceTracker, activeEyeId, {
+        trueRx: eye.trueRx,
+        trialRx: getTrialRx(),
+        jccHandleAngle: eye.jccHandleAngle,
+        jccFlipped: eye.jccFlipped,
+        jccPower,
+        profile: eye.profile,
+        response: answer && answer.response
+    });
+
+    if (answer) {
+        showPatientAnswer(answer);
+        logSessionEvent('patientAnswer', { value: answer.response, detail: describePatientAnswer(answer) });
+        return;
+    }
+    handleTutorAction('flip');
+});
+
+// Listen for power increase button clicks
+increasePowerButton.addEventListener('click', () => {
+    if (!changeCylinder(cylinderNotation === 'plus' ? POWER_STEP : -POWER_STEP)) return;
+    checkPracticeSphereCompensation();
+    handleTutorAction('increasePower');
+});
+
+// Listen for power decrease button clicks
+decreasePowerButton.addEventListener('click', () => {
+    if (!changeCylinder(cylinderNotation === 'plus' ? -POWER_STEP : POWER_STEP)) return;
+    checkPracticeSphereCompensation();
+    handleTutorAction('decreasePower');
+});
+
+// Listen for sphere button clicks. While looking for the best vision sphere the patient answers every change.
+plusSphereButton.addEventListener('click', () => {
+    const lensBefore = getTrialRx();
+    changeSphere(POWER_STEP);
+    if (answerBestSphereChange(lensBefore, POWER_STEP)) return;
+    handleTutorAction('plusSphere');
+});
+
+minusSphereButton.addEventListener('click', () => {
+    const lensBefore = getTrialRx();
+    changeSphere(-POWER_STEP);
+    if (answerBestSphereChange(lensBefore, -POWER_STEP)) return;
+    handleTutorAction('minusSphere');
+});
+
+// Best sphere and duochrome (full monocular sequence)
+duochromeButton.addEventListener('click', checkDuochrome);
+confirmSphereButton.addEventListener('click', confirmSphere);
+
+// Listen for Confirm Axis button clicks
+confirmAxisButton.addEventListener('click', () => {
+    const mistakesBefore = notePracticeMistakes();
+    recordConfirmation(performanceTracker, activeEyeId, 'axis');
+    recordHintAxisConfirmed(hintTracker, activeEyeId, true);
+    logSessionEvent('confirmAxis', { value: getDisplayAxis(toDisplayNotation(getTrialRx()).axis) });
+    if (simulatorMode === 'practice') {
+        gradePracticeAxis();
+        showPracticeHint(mistakesBefore);
+        return;
+    }
+    handleTutorAction('confirmAxis');
+});
+
+// Listen for Confirm Power button clicks
+confirmPowerButton.addEventListener('click', () => {
+    const mistakesBefore = notePracticeMistakes();
+    recordConfirmation(performanceTracker, activeEyeId, 'power');
+    logSessionEvent('confirmPower', { value: formatRx(getTrialRx()) });
+    if (simulatorMode === 'practice') {
+        gradePracticePower();
+        showPracticeHint(mistakesBefore);
+        return;
+    }
+    handleTutorAction('confirmPower');
+});
+
+// Eye selector, occluder and binocular balance
+selectODButton.addEventListener('click', () => selectEye('OD'));
+selectOSButton.addEventListener('click', () => selectEye('OS'));
+occluderButton.addEventListener('click', toggleOccluder);
+compareEyesButton.addEventListener('click', compareEyes);
+confirmBalanceButton.addEventListener('click', confirmBalance);
+
+// Undo / redo buttons and Ctrl+Z / Ctrl+Y (Ctrl+Shift+Z also redoes)
+undoButton.addEventListener('click', undo);
+redoButton.addEventListener('click', redo);
+document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey)) return;
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+    } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+        e.preventDefault();
+        redo();
+    }
+});
+
+// Keyboard control of the JCC, dials and cylinder power
+document.addEventListener('keydown', handleShortcutKey);
+jccAxisSliderDiv.addEventListener('focus', () => setKeyboardDial('jcc'));
+lensAxisSliderDiv.addEventListener('focus', () => setKeyboardDial('lens'));
+
+// The notification is a modal dialog: keep keyboard focus inside it while it is open
+document.addEventListener('focusin', trapNotificationFocus);
+jccNotificationBox.addEventListener('keydown', trapNotificationFocus);
+
+// Session log downloads
+downloadLogJSONButton.addEventListener('click', () => {
+    downloadFile(getEventLogFilename('json'), eventLogToJSON(eventLog, sessionInfo), 'application/json');
+});
+downloadLogCSVButton.addEventListener('click', () => {
+    downloadFile(getEventLogFilename('csv'), eventLogToCSV(eventLog), 'text/csv');
+});
+
+// Replay controls
+replayCurrentButton.addEventListener('click', () => {
+    if (eventLog.events.length === 0) {
+        replayStatus.textContent = `Nothing has been recorded yet.`;
+        return;
+    }
+    startReplay({ ...sessionInfo, startTime: new Date(eventLog.startTime).toISOString(), events: eventLog.events.slice() });
+});
+replayFileInput.addEventListener('change', () => {
+    if (replayFileInput.files.length > 0) {
+        loadReplayFile(replayFileInput.files[0]);
+        replayFileInput.value = '';
+    }
+});
+replayPlayPauseButton.addEventListener('click', toggleReplayPlayback);
+replayStepBackButton.addEventListener('click', () => {
+    stopReplayTimer();
+    showReplayEvent(replay.index - 1);
+});
+replayStepButton.addEventListener('click', () => {
+    stopReplayTimer();
+    showReplayEvent(replay.index + 1);
+});
+replayNextMistakeButton.addEventListener('click', showNextReplayMistake);
+replayScrubber.addEventListener('input', () => {
+    stopReplayTimer();
+    showReplayEvent(parseInt(replayScrubber.value, 10));
+});
+exitReplayButton.addEventListener('click', exitReplay);
+
+// Start Tutorial Button Event Listener
+startTutorialButton.addEventListener('click', () => {
+    startScenario(scenarioSelect.value);
+});
+
+// Free Practice Button Event Listener
+startPracticeButton.addEventListener('click', () => startPractice());
+
+// Restart the same case, or start a new one, without reloading the page
+restartCaseButton.addEventListener('click', restartCase);
+newCaseButton.addEventListener('click', newCase);
+
+// Difficulty preset used for generated practice cases
+difficultySelect.addEventListener('change', () => {
+    caseDifficulty = difficultySelect.value;
+    saveSettings();
+});
+
+// Minus/plus cylinder notation setting
+notationSelect.addEventListener('change', () => {
+    setCylinderNotation(notationSelect.value);
+    saveSettings();
+});
+
+// JCC lens power setting
+jccPowerSelect.addEventListener('change', () => {
+    jccPower = parseFloat(jccPowerSelect.value);
+    updateJCCDisplay();
+    logSessionEvent('jccPower', { value: jccPower });
+    saveSettings();
+});
+
+// Axis step of the dials. Axes already set keep their value until the dial is next turned.
+axisStepSelect.addEventListener('change', () => {
+    axisStep = parseFloat(axisStepSelect.value);
+    saveSettings();
+});
+
+// Fine-adjust mode for the dials
+fineAxisAdjustCheckbox.addEventListener('change', () => {
+    setFineAxisAdjust(fineAxisAdjustCheckbox.checked);
+});
+
+// Acuity of generated practice patients
+acuitySelect.addEventListener('change', () => {
+    practiceAcuity = acuitySelect.value;
+    saveSettings();
+});
+
+// How generated practice patients answer
+personalitySelect.addEventListener('change', () => {
+    practicePersonality = personalitySelect.value;
+    saveSettings();
+});
+
+// Power vector panel: show the hidden prescription
+revealTrueRxCheckbox.addEventListener('change', updatePowerVectorPanel);
+
+// Technical reading of patient answers
+showExplanationCheckbox.addEventListener('change', () => {
+    showAnswerExplanation = showExplanationCheckbox.checked;
+    patientExplanationBox.classList.toggle('hidden', !showAnswerExplanation || !patientExplanationBox.textContent);
+    saveSettings();
+});
+
+// Spoken patient answers
+speakAnswersCheckbox.addEventListener('change', () => {
+    speakPatientAnswers = speakAnswersCheckbox.checked;
+    if (!speakPatientAnswers && 'speechSynthesis' in window) {
+        window.speechSynthesis.cancel();
+    }
+    saveSettings();
+});
+
+// Automatic spherical-equivalent compensation setting
+autoSphereCheckbox.addEventListener('change', () => {
+    autoSphereCompensation = autoSphereCheckbox.checked;
+    if (autoSphereCompensation) {
+        Object.values(eyes).filter(Boolean).forEach(applySphereCompensation);
+        updateLensDisplay();
+    }
+    saveSettings();
+});
+
+// Best sphere and duochrome around the JCC in free practice; takes effect from the next practice case
+fullSequenceCheckbox.addEventListener('change', () => {
+    fullMonocularSequence = fullSequenceCheckbox.checked;
+    saveSettings();
+});
+
+// Resume or discard the unfinished session found at start-up
+resumeSessionButton.addEventListener('click', () => {
+    const saved = getSavedSession();
+    if (saved) {
+        resumeSession(saved);
+    } else {
+        resumePrompt.classList.add('hidden');
+    }
+});
+discardSessionButton.addEventListener('click', () => {
+    removeStoredValue(STORAGE_KEYS.session);
+    resumePrompt.classList.add('hidden');
+});
+
+// Case history
+clearHistoryButton.addEventListener('click', () => {
+    removeStoredValue(STORAGE_KEYS.history);
+    updateCaseHistoryDisplay();
+});
+
+// Catch any change made since the last logged action (e.g. an undo) before the tab closes
+window.addEventListener('pagehide', saveSessionProgress);
+
+
+// --- Initialization ---
+function init() {
+    restoreSettings();
+    loadSession({ OD: TUTORIAL_CASE });
+
+    // Fill the tutorial picker from the scenario definitions
+    scenarioSelect.innerHTML = '';
+    Object.entries(SCENARIOS).forEach(([scenarioId, scenario]) => {
+        const option = document.createElement('option');
+        option.value = scenarioId;
+        option.textContent = scenario.title;
+        scenarioSelect.appendChild(option);
+    });
+    scenarioSelect.value = DEFAULT_SCENARIO_ID;
+
+    // Fill the JCC power, patient acuity and personality pickers from the patient model
+    jccPowerSelect.innerHTML = '';
+    JCC_POWERS.forEach(power => {
+        const option = document.createElement('option');
+        option.value = power;
+        option.textContent = formatJCCPower(power);
+        jccPowerSelect.appendChild(option);
+    });
+    jccPowerSelect.value = jccPower;
+    acuitySelect.innerHTML = '';
+    Object.entries(PATIENT_ACUITY_LEVELS).forEach(([acuity, level]) => {
+        const option = document.createElement('option');
+        option.value = acuity;
+        option.textContent = level.label;
+        acuitySelect.appendChild(option);
+    });
+    acuitySelect.value = practiceAcuity;
+    personalitySelect.innerHTML = '';
+    Object.entries(PATIENT_PERSONALITIES).forEach(([personality, style]) => {
+        const option = document.createElement('option');
+        option.value = personality;
+        option.textContent = style.label;
+        personalitySelect.appendChild(option);
+    });
+    personalitySelect.value = practicePersonality;
+    showExplanationCheckbox.checked = showAnswerExplanation;
+    speakAnswersCheckbox.checked = speakPatientAnswers;
+    if (!('speechSynthesis' in window)) {
+        speakAnswersCheckbox.checked = false;
+        speakAnswersCheckbox.disabled = true;
+        speakAnswersCheckbox.parentElement.title = 'This browser cannot speak.';
+    }
+    axisStepSelect.innerHTML = '';
+    AXIS_STEPS.forEach(step => {
+        const option = document.createElement('option');
+        option.value = step;
+        option.textContent = `${step}°`;
+        axisStepSelect.appendChild(option);
+    });
+    axisStepSelect.value = axisStep;
+    difficultySelect.value = caseDifficulty;
+    autoSphereCheckbox.checked = autoSphereCompensation;
+    fullSequenceCheckbox.checked = fullMonocularSequence;
+    notationSelect.value = cylinderNotation;
+    setCylinderNotation(cylinderNotation);
+
+    displayContinuousPatientFeedback(`Awaiting instructions.`);
+    welcomeMessageDiv.textContent = `Welcome to the JCC Refinement Simulator! Pick a guided case and click 'Start Tutorial', or choose a difficulty and click 'Free Practice' to refine a randomly generated case on your own.`;
+    
+    displayInstruction(`Choose a guided tutorial or free practice to begin.`);
+    disableAllControls(); 
+    updateSessionButtons();
+    updateCaseHistoryDisplay();
+    setKeyboardDial(keyboardDial, false);
+
+    const savedSession = getSavedSession();
+    if (savedSession) {
+        showResumePrompt(savedSession);
+    }
+}
+
 document.addEventListener('DOMContentLoaded', init);
\ No newline at end of file
@@ -0,0 +1,91 @@
+// --- Saved Progress ---
+// Keeps the trainee's settings, an unfinished session and the results of finished cases in the
+// browser's localStorage, so closing the tab loses nothing. Reading and writing never throws: when
+// storage is unavailable (private browsing, quota full) the simulator simply works without it.
+
+// localStorage keys.
+const STORAGE_KEYS = {
+    settings: 'jccSimulator.settings',
+    session: 'jccSimulator.session',
+    history: 'jccSimulator.history'
+};
+
+// Bumped whenever the saved session layout changes, so older saves are ignored rather than half-restored.
+const SAVED_SESSION_VERSION = 1;
+
+// Oldest case results are dropped once the history holds this many.
+const CASE_HISTORY_LIMIT = 200;
+
+/**
+ * Reads a JSON value from localStorage.
+ * @param {string} key Storage key (see STORAGE_KEYS).
+ * @param {*} fallback Value returned when nothing is stored, the value is unreadable or storage is unavailable.
+ * @returns {*} The stored value, or the fallback.
+ */
+function readStoredValue(key, fallback) {
+    try {
+        const text = localStorage.getItem(key);
+        return text === null ? fallback : JSON.parse(text);
+    } catch (error) {
+        return fallback;
+    }
+}
+
+/**
+ * Writes a value to localStorage as JSON.
+ * @param {string} key Storage key (see STORAGE_KEYS).
+ * @param {*} value Value to store.
+ * @returns {boolean} True if it was saved.
+ */
+function writeStoredValue(key, value) {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Removes a value from localStorage.
+ * @param {string} key Storage key (see STORAGE_KEYS).
+ */
+function removeStoredValue(key) {
+    try {
+        localStorage.removeItem(key);
+    } catch (error) {
+        // Nothing to remove when storage is unavailable
+    }
+}
+
+/**
+ * Adds a finished case to the result history, dropping the oldest results past CASE_HISTORY_LIMIT.
+ * @param {object[]} history Past results, oldest first.
+ * @param {{date: string, mode: string, caseLabel: string, score: number, timeSeconds: number, eyes: object[]}} result The finished case.
+ * @returns {object[]} The new history.
+ */
+function addCaseResult(history, result) {
+    return [...history, result].slice(-CASE_HISTORY_LIMIT);
+}
+
+/**
+ * Compares the cases finished in the last few days with the same number of days before that.
+ * @param {object[]} history Past results, oldest first.
+ * @param {number} [days=7] Length of each period in days.
+ * @param {number} [now=Date.now()] Current time in milliseconds.
+ * @returns {{recent: {count: number, averageScore: (number|null)}, previous: {count: number, averageScore: (number|null)}}}
+ *          Number of cases and average score (null when there were none) in each period.
+ */
+function summariseCaseHistory(history, days = 7, now = Date.now()) {
+    const period = days * 24 * 60 * 60 * 1000;
+    const summarise = results => ({
+        count: results.length,
+        averageScore: results.length === 0 ? null : Math.round(results.reduce((sum, result) => sum + result.score, 0) / results.length)
+    });
+    const age = result => now - new Date(result.date).getTime();
+
+    return {
+        recent: summarise(history.filter(result => age(result) < period)),
+        previous: summarise(history.filter(result => age(result) >= period && age(result) < 2 * period))
+    };
+}
@@ -0,0 +1,133 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load-scripts');
+
+const core = loadScripts('patient.js', 'core.js');
+
+/**
+ * Gets the point on a dial's track at an optometric angle (counter-clockwise from the right).
+ * @param {number} degrees Angle in degrees.
+ * @returns {{x: number, y: number}} SVG coordinates.
+ */
+function dialPoint(degrees) {
+    const radians = degrees * Math.PI / 180;
+    return {
+        x: core.SVG_CENTER_X + core.SVG_RADIUS * Math.cos(radians),
+        y: core.SVG_CENTER_Y - core.SVG_RADIUS * Math.sin(radians)
+    };
+}
+
+describe('getDisplayAxis', () => {
+    test('writes 0 as 180', () => {
+        assert.equal(core.getDisplayAxis(0), 180);
+        assert.equal(core.getDisplayAxis(180), 180);
+        assert.equal(core.getDisplayAxis(360), 180);
+    });
+
+    test('wraps angles past 180 back to the start of the range', () => {
+        assert.equal(core.getDisplayAxis(185), 5);
+        assert.equal(core.getDisplayAxis(270), 90);
+        assert.equal(core.getDisplayAxis(225), 45);
+    });
+
+    test('wraps negative angles to the end of the range', () => {
+        assert.equal(core.getDisplayAxis(-5), 175);
+        assert.equal(core.getDisplayAxis(-45), 135);
+        assert.equal(core.getDisplayAxis(-180), 180);
+    });
+
+    test('does not snap, but tidies floating-point noise to a tenth of a degree', () => {
+        assert.equal(core.getDisplayAxis(93), 93);
+        assert.equal(core.getDisplayAxis(92.5), 92.5);
+        assert.equal(core.getDisplayAxis(179.99999), 180);
+        assert.equal(core.getDisplayAxis(0.1 + 0.2), 0.3);
+    });
+});
+
+describe('snapAxis', () => {
+    test('snaps to the axis step', () => {
+        assert.equal(core.snapAxis(93, 5), 95);
+        assert.equal(core.snapAxis(93, 2.5), 92.5);
+        assert.equal(core.snapAxis(93.4, 1), 93);
+    });
+
+    test('snaps across the 0/180 boundary to 180', () => {
+        assert.equal(core.snapAxis(2, 5), 180);
+        assert.equal(core.snapAxis(178, 5), 180);
+        assert.equal(core.snapAxis(0.4, 1), 180);
+        assert.equal(core.snapAxis(183, 5), 5);
+    });
+});
+
+describe('svgCoordsToOptometricAxis', () => {
+    test('reads the upper half of the dial directly', () => {
+        assert.equal(core.svgCoordsToOptometricAxis(dialPoint(90), 1), 90);
+        assert.equal(core.svgCoordsToOptometricAxis(dialPoint(45), 1), 45);
+        assert.equal(core.svgCoordsToOptometricAxis(dialPoint(135), 1), 135);
+    });
+
+    test('folds the lower half of the dial onto the same meridians', () => {
+        assert.equal(core.svgCoordsToOptometricAxis(dialPoint(270), 1), 90);
+        assert.equal(core.svgCoordsToOptometricAxis(dialPoint(225), 1), 45);
+        assert.equal(core.svgCoordsToOptometricAxis(dialPoint(315), 1), 135);
+    });
+
+    test('gives 180 on both sides of the horizontal meridian', () => {
+        assert.equal(core.svgCoordsToOptometricAxis(dialPoint(0), 5), 180);
+        assert.equal(core.svgCoordsToOptometricAxis(dialPoint(180), 5), 180);
+        assert.equal(core.svgCoordsToOptometricAxis(dialPoint(1), 5), 180);
+        assert.equal(core.svgCoordsToOptometricAxis(dialPoint(359), 5), 180);
+    });
+
+    test('snaps the angle to the step, matching what is displayed', () => {
+        const point = dialPoint(93);
+        assert.equal(core.svgCoordsToOptometricAxis(point, 5), 95);
+        assert.equal(core.svgCoordsToOptometricAxis(point, 2.5), 92.5);
+        assert.equal(core.svgCoordsToOptometricAxis(point, 1), 93);
+    });
+});
+
+describe('toNotation', () => {
+    test('turns a minus-cylinder axis of 180 into a plus-cylinder axis of 90', () => {
+        const plus = core.toNotation({ sphere: 0, cylinder: -2, axis: 180 }, 'plus');
+        assert.equal(plus.sphere, -2);
+        assert.equal(plus.cylinder, 2);
+        assert.equal(plus.axis, 90);
+    });
+
+    test('wraps plus-cylinder axes past 180', () => {
+        assert.equal(core.toNotation({ sphere: 0, cylinder: -1, axis: 95 }, 'plus').axis, 5);
+        assert.equal(core.toNotation({ sphere: 0, cylinder: -1, axis: 90 }, 'plus').axis, 180);
+    });
+
+    test('formats both notations with 180 rather than 0', () => {
+        const rx = { sphere: 0, cylinder: -2, axis: 90 };
+        assert.equal(core.formatRxInNotation(rx, 'minus'), '0.00 DS / -2.00 DC x 90°');
+        assert.equal(core.formatRxInNotation(rx, 'plus'), '-2.00 DS / +2.00 DC x 180°');
+    });
+
+    test('formats a spherical lens without an axis', () => {
+        const rx = { sphere: -0.75, cylinder: 0, axis: 180 };
+        assert.equal(core.formatRxInNotation(rx, 'minus'), '-0.75 DS');
+        assert.equal(core.formatRxInNotation(rx, 'plus'), '-0.75 DS');
+    });
+});
+
+describe('cylinder changes', () => {
+    const SPHERICAL = { sphere: -0.75, cylinder: 0, axis: 180 };
+
+    test('new cylinder goes in along the red line in either notation', () => {
+        assert.deepEqual(core.getCylinderChange(SPHERICAL, -0.25, 'minus', 45), { sphere: -0.75, cylinder: -0.25, axis: 45 });
+        // +0.25 DC along the green line at 135° is -0.25 DC along the red line at 45°
+        assert.deepEqual(core.getCylinderChange(SPHERICAL, 0.25, 'plus', 45), { sphere: -0.5, cylinder: -0.25, axis: 45 });
+    });
+
+    test('an existing cylinder keeps its axis', () => {
+        assert.deepEqual(core.getCylinderChange({ sphere: 0, cylinder: -1, axis: 170 }, -0.25, 'minus', 45), { sphere: 0, cylinder: -1.25, axis: 170 });
+    });
+
+    test('a spherical lens has no cylinder to take away', () => {
+        assert.equal(core.getCylinderChange(SPHERICAL, 0.25, 'minus', 45), null);
+        assert.equal(core.getCylinderChange(SPHERICAL, -0.25, 'plus', 45), null);
+    });
+});
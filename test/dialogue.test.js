@@ -0,0 +1,66 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load-scripts');
+
+const core = loadScripts('patient.js', 'core.js', 'dialogue.js');
+
+// Random number generator that walks through the given values in turn
+function sequence(...values) {
+    let index = 0;
+    return () => values[index++ % values.length];
+}
+
+describe('patient dialogue', () => {
+    test('every JCC answer has phrases with all placeholders filled', () => {
+        Object.entries(core.JCC_ANSWER_PHRASES).forEach(([response, phrases]) => {
+            phrases.forEach((phrase, index) => {
+                [1, 2].forEach(shownPosition => {
+                    const random = () => index / phrases.length;
+                    const { words } = core.getJCCAnswerWords(response, shownPosition, { fellowEye: 'left', random });
+                    assert.doesNotMatch(words, /[{}]/, `${response}: ${phrase}`);
+                    assert.doesNotMatch(words, /red line|axis|Position/i, `${response}: ${phrase}`);
+                });
+            });
+        });
+    });
+
+    test('names the right positions', () => {
+        const random = () => 0;
+        assert.equal(core.getJCCAnswerWords('clearer', 2, { random }).words, 'Two, I think.');
+        assert.equal(core.getJCCAnswerWords('blurred', 2, { random }).words, 'One was better.');
+        assert.equal(core.getJCCAnswerWords('bothEyesOpen', 1, { fellowEye: 'right', random }).words,
+            `I'm looking with both eyes, so I can't tell. Could you cover my right eye?`);
+    });
+
+    test('does not say the same thing twice in a row', () => {
+        const random = sequence(0);
+        const first = core.getJCCAnswerWords('equal', 1, { random });
+        const second = core.getJCCAnswerWords('equal', 1, { previous: first.phrase, random });
+        assert.notEqual(second.words, first.words);
+    });
+
+    test('the technical explanation keeps the red and green lines', () => {
+        assert.equal(core.explainJCCAnswer('clearer', 2, 135, 45),
+            'Position 2 (red line at 135°, green line at 45°): clearer than Position 1.');
+        assert.equal(core.explainJCCAnswer('equal', 1, 45, 135),
+            'Position 1 (red line at 45°, green line at 135°): equally blurred.');
+    });
+
+    test('sphere and duochrome answers fill in the eye to cover', () => {
+        [core.SPHERE_ANSWER_PHRASES, core.DUOCHROME_ANSWER_PHRASES].forEach(answers => {
+            Object.values(answers).forEach(phrases => phrases.forEach((phrase, index) => {
+                const random = () => index / phrases.length;
+                const words = core.getSphereCheckWords(phrases, { fellowEye: 'left', random }).words;
+                assert.doesNotMatch(words, /[{}]/, phrase);
+            }));
+        });
+        assert.match(core.getDuochromeAnswerWords('red', { random: () => 0 }).words, /red/i);
+        assert.equal(core.explainDuochromeAnswer('green'), 'Duochrome: green clearer, so the eye is over-minused (add plus sphere).');
+    });
+
+    test('balance answers name the clearer eye', () => {
+        const random = () => 0;
+        assert.match(core.getBalanceAnswerWords('OD', { random }).words, /right/i);
+        assert.match(core.getBalanceAnswerWords('OS', { random }).words, /left/i);
+    });
+});
@@ -0,0 +1,79 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load-scripts');
+
+const core = loadScripts('patient.js', 'core.js', 'scoring.js', 'cases.js', 'scenarios.js', 'hints.js');
+
+const steps = core.SCENARIOS.withTheRule.steps;
+const ROTATE_LENS = steps.find(step => step.controls.includes('lensRotation')); // Rotate the lens to 5°
+const INCREASE_POWER = steps.find(step => step.advanceOn === 'increasePower');
+
+// Tutor state of the tutorial's -2.00 DC lens at the given axis, JCC handle along 180°
+function lensAt(axis, notation = 'minus') {
+    return core.buildTutorState({ sphere: 0, cylinder: -2, axis, jccHandleAngle: 180, jccFlipped: false }, notation);
+}
+
+describe('tutorial hints', () => {
+    test('turning the lens away from where the step needs it is explained', () => {
+        assert.deepEqual(core.diagnoseTutorialAction(ROTATE_LENS, 'slider', lensAt(180), lensAt(175), 'minus'),
+            { type: 'lensAway', target: 5 });
+    });
+
+    test('turning the lens part of the way there is progress, not a mistake', () => {
+        assert.equal(core.diagnoseTutorialAction(ROTATE_LENS, 'slider', lensAt(180), lensAt(1), 'minus'), null);
+    });
+
+    test('plus cylinder hints name the green line and the plus axis', () => {
+        const diagnosis = core.diagnoseTutorialAction(ROTATE_LENS, 'slider', lensAt(180, 'plus'), lensAt(175, 'plus'), 'plus');
+        assert.deepEqual(diagnosis, { type: 'lensAway', target: 95 });
+        const hint = core.getHint(core.createHintTracker(), diagnosis, 'plus');
+        assert.match(hint.text, /green line/);
+    });
+
+    test('the wrong power button names the right one and the power to stop at', () => {
+        const afterWrongPress = { ...lensAt(180), cylinder: -1.75 };
+        assert.deepEqual(core.diagnoseTutorialAction(INCREASE_POWER, 'decreasePower', null, afterWrongPress, 'minus'),
+            { type: 'powerWrongWay', button: `'Increase Power' until the cylinder reads -2.25 DC` });
+        // Taking the wrong press back is not yet the power the step asks for
+        assert.deepEqual(core.diagnoseTutorialAction(INCREASE_POWER, 'increasePower', null, lensAt(180), 'minus'),
+            { type: 'powerOff', button: `'Increase Power' until the cylinder reads -2.25 DC` });
+    });
+
+    test('confirming the power at the wrong lens names the lens the step expects', () => {
+        const confirmPower = steps.find(step => step.advanceOn === 'confirmPower');
+        assert.deepEqual(core.diagnoseTutorialAction(confirmPower, 'confirmPower', null, lensAt(180), 'minus'),
+            { type: 'confirmPowerTooSoon', sphere: '+0.25', cylinder: '-2.50' });
+        assert.deepEqual(core.diagnoseTutorialAction(confirmPower, 'confirmPower', null, lensAt(180, 'plus'), 'plus'),
+            { type: 'confirmPowerTooSoon', sphere: '-2.25', cylinder: '+2.50' });
+    });
+});
+
+describe('hint escalation', () => {
+    test('repeating a mistake moves from a nudge to the rule to the exact move', () => {
+        const tracker = core.createHintTracker();
+        const diagnosis = { type: 'lensAway', target: 5 };
+        const hints = [1, 2, 3, 4].map(() => core.getHint(tracker, diagnosis, 'minus'));
+        assert.deepEqual(hints.map(hint => hint.level), [1, 2, 3, 3]);
+        assert.match(hints[1].text, /chase the red/);
+        assert.equal(hints[2].text, 'Turn the lens axis towards 5°.');
+
+        core.resetHintLevels(tracker);
+        assert.equal(core.getHint(tracker, diagnosis, 'minus').level, 1);
+    });
+});
+
+describe('practice hints', () => {
+    test('a power change against the last power check names the button to use', () => {
+        const preferences = { powerPreference: 'more' };
+        assert.equal(core.diagnoseWrongMove({ type: 'power' }, preferences, 'minus').button, `'Increase Power'`);
+        assert.equal(core.diagnoseWrongMove({ type: 'power' }, preferences, 'plus').button, `'Decrease Power'`);
+    });
+
+    test('changing the power before the axis is confirmed is explained, adding the first cylinder is not', () => {
+        const tracker = core.createHintTracker();
+        assert.equal(core.diagnoseCylinderChangeOrder(tracker, 'OD', 0, lensAt(180)), null);
+        assert.deepEqual(core.diagnoseCylinderChangeOrder(tracker, 'OD', -2, lensAt(180)), { type: 'powerBeforeAxis', target: 180 });
+        core.recordHintAxisConfirmed(tracker, 'OD', true);
+        assert.equal(core.diagnoseCylinderChangeOrder(tracker, 'OD', -2, lensAt(180)), null);
+    });
+});
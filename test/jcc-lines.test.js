@@ -0,0 +1,58 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load-scripts');
+
+const core = loadScripts('patient.js', 'core.js');
+
+describe('JCC red and green line axes', () => {
+    test('Position 1 puts the red line 45° clockwise of the handle', () => {
+        assert.equal(core.getRedLineAxis(90, false), 45);
+        assert.equal(core.getGreenLineAxis(90, false), 135);
+    });
+
+    test('Position 2 swaps the red and green lines', () => {
+        assert.equal(core.getRedLineAxis(90, true), 135);
+        assert.equal(core.getGreenLineAxis(90, true), 45);
+    });
+
+    test('the lines stay 90° apart in both positions', () => {
+        [5, 45, 90, 135, 180].forEach(handle => {
+            [false, true].forEach(flipped => {
+                const red = core.getRedLineAxis(handle, flipped);
+                const green = core.getGreenLineAxis(handle, flipped);
+                assert.equal(core.getAxisDifference(red, green), 90, `handle ${handle}°, flipped ${flipped}`);
+            });
+        });
+    });
+
+    test('wraps around 0/180 with the handle on the horizontal meridian', () => {
+        assert.equal(core.getRedLineAxis(180, false), 135);
+        assert.equal(core.getGreenLineAxis(180, false), 45);
+        assert.equal(core.getRedLineAxis(180, true), 45);
+        assert.equal(core.getGreenLineAxis(180, true), 135);
+    });
+
+    test('wraps around 0/180 with the handle just off the horizontal meridian', () => {
+        assert.equal(core.getRedLineAxis(5, false), 140);
+        assert.equal(core.getGreenLineAxis(5, false), 50);
+        assert.equal(core.getRedLineAxis(175, true), 40);
+        assert.equal(core.getGreenLineAxis(175, true), 130);
+    });
+
+    test('a handle at 45° puts a line on 180, never 0', () => {
+        assert.equal(core.getRedLineAxis(45, false), 180);
+        assert.equal(core.getGreenLineAxis(135, false), 180);
+        assert.equal(core.getGreenLineAxis(45, true), 180);
+    });
+
+    test('the red line matches the minus cylinder the patient model places for each position', () => {
+        // Position 1 and 2 blur must equal the residual cylinder with the JCC red line at these axes
+        const trueRx = { sphere: 0, cylinder: -2, axis: 10 };
+        const trialRx = { sphere: 0, cylinder: -2, axis: 180 };
+        const comparison = core.getJCCComparison(trueRx, trialRx, 180, 0.25);
+        const position1Blur = core.getResidualCylinder(trueRx, trialRx, core.getRedLineAxis(180, false), 0.25);
+        const position2Blur = core.getResidualCylinder(trueRx, trialRx, core.getRedLineAxis(180, true), 0.25);
+        assert.ok(Math.abs(comparison.position1Blur - position1Blur) < 1e-9);
+        assert.ok(Math.abs(comparison.position2Blur - position2Blur) < 1e-9);
+    });
+});
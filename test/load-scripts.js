@@ -0,0 +1,23 @@
+// Loads the simulator's browser scripts into the test process. The scripts are plain (non-module)
+// scripts that share globals, so they are run in the global scope in the same order as index.html.
+// Only DOM-free scripts can be loaded: script.js needs a page.
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * Runs scripts from the project root and gives access to their globals.
+ * @param {...string} files Script file names, in load order.
+ * @returns {object} Proxy that looks up any global (function, const or let) by name.
+ */
+function loadScripts(...files) {
+    files.forEach(file => {
+        vm.runInThisContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), { filename: file });
+    });
+    return new Proxy({}, { get: (target, name) => vm.runInThisContext(String(name)) });
+}
+
+module.exports = { loadScripts };
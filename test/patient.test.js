@@ -0,0 +1,221 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load-scripts');
+
+const core = loadScripts('patient.js', 'scoring.js');
+
+const TRUE_RX = { sphere: 0, cylinder: -2, axis: 180 };
+
+// JCC view with the handle along the trial lens axis (an axis check)
+function axisCheck(trialAxis, jccFlipped, personality) {
+    return {
+        trueRx: TRUE_RX,
+        trialRx: { sphere: 0, cylinder: -2, axis: trialAxis },
+        jccHandleAngle: trialAxis,
+        jccFlipped,
+        jccPower: 0.25,
+        profile: { acuity: '6/6', personality }
+    };
+}
+
+function respond(view, random) {
+    return core.getPatientJCCResponse(view.trueRx, view.trialRx, view.jccHandleAngle, view.jccFlipped, view.jccPower, view.profile, { random });
+}
+
+const noRandomness = () => {
+    throw new Error('a reliable patient should not need random numbers');
+};
+const always = value => () => value;
+
+describe('patient personalities', () => {
+    test('a reliable patient answers from the optics alone', () => {
+        assert.equal(respond(axisCheck(180, false, 'reliable'), noRandomness), 'equal');
+        // Lens 1° off: Position 2 is just noticeably clearer
+        assert.equal(respond(axisCheck(179, true, 'reliable'), noRandomness), 'clearer');
+        assert.equal(respond(axisCheck(179, false, 'reliable'), noRandomness), 'blurred');
+    });
+
+    test('a profile without a personality is reliable', () => {
+        const view = axisCheck(179, true, undefined);
+        assert.equal(core.getPatientPersonality(view.profile), core.PATIENT_PERSONALITIES.reliable);
+        assert.equal(respond(view, noRandomness), 'clearer');
+    });
+
+    test('a hesitant patient calls a small difference equal', () => {
+        assert.equal(respond(axisCheck(179, true, 'hesitant'), always(0.99)), 'equal');
+    });
+
+    test('a patient who favours Position 2 picks it when the positions are the same', () => {
+        assert.equal(respond(axisCheck(180, true, 'favoursTwo'), noRandomness), 'clearer');
+        assert.equal(respond(axisCheck(180, false, 'favoursTwo'), noRandomness), 'blurred');
+    });
+
+    test('an inconsistent patient sometimes names the other position', () => {
+        // Lens 10° off: Position 2 is clearly better
+        assert.equal(respond(axisCheck(170, true, 'inconsistent'), always(0.99)), 'clearer');
+        assert.equal(respond(axisCheck(170, true, 'inconsistent'), always(0)), 'blurred');
+    });
+
+    test('a patient only asks to see the positions again when the comparison is close', () => {
+        assert.equal(respond(axisCheck(179, true, 'hesitant'), always(0)), 'again');
+        assert.equal(respond(axisCheck(170, true, 'hesitant'), always(0)), 'clearer');
+    });
+});
+
+describe('showing both positions again', () => {
+    test('the patient answers once both positions have been shown again', () => {
+        let turn = core.getPatientJCCTurn(axisCheck(179, true, 'hesitant'), null, always(0));
+        assert.equal(turn.response, 'again');
+
+        turn = core.getPatientJCCTurn(axisCheck(179, false, 'hesitant'), turn.request, always(0));
+        assert.equal(turn.response, 'looking');
+        assert.notEqual(turn.request, null);
+
+        turn = core.getPatientJCCTurn(axisCheck(179, true, 'hesitant'), turn.request, always(0));
+        assert.equal(turn.response, 'equal');
+        assert.equal(turn.request, null);
+    });
+
+    test('moving the lens drops the request', () => {
+        const asked = core.getPatientJCCTurn(axisCheck(179, true, 'hesitant'), null, always(0));
+        const turn = core.getPatientJCCTurn(axisCheck(170, false, 'hesitant'), asked.request, always(0));
+        assert.equal(turn.response, 'blurred');
+        assert.equal(turn.request, null);
+    });
+});
+
+describe('scoring against the patient\'s answers', () => {
+    test('turning the lens the way the patient asked is not a wrong move, even if the eye disagrees', () => {
+        const tracker = core.createPerformanceTracker(0);
+        // The eye sees no difference at 180°, but a patient who favours 2 says Position 2 (red line at 45°) is clearer
+        const view = axisCheck(180, true, 'favoursTwo');
+        core.recordFlip(tracker, 'OD', { ...view, response: respond(view, noRandomness) });
+        core.recordLensRotation(tracker, 'OD', 180, 5);
+        assert.equal(tracker.wrongMoves.length, 0);
+    });
+
+    test('a request to see the positions again leaves the last preference in place', () => {
+        const tracker = core.createPerformanceTracker(0);
+        core.recordFlip(tracker, 'OD', { ...axisCheck(170, true, 'hesitant'), response: 'clearer' });
+        core.recordFlip(tracker, 'OD', { ...axisCheck(170, false, 'hesitant'), response: 'again' });
+        core.recordLensRotation(tracker, 'OD', 170, 165);
+        assert.deepEqual(tracker.wrongMoves, [{ type: 'rotation', eyeId: 'OD' }]);
+    });
+
+    test('a run of key presses on one dial counts as one rotation', () => {
+        const tracker = core.createPerformanceTracker(0);
+        core.recordJCCRotation(tracker);
+        core.recordJCCRotation(tracker, true);
+        core.recordLensRotation(tracker, 'OD', 180, 5);
+        core.recordLensRotation(tracker, 'OD', 5, 10, true);
+        assert.equal(tracker.jccRotations, 1);
+        assert.equal(tracker.lensRotations, 1);
+    });
+
+    test('cylinder added to a spherical lens must go along the preferred red line', () => {
+        const view = {
+            trueRx: { sphere: -0.5, cylinder: -0.5, axis: 180 },
+            trialRx: { sphere: -0.75, cylinder: 0, axis: 180 },
+            jccHandleAngle: 45,
+            jccFlipped: false,
+            jccPower: 0.25,
+            profile: {}
+        };
+        const tracker = core.createPerformanceTracker(0);
+        core.recordFlip(tracker, 'OD', view); // Position 1, red line at 180°, is clearer
+        core.recordCylinderChange(tracker, 'OD', 0, -0.25, 90);
+        assert.deepEqual(tracker.wrongMoves, [{ type: 'cylinderAxis', eyeId: 'OD' }]);
+
+        const followed = core.createPerformanceTracker(0);
+        core.recordFlip(followed, 'OD', view);
+        core.recordCylinderChange(followed, 'OD', 0, -0.25, 180);
+        assert.equal(followed.wrongMoves.length, 0);
+    });
+});
+
+describe('what the patient sees', () => {
+    const PLANO = { sphere: 0, cylinder: 0, axis: 180 };
+
+    test('a fully corrected eye reads its best-corrected acuity', () => {
+        assert.equal(core.getVisualAcuity(TRUE_RX, TRUE_RX, { acuity: '6/6' }).snellen, '6/6');
+        assert.equal(core.getVisualAcuity(TRUE_RX, TRUE_RX, { acuity: '6/12' }).snellen, '6/12');
+    });
+
+    test('acuity falls with the residual error', () => {
+        assert.equal(core.getVisualAcuity(TRUE_RX, { sphere: 0.25, cylinder: -2, axis: 180 }).snellen, '6/7.5');
+        assert.equal(core.getVisualAcuity({ sphere: -1, cylinder: 0, axis: 180 }, PLANO).snellen, '6/24');
+        assert.equal(core.getVisualAcuity({ sphere: -6, cylinder: 0, axis: 180 }, PLANO).snellen, '<6/60');
+    });
+
+    test('the JCC position the patient prefers gives the better acuity', () => {
+        const trialRx = { sphere: 0, cylinder: -2, axis: 170 };
+        const position1 = core.getVisualAcuity(TRUE_RX, trialRx, {}, { redLineAxis: 125, jccPower: 0.25 });
+        const position2 = core.getVisualAcuity(TRUE_RX, trialRx, {}, { redLineAxis: 215, jccPower: 0.25 });
+        assert.equal(core.getJCCComparison(TRUE_RX, trialRx, 170, 0.25).preferredPosition, 2);
+        assert.ok(position2.minimumAngle < position1.minimumAngle);
+    });
+
+    test('spherical defocus blurs equally in every direction', () => {
+        const blur = core.getRetinalBlur(core.getResidualPowerVector({ sphere: -1, cylinder: 0, axis: 180 }, PLANO, 0, 0));
+        assert.ok(Math.abs(blur.length - blur.width) < 1e-9);
+        assert.ok(Math.abs(blur.length - 4 * 3.4377) < 1e-9);
+    });
+
+    test('uncorrected astigmatism smears along its power meridian', () => {
+        // -1.00 DC x 180 left uncorrected: all the power, and the blur, lies along the vertical meridian
+        const blur = core.getRetinalBlur(core.getResidualPowerVector({ sphere: 0, cylinder: -1, axis: 180 }, PLANO, 0, 0));
+        assert.ok(Math.abs(blur.meridian - 90) < 1e-9);
+        assert.ok(blur.width < 1e-9);
+        assert.ok(blur.length > 0);
+    });
+});
+
+describe('sphere checks', () => {
+    const EYE = { sphere: -1, cylinder: 0, axis: 180 };
+    const lens = sphere => ({ sphere, cylinder: 0, axis: 180 });
+
+    test('the eye accommodates through over-minus but not through over-plus', () => {
+        assert.equal(core.getAccommodatedResidual(EYE, lens(-1.5)).M, 0);
+        assert.equal(core.getAccommodatedResidual(EYE, lens(-1.5)).accommodation, 0.5);
+        assert.equal(core.getAccommodatedResidual(EYE, lens(-0.5)).M, -0.5);
+        assert.equal(core.getVisualAcuity(EYE, lens(-1.5)).snellen, '6/6');
+    });
+
+    test('taking plus away from a fogged eye is clearer until the best sphere, then smaller and darker', () => {
+        assert.equal(core.getSphereChangeResponse(EYE, lens(-0.25), lens(-0.5), {}, noRandomness), 'clearer');
+        assert.equal(core.getSphereChangeResponse(EYE, lens(-0.5), lens(-0.25), {}, noRandomness), 'blurred');
+        assert.equal(core.getSphereChangeResponse(EYE, lens(-1), lens(-1.25), {}, noRandomness), 'darker');
+    });
+
+    test('fogging needs at least +0.75 D beyond the best sphere', () => {
+        assert.equal(core.isFogged(EYE, lens(-0.5)), false);
+        assert.equal(core.isFogged(EYE, lens(-0.25)), true);
+    });
+
+    test('the duochrome favours red when under-minused and green when over-minused', () => {
+        assert.equal(core.getDuochromeResponse(EYE, lens(-0.5), {}, noRandomness), 'red');
+        assert.equal(core.getDuochromeResponse(EYE, lens(-1.5), {}, noRandomness), 'green');
+        assert.equal(core.getDuochromeResponse(EYE, EYE, {}, noRandomness), 'equal');
+    });
+
+    test('changing the sphere against the duochrome answer is a wrong move', () => {
+        const tracker = core.createPerformanceTracker(0);
+        core.recordDuochrome(tracker, 'OD', 'green');
+        core.recordSphereChange(tracker, 'OD', -0.25);
+        assert.deepEqual(tracker.wrongMoves, [{ type: 'sphere', eyeId: 'OD' }]);
+
+        const followed = core.createPerformanceTracker(0);
+        core.recordDuochrome(followed, 'OD', 'red');
+        core.recordSphereChange(followed, 'OD', -0.25);
+        assert.equal(followed.wrongMoves.length, 0);
+    });
+
+    test('a best sphere found without fogging costs points', () => {
+        const tracker = core.createPerformanceTracker(0);
+        core.recordBestSphere(tracker, 'OD', true);
+        core.recordBestSphere(tracker, 'OS', false);
+        const report = core.buildPerformanceReport(tracker, [], 0);
+        assert.deepEqual(report.skippedFogging, ['OS']);
+        assert.equal(report.score, 100 - core.SCORE_PENALTIES.skippedFogging);
+    });
+});
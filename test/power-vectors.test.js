@@ -0,0 +1,64 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load-scripts');
+
+const core = loadScripts('patient.js', 'core.js', 'scoring.js');
+
+const TRUE_RX = { sphere: 0, cylinder: -2, axis: 180 };
+
+function close(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+}
+
+describe('power vectors', () => {
+    test('a prescription and its plus-cylinder transposition are the same power vector', () => {
+        const minus = core.getRxPowerVector({ sphere: 1, cylinder: -2, axis: 180 });
+        const plus = core.getRxPowerVector({ sphere: -1, cylinder: 2, axis: 90 });
+        close(minus.M, 0);
+        close(minus.J0, 1);
+        close(minus.J45, 0);
+        close(plus.M, minus.M);
+        close(plus.J0, minus.J0);
+        close(plus.J45, minus.J45);
+    });
+
+    test('the trail follows one eye and skips repeated lenses', () => {
+        const start = { sphere: 0, cylinder: -1.5, axis: 170 };
+        const events = [
+            { type: 'flip', eye: 'OD', sphere: 0, cylinder: -1.5, axis: 170 },
+            { type: 'lensRotation', eye: 'OD', sphere: 0, cylinder: -1.5, axis: 175 },
+            { type: 'lensRotation', eye: 'OS', sphere: 0, cylinder: -1, axis: 90 },
+            { type: 'flip', eye: 'OD', sphere: 0, cylinder: -1.5, axis: 175 },
+            { type: 'cylinderChange', eye: 'OD', sphere: -0.25, cylinder: -2, axis: 175 }
+        ];
+        assert.deepEqual(core.getTrialLensTrail(events, 'OD', start), [
+            start,
+            { sphere: 0, cylinder: -1.5, axis: 175 },
+            { sphere: -0.25, cylinder: -2, axis: 175 }
+        ]);
+    });
+});
+
+describe('scoring by dioptric error', () => {
+    function score(finalRx) {
+        return core.buildPerformanceReport(core.createPerformanceTracker(0), [{ eyeId: 'OD', finalRx, trueRx: TRUE_RX }], 0);
+    }
+
+    test('an exact prescription loses nothing', () => {
+        assert.equal(score(TRUE_RX).score, 100);
+    });
+
+    test('an axis error costs more on a strong cylinder', () => {
+        const strong = score({ sphere: 0, cylinder: -2, axis: 170 });
+        const weak = core.buildPerformanceReport(core.createPerformanceTracker(0),
+            [{ eyeId: 'OD', finalRx: { sphere: 0, cylinder: -0.5, axis: 170 }, trueRx: { sphere: 0, cylinder: -0.5, axis: 180 } }], 0);
+        assert.ok(strong.eyes[0].dioptricError > weak.eyes[0].dioptricError);
+        assert.ok(strong.score < weak.score);
+    });
+
+    test('each 0.25 D of dioptric error costs the same', () => {
+        const report = score({ sphere: 0.25, cylinder: -2, axis: 180 });
+        close(report.eyes[0].dioptricError, 0.25);
+        assert.equal(report.score, 100 - core.SCORE_PENALTIES.dioptricErrorStep);
+    });
+});
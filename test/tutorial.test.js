@@ -0,0 +1,250 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load-scripts');
+
+const core = loadScripts('patient.js', 'core.js', 'cases.js', 'scenarios.js');
+
+// --- Scripted trainee ---
+// Drives a scenario through the core state machine the way script.js does, with a normal-acuity patient
+// behind a ±0.25 JCC. Every action returns whether it completed the current step.
+
+function startTutorial(scenarioId, notation) {
+    const scenario = core.SCENARIOS[scenarioId];
+    const eye = {
+        ...scenario.case.retinoscopyRx,
+        jccHandleAngle: 90,
+        jccFlipped: false,
+        retinoscopyRx: { ...scenario.case.retinoscopyRx },
+        trueRx: { ...scenario.case.trueRx }
+    };
+    const run = { scenario, notation, eye, stepIndex: -1, answers: [] };
+    advance(run);
+    return run;
+}
+
+function currentStep(run) {
+    return core.getScenarioStep(run.scenario, run.stepIndex, run.notation);
+}
+
+function advance(run) {
+    run.stepIndex = core.findNextStepIndex(run.scenario, run.stepIndex, run.eye, run.notation);
+    const step = currentStep(run);
+    if (step) core.applyStepSetup(step, run.eye);
+}
+
+function act(run, action, change = () => {}) {
+    change(run.eye);
+    const step = currentStep(run);
+    if (!core.isStepCompletedBy(step, action, core.buildTutorState(run.eye, run.notation))) return false;
+    if (step.patientResponse) {
+        const { trueRx, jccHandleAngle, jccFlipped } = run.eye;
+        run.answers.push(core.getPatientJCCResponse(trueRx, run.eye, jccHandleAngle, jccFlipped, 0.25));
+    }
+    advance(run);
+    return true;
+}
+
+const flip = run => act(run, 'flip', eye => { eye.jccFlipped = !eye.jccFlipped; });
+const flipThreeTimes = run => [flip(run), flip(run), flip(run)].every(Boolean);
+const setHandle = (run, angle) => act(run, 'slider', eye => { eye.jccHandleAngle = angle; });
+// The lens dial shows the axis in the trainee's notation
+const setLensAxis = (run, shownAxis) => act(run, 'slider', eye => {
+    eye.axis = run.notation === 'plus' ? core.getDisplayAxis(shownAxis + 90) : shownAxis;
+});
+// The power buttons change the cylinder in the trainee's notation (see changeCylinder in script.js)
+const changeCylinder = (run, action, shownDelta) => act(run, action, eye => {
+    const redLineAxis = core.getRedLineAxis(eye.jccHandleAngle, eye.jccFlipped);
+    Object.assign(eye, core.getCylinderChange(eye, shownDelta, run.notation, redLineAxis));
+});
+const increasePower = run => changeCylinder(run, 'increasePower', run.notation === 'plus' ? 0.25 : -0.25);
+const decreasePower = run => changeCylinder(run, 'decreasePower', run.notation === 'plus' ? -0.25 : 0.25);
+const plusSphere = run => act(run, 'plusSphere', eye => { eye.sphere += 0.25; });
+const minusSphere = run => act(run, 'minusSphere', eye => { eye.sphere -= 0.25; });
+
+function assertFinished(run) {
+    const step = currentStep(run);
+    assert.ok(step && step.final, `stopped at step ${run.stepIndex}: ${step && step.instruction}`);
+    assert.equal(run.eye.sphere, run.eye.trueRx.sphere);
+    assert.equal(run.eye.cylinder, run.eye.trueRx.cylinder);
+    assert.equal(run.eye.axis, run.eye.trueRx.axis);
+}
+
+describe('scenario state machine', () => {
+    test('fills the first instruction from the trial lens', () => {
+        const run = startTutorial('withTheRule', 'minus');
+        const text = core.fillTemplate(currentStep(run).instruction, core.getScenarioTextValues(run.eye, 'minus'));
+        assert.match(text, /Your trial lens is at 180°/);
+        assert.doesNotMatch(text, /\{\w+\}/);
+    });
+
+    test('only advances on the awaited action once its completion predicate holds', () => {
+        const run = startTutorial('withTheRule', 'minus');
+        assert.equal(flip(run), false);
+        assert.equal(setHandle(run, 170), false);
+        assert.equal(run.stepIndex, 0);
+        assert.equal(setHandle(run, 180), true);
+        assert.equal(run.stepIndex, 1);
+    });
+
+    test('applies the step setup so each flip starts from the expected position', () => {
+        const run = startTutorial('withTheRule', 'minus');
+        setHandle(run, 180);
+        assert.equal(run.eye.jccFlipped, false);
+        flip(run);
+        assert.equal(run.eye.jccFlipped, true);
+        run.eye.jccFlipped = false; // e.g. left in the wrong position by an undo
+        flip(run);
+        assert.equal(run.eye.jccFlipped, false);
+    });
+
+    test('a power step waits for the cylinder it asks for, not just the awaited button', () => {
+        const run = startTutorial('withTheRule', 'minus');
+        run.stepIndex = run.scenario.steps.findIndex(step => step.advanceOn === 'increasePower') - 1;
+        advance(run);
+        const powerStep = run.stepIndex;
+        assert.equal(decreasePower(run), false);
+        assert.equal(increasePower(run), false); // Back where it started
+        assert.equal(run.stepIndex, powerStep);
+        assert.equal(increasePower(run), true);
+    });
+
+    test('skips the sphere compensation step when the sphere is already compensated', () => {
+        const run = startTutorial('withTheRule', 'minus');
+        const sphereStep = run.scenario.steps.findIndex(step => step.advanceOn === 'plusSphere');
+        run.stepIndex = sphereStep - 1;
+        run.eye.sphere = 0.25;
+        advance(run);
+        assert.equal(run.stepIndex, sphereStep + 1);
+    });
+
+    test('reports the end of the scenario past its last step', () => {
+        const run = startTutorial('withTheRule', 'minus');
+        assert.equal(core.findNextStepIndex(run.scenario, run.scenario.steps.length - 1, run.eye, 'minus'), run.scenario.steps.length);
+        assert.equal(core.getScenarioStep(run.scenario, run.scenario.steps.length, 'minus'), undefined);
+    });
+});
+
+// Patient answers in the with-the-rule tutorial after the first axis check: refined axis check, power check,
+// power check after one step, power check at the true prescription.
+const WITH_THE_RULE_ANSWERS_AFTER_AXIS_CHECK = [
+    'equal', 'equal', 'equal',
+    'blurred', 'clearer', 'blurred',
+    'blurred', 'clearer', 'blurred',
+    'equal', 'equal', 'equal'
+];
+
+describe('full tutorial run', () => {
+    test('with-the-rule tutorial in minus cylinder', () => {
+        const run = startTutorial('withTheRule', 'minus');
+        assert.ok(setHandle(run, 180));
+        assert.ok(flipThreeTimes(run));
+        assert.ok(setLensAxis(run, 5));
+        assert.ok(setHandle(run, 5));
+        assert.ok(flipThreeTimes(run));
+        assert.ok(act(run, 'confirmAxis'));
+        assert.ok(setHandle(run, 50));
+        assert.ok(flipThreeTimes(run));
+        assert.ok(increasePower(run));
+        assert.ok(flipThreeTimes(run));
+        assert.ok(increasePower(run));
+        assert.ok(plusSphere(run));
+        assert.ok(flipThreeTimes(run));
+        assert.ok(act(run, 'confirmPower'));
+        assertFinished(run);
+        assert.deepEqual(run.answers, ['clearer', 'blurred', 'clearer', ...WITH_THE_RULE_ANSWERS_AFTER_AXIS_CHECK]);
+    });
+
+    test('with-the-rule tutorial in plus cylinder', () => {
+        const run = startTutorial('withTheRule', 'plus');
+        assert.ok(setHandle(run, 90));
+        assert.ok(flipThreeTimes(run));
+        assert.ok(setLensAxis(run, 95));
+        assert.ok(setHandle(run, 95));
+        assert.ok(flipThreeTimes(run));
+        assert.ok(act(run, 'confirmAxis'));
+        assert.ok(setHandle(run, 50));
+        assert.ok(flipThreeTimes(run));
+        assert.ok(increasePower(run));
+        assert.ok(flipThreeTimes(run));
+        assert.ok(increasePower(run));
+        assert.ok(minusSphere(run));
+        assert.ok(flipThreeTimes(run));
+        assert.ok(act(run, 'confirmPower'));
+        assertFinished(run);
+        // The plus-cylinder axis check holds the handle 90° round, so Positions 1 and 2 swap
+        assert.deepEqual(run.answers, ['blurred', 'clearer', 'blurred', ...WITH_THE_RULE_ANSWERS_AFTER_AXIS_CHECK]);
+    });
+
+    test('against-the-rule tutorial in minus cylinder', () => {
+        const run = startTutorial('againstTheRule', 'minus');
+        assert.ok(setHandle(run, 90));
+        assert.ok(flip(run) && flip(run));
+        assert.ok(setLensAxis(run, 85));
+        assert.ok(setHandle(run, 85));
+        assert.ok(flip(run) && flip(run));
+        assert.ok(act(run, 'confirmAxis'));
+        assert.ok(setHandle(run, 130));
+        assert.ok(flip(run) && flip(run));
+        assert.ok(decreasePower(run));
+        assert.ok(flip(run) && flip(run));
+        assert.ok(decreasePower(run));
+        assert.ok(minusSphere(run));
+        assert.ok(flip(run) && flip(run));
+        assert.ok(act(run, 'confirmPower'));
+        assertFinished(run);
+        assert.equal(run.answers.at(-1), 'equal');
+        assert.equal(run.answers.at(-2), 'equal');
+    });
+
+    test('finding cylinder tutorial in minus cylinder', () => {
+        const run = startTutorial('findCylinder', 'minus');
+        assert.ok(setHandle(run, 45));
+        assert.ok(flip(run) && flip(run));
+        assert.ok(setHandle(run, 90));
+        assert.ok(flip(run) && flip(run));
+        assert.ok(setHandle(run, 45));
+        assert.ok(increasePower(run));
+        assert.equal(run.eye.axis, 180); // Along the red line of Position 1
+        assert.ok(increasePower(run));
+        assert.ok(plusSphere(run));
+        assert.ok(setHandle(run, 180));
+        assert.ok(flip(run) && flip(run));
+        assert.ok(act(run, 'confirmAxis'));
+        assert.ok(setHandle(run, 45));
+        assert.ok(flip(run) && flip(run));
+        assert.ok(act(run, 'confirmPower'));
+        assertFinished(run);
+        assert.deepEqual(run.answers, ['blurred', 'clearer', 'equal', 'equal', 'equal', 'equal', 'equal', 'equal']);
+    });
+
+    test('finding cylinder tutorial in plus cylinder', () => {
+        const run = startTutorial('findCylinder', 'plus');
+        assert.ok(setHandle(run, 45));
+        assert.ok(flip(run) && flip(run));
+        assert.ok(setHandle(run, 90));
+        assert.ok(flip(run) && flip(run));
+        assert.ok(setHandle(run, 45));
+        assert.ok(increasePower(run));
+        assert.ok(increasePower(run));
+        assert.ok(minusSphere(run));
+        assert.ok(setHandle(run, 90));
+        assert.ok(flip(run) && flip(run));
+        assert.ok(act(run, 'confirmAxis'));
+        assert.ok(setHandle(run, 45));
+        assert.ok(flip(run) && flip(run));
+        assert.ok(act(run, 'confirmPower'));
+        assertFinished(run);
+    });
+
+    test('cylinder added to the spherical lens away from the preferred red line does not complete the step', () => {
+        const run = startTutorial('findCylinder', 'minus');
+        setHandle(run, 45);
+        flip(run) && flip(run);
+        setHandle(run, 90);
+        flip(run) && flip(run);
+        setHandle(run, 45);
+        run.eye.jccFlipped = true; // Position 2: red line at 90°
+        assert.equal(increasePower(run), false);
+        assert.equal(run.eye.axis, 90);
+    });
+});